@@ -0,0 +1,360 @@
+/**
+ * Admin commands for the operator: stats, user history, re-greets, resends,
+ * pausing new greetings and bans
+ * Every command checks the sender against ADMIN_IDS; for anyone else it's an unknown command.
+ * Replies are in Russian, like the admin notifications
+ */
+
+import { sendMessage } from './telegram.js';
+import { registerCommand } from './commands.js';
+import { openStore } from './storage.js';
+import { STAGES, getGreetingRecord, listGreetingRecords, getLatestAttempt, getOccasionOf, resetAttempts } from './ledger.js';
+import { releaseChat } from './coordination.js';
+import { handleExtra } from './pipeline.js';
+import { isVoiceEnabled } from './tts.js';
+import { getBonus, grantBonus } from './quotas.js';
+import { listPayments } from './payments.js';
+import { listUsers } from './users.js';
+import { resolveOccasion } from './occasions.js';
+import { getPreferences, withPreferences } from './preferences.js';
+import { ADMIN_CHAT_ID } from './analytics.js';
+import { getLanguage, t } from './i18n.js';
+import { escapeHtml } from './format.js';
+
+// Stages /resend accepts, by the name the admin types
+const RESEND_STAGES = { text: 'text', card: 'image', image: 'image', song: 'song', voice: 'voice' };
+
+// Greetings listed by /user, newest last
+const USER_HISTORY_LENGTH = 10;
+
+const ADMIN_HELP = `Команды админа:
+/stats — статистика
+/user &lt;chatId|@username&gt; — история пользователя
+/reset &lt;chatId&gt; — разрешить поздравить заново
+/resend &lt;chatId&gt; &lt;song|card|text|voice&gt; — повторить этап последнего поздравления
+/bonus &lt;chatId&gt; &lt;поздравления&gt; [открытки] [песни] — выдать бонус
+/pause, /resume — остановить и возобновить новые поздравления
+/ban &lt;chatId|@username&gt;, /unban &lt;chatId&gt; — заблокировать и разблокировать
+/broadcast — рассылка всем пользователям`;
+
+// Bot-wide switches, e.g. { paused: { by, at } }
+const settings = openStore('admin');
+
+// Banned user or chat ID -> { by, at }
+const bans = openStore('bans');
+
+/**
+ * Get the IDs of users allowed to run admin commands
+ * ADMIN_IDS is a comma-separated list; without it only the analytics chat is admin
+ * @returns {number[]} Telegram user IDs
+ */
+export function getAdminIds() {
+  const ids = (process.env.ADMIN_IDS || '').split(',').filter(id => id.trim()).map(Number).filter(Number.isInteger);
+  return ids.length > 0 ? ids : [ADMIN_CHAT_ID];
+}
+
+/**
+ * Check whether a user may run admin commands
+ * @param {number} userId - Telegram user ID
+ * @returns {boolean} True for admins
+ */
+export function isAdmin(userId) {
+  return getAdminIds().includes(userId);
+}
+
+/**
+ * Check whether new greetings are paused
+ * @returns {boolean} True while paused
+ */
+export function isPaused() {
+  return Boolean(settings.get('paused'));
+}
+
+/**
+ * Check whether a user or chat is banned
+ * @param {number} id - Telegram user or chat ID
+ * @returns {boolean} True if banned
+ */
+export function isBanned(id) {
+  return id !== undefined && bans.has(id);
+}
+
+/**
+ * Get the admin command list for /help
+ * @returns {string} Command list
+ */
+export function getAdminHelp() {
+  return ADMIN_HELP;
+}
+
+/**
+ * Register a command only admins may run; for others it's an unknown command
+ * @param {string} name - Command name without the slash
+ * @param {Function} handler - Called with (userInfo, command)
+ * @param {Function} onDenied - Called with (userInfo, command) for non-admins
+ */
+export function registerAdminCommand(name, handler, onDenied) {
+  registerCommand(name, async (userInfo, command) => {
+    if (!isAdmin(userInfo.id)) {
+      await onDenied(userInfo, command);
+      return;
+    }
+    await handler(userInfo, command);
+  });
+}
+
+/**
+ * Register all admin commands
+ * @param {Function} onDenied - Reply to non-admins, e.g. the /help handler
+ */
+export function registerAdminCommands(onDenied) {
+  registerAdminCommand('stats', handleStats, onDenied);
+  registerAdminCommand('user', handleUser, onDenied);
+  registerAdminCommand('reset', handleReset, onDenied);
+  registerAdminCommand('resend', handleResend, onDenied);
+  registerAdminCommand('bonus', handleBonus, onDenied);
+  registerAdminCommand('pause', handlePause, onDenied);
+  registerAdminCommand('resume', handleResume, onDenied);
+  registerAdminCommand('ban', handleBan, onDenied);
+  registerAdminCommand('unban', handleUnban, onDenied);
+}
+
+/**
+ * /stats - totals, success rate per stage, extras and payments
+ * @param {Object} userInfo - Admin's user information
+ */
+async function handleStats(userInfo) {
+  const records = listGreetingRecords();
+  const users = listUsers();
+  const attempts = records.flatMap(record => record.attempts);
+  const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+
+  const stageLines = [...STAGES, 'voice'].map(stage => {
+    const outcomes = attempts.map(attempt => attempt.stages[stage]?.status).filter(status => status === 'success' || status === 'failed');
+    if (outcomes.length === 0) return null;
+    const success = outcomes.filter(status => status === 'success').length;
+    return `${stage}: ${success}/${outcomes.length} (${Math.round(success / outcomes.length * 100)}%)`;
+  }).filter(Boolean);
+
+  const occasions = new Map();
+  for (const attempt of attempts) {
+    const id = getOccasionOf(attempt);
+    occasions.set(id, (occasions.get(id) || 0) + 1);
+  }
+
+  const extras = attempts.flatMap(attempt => attempt.extras || []);
+  const payments = listPayments().filter(payment => payment.status !== 'invoiced');
+  const stars = payments.filter(payment => payment.status !== 'refunded').reduce((sum, payment) => sum + payment.amount, 0);
+
+  await sendMessage(userInfo.chatId, `📊 Статистика
+
+👥 Пользователей: ${users.length} (недоступны: ${users.filter(user => !user.active).length}), поздравлено чатов: ${records.length}
+🎁 Поздравлений: ${attempts.length} (за сутки: ${attempts.filter(attempt => Date.parse(attempt.startedAt) > dayAgo).length})
+⏳ Не завершено: ${attempts.filter(attempt => !attempt.finishedAt).length}
+
+✅ Успешные этапы:
+${stageLines.join('\n') || 'нет данных'}
+
+🗓 Поводы: ${[...occasions].map(([id, count]) => `${id} ${count}`).join(', ') || 'нет'}
+➕ Доп. доставок: ${extras.filter(extra => extra.status === 'success').length}/${extras.length}
+⭐ Оплат: ${payments.length}, звёзд: ${stars}, возвратов: ${payments.filter(payment => payment.status === 'refunded').length}
+
+${isPaused() ? '⏸ Новые поздравления на паузе' : '▶️ Поздравления идут'}
+⛔ Заблокировано: ${bans.values().length}`);
+}
+
+/**
+ * /user <chatId|@username> - who it is and what they got
+ * @param {Object} userInfo - Admin's user information
+ * @param {Object} command - Parsed command
+ */
+async function handleUser(userInfo, command) {
+  const record = findRecord(command.args[0]);
+  if (!record) {
+    await sendMessage(userInfo.chatId, 'Не нашёл такого пользователя. Использование: /user &lt;chatId|@username&gt;');
+    return;
+  }
+
+  const { user, chatId } = record;
+  const preferences = getPreferences(chatId);
+  const bonus = getBonus(chatId);
+  const payments = listPayments(chatId).filter(payment => payment.status !== 'invoiced');
+  const icon = (stage) => ({ success: '✅', failed: '❌' })[stage?.status] || '⏳';
+
+  const history = record.attempts.slice(-USER_HISTORY_LENGTH).map((attempt, index, shown) => {
+    const occasion = resolveOccasion({ occasion: getOccasionOf(attempt) });
+    const stages = Object.entries(attempt.stages).map(([stage, outcome]) => `${stage}${icon(outcome)}`).join(' ');
+    const extras = (attempt.extras || []).length;
+    return `${record.attempts.length - shown.length + index + 1}. ${attempt.startedAt.slice(0, 16).replace('T', ' ')} ${occasion.emoji} ${stages}`
+      + `${attempt.songTitle ? ` «${escapeHtml(attempt.songTitle)}»` : ''}${extras ? `, доп.: ${extras}` : ''}${attempt.resetAt ? ' [сброшено]' : ''}`;
+  });
+
+  await sendMessage(userInfo.chatId, `👤 ${escapeHtml(user.firstName || 'Unknown')} ${escapeHtml(user.lastName || '')} (@${user.username || 'нет'}), Chat ID: ${chatId}
+🌐 Язык: ${preferences.language || user.languageCode || '—'}, повод: ${preferences.occasion || '—'}
+🎁 Бонус: поздравлений ${bonus.greetings}, открыток ${bonus.image}, песен ${bonus.song}
+⭐ Оплат: ${payments.length}${payments.length ? ` (${payments.map(payment => `${payment.product} ${payment.status}`).join(', ')})` : ''}${isBanned(chatId) ? '\n⛔ Заблокирован' : ''}
+
+Поздравления (${record.attempts.length}):
+${history.join('\n') || 'нет'}`);
+}
+
+/**
+ * /reset <chatId> - stop counting the chat's greetings so it can be greeted again
+ * @param {Object} userInfo - Admin's user information
+ * @param {Object} command - Parsed command
+ */
+async function handleReset(userInfo, command) {
+  const chatId = Number(command.args[0]);
+  const reset = Number.isInteger(chatId) ? resetAttempts(chatId) : [];
+  if (reset.length === 0) {
+    await sendMessage(userInfo.chatId, 'Нечего сбрасывать. Использование: /reset &lt;chatId&gt;');
+    return;
+  }
+
+  // Free the claims of the reset greetings, or the next greeting would look like a duplicate
+  const counts = new Map();
+  for (const attempt of reset) {
+    const occasion = getOccasionOf(attempt);
+    const count = counts.get(occasion) || 0;
+    await releaseChat(chatId, occasion, count);
+    counts.set(occasion, count + 1);
+  }
+
+  await sendMessage(userInfo.chatId, `🔄 Сбросил ${reset.length} поздравл. для ${chatId}, можно поздравлять заново`);
+}
+
+/**
+ * /resend <chatId> <song|card|text|voice> - run a stage of the latest greeting again, free of charge
+ * @param {Object} userInfo - Admin's user information
+ * @param {Object} command - Parsed command
+ */
+async function handleResend(userInfo, command) {
+  const chatId = Number(command.args[0]);
+  const stage = RESEND_STAGES[command.args[1]?.toLowerCase()];
+  const record = Number.isInteger(chatId) ? getGreetingRecord(chatId) : null;
+
+  if (!record || !stage || (stage === 'voice' && !isVoiceEnabled())) {
+    await sendMessage(userInfo.chatId, 'Использование: /resend &lt;chatId&gt; &lt;song|card|text|voice&gt; (для поздравлённого чата)');
+    return;
+  }
+
+  await sendMessage(userInfo.chatId, `🔁 Повторяю ${stage} для ${chatId}`);
+
+  // The user as the ledger remembers them, with the occasion of their latest greeting
+  const target = withPreferences({
+    id: record.user.id,
+    firstName: record.user.firstName,
+    lastName: record.user.lastName,
+    username: record.user.username,
+    languageCode: record.user.languageCode,
+    isPremium: false,
+    chatId
+  });
+  target.language = getLanguage({ ...target, language: getPreferences(chatId).language });
+  target.occasion = getOccasionOf(getLatestAttempt(chatId));
+
+  await handleExtra(target, stage, { resend: true });
+}
+
+/**
+ * /bonus <chatId> <greetings> [cards] [songs] - grant extra greetings, cards and songs
+ * Negative numbers take a bonus back
+ * @param {Object} userInfo - Admin's user information
+ * @param {Object} command - Parsed command
+ */
+async function handleBonus(userInfo, command) {
+  const [chatId, greetings = 0, image = 0, song = 0] = command.args.map(Number);
+  if (!Number.isInteger(chatId) || ![greetings, image, song].every(Number.isInteger)) {
+    await sendMessage(userInfo.chatId, 'Использование: /bonus &lt;chatId&gt; &lt;поздравления&gt; [открытки] [песни]');
+    return;
+  }
+
+  const bonus = grantBonus(chatId, { greetings, image, song });
+  await sendMessage(
+    userInfo.chatId,
+    `🎁 Бонус для ${chatId}: поздравлений — ${bonus.greetings}, открыток — ${bonus.image}, песен — ${bonus.song}`
+  );
+
+  // Tell the user in their language; the ledger remembers their Telegram client's one
+  if (greetings > 0 || image > 0 || song > 0) {
+    const language = getLanguage({
+      language: getPreferences(chatId).language,
+      languageCode: getGreetingRecord(chatId)?.user.languageCode
+    });
+    try {
+      await sendMessage(chatId, t(language, 'quota.bonus', bonus));
+    } catch (error) {
+      console.error('Error notifying about a bonus:', error);
+    }
+  }
+}
+
+/**
+ * /pause - stop starting new greetings (running ones, extras and payments go on)
+ * @param {Object} userInfo - Admin's user information
+ */
+async function handlePause(userInfo) {
+  settings.set('paused', { by: userInfo.id, at: new Date().toISOString() });
+  await sendMessage(userInfo.chatId, '⏸ Новые поздравления на паузе. /resume — возобновить');
+}
+
+/**
+ * /resume - start new greetings again
+ * @param {Object} userInfo - Admin's user information
+ */
+async function handleResume(userInfo) {
+  settings.delete('paused');
+  await sendMessage(userInfo.chatId, '▶️ Поздравления снова идут');
+}
+
+/**
+ * /ban <chatId|@username> - ignore everything from a user or chat
+ * @param {Object} userInfo - Admin's user information
+ * @param {Object} command - Parsed command
+ */
+async function handleBan(userInfo, command) {
+  const arg = command.args[0] || '';
+  const id = /^-?\d+$/.test(arg) ? Number(arg) : findRecord(arg)?.chatId;
+
+  if (id === undefined) {
+    await sendMessage(userInfo.chatId, 'Не нашёл такого пользователя. Использование: /ban &lt;chatId|@username&gt;');
+    return;
+  }
+  if (isAdmin(id)) {
+    await sendMessage(userInfo.chatId, 'Админа заблокировать нельзя');
+    return;
+  }
+
+  bans.set(id, { by: userInfo.id, at: new Date().toISOString() });
+  await sendMessage(userInfo.chatId, `⛔ ${id} заблокирован. /unban ${id} — разблокировать`);
+}
+
+/**
+ * /unban <chatId> - lift a ban
+ * @param {Object} userInfo - Admin's user information
+ * @param {Object} command - Parsed command
+ */
+async function handleUnban(userInfo, command) {
+  const id = Number(command.args[0]);
+  if (!Number.isInteger(id) || !bans.delete(id)) {
+    await sendMessage(userInfo.chatId, 'Такого в списке нет. Использование: /unban &lt;chatId&gt;');
+    return;
+  }
+
+  await sendMessage(userInfo.chatId, `✅ ${id} разблокирован`);
+}
+
+/**
+ * Find a chat's ledger record by chat ID or @username
+ * @param {string} arg - Chat ID or @username
+ * @returns {Object|null} Record or null
+ */
+function findRecord(arg = '') {
+  if (/^-?\d+$/.test(arg)) {
+    return getGreetingRecord(Number(arg));
+  }
+
+  const username = arg.replace(/^@/, '').toLowerCase();
+  if (!username) return null;
+  return listGreetingRecords().find(record => record.user.username?.toLowerCase() === username) || null;
+}
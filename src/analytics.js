@@ -0,0 +1,97 @@
+/**
+ * Admin notifications about what the bot delivered
+ */
+
+import { sendMessage } from './telegram.js';
+import { getAttempt, getGreetingRecord } from './ledger.js';
+import { resolveOccasion } from './occasions.js';
+import { escapeHtml } from './format.js';
+
+// Admin chat ID for analytics notifications
+export const ADMIN_CHAT_ID = 321097981;
+
+// What an extra delivered, for the notification
+const EXTRA_LABELS = {
+  text: '📝 Ещё текст',
+  image: '🎨 Ещё открытка',
+  song: '🎵 Ещё песня',
+  voice: '🗣 Ещё голосовое'
+};
+
+/**
+ * Send a free-form notification to the admin
+ * @param {string} text - Message text
+ */
+export async function notifyAdmin(text) {
+  try {
+    await sendMessage(ADMIN_CHAT_ID, text);
+  } catch (error) {
+    console.error('Error sending analytics:', error);
+  }
+}
+
+/**
+ * Send analytics notification to admin
+ * Reads the outcome of the attempt from the greeting ledger
+ * @param {number} chatId - Chat ID of the greeted user
+ * @param {string} attemptId - Attempt ID (the latest attempt if missing)
+ */
+export async function sendAnalytics(chatId, attemptId) {
+  try {
+    const record = getGreetingRecord(chatId);
+    const attempt = getAttempt(chatId, attemptId);
+    if (!record || !attempt) return;
+
+    const user = record.user;
+    const finishedAt = attempt.finishedAt ? Date.parse(attempt.finishedAt) : Date.now();
+    const duration = Math.round((finishedAt - Date.parse(attempt.startedAt)) / 1000);
+    const statusIcon = (stage) => attempt.stages[stage]?.status === 'success' ? '✅' : '❌';
+    const occasion = resolveOccasion({ occasion: attempt.occasion || 'newyear' });
+
+    const message = `📊 Новое поздравление отправлено!
+
+👤 Кому: ${escapeHtml(user.firstName || 'Unknown')} ${escapeHtml(user.lastName || '')}
+🆔 Username: @${user.username || 'нет'}
+🔢 Chat ID: ${chatId}
+${occasion.emoji} Повод: ${occasion.title}
+
+📝 Текст: ${statusIcon('text')}
+🎨 Картинка: ${statusIcon('image')}
+🎵 Песня: ${statusIcon('song')}${attempt.songTitle ? ` (${escapeHtml(attempt.songTitle)})` : ''}${attempt.stages.voice ? `
+🗣 Голос: ${statusIcon('voice')}` : ''}
+
+🔁 Попытка: ${attempt.id ? record.attempts.findIndex(other => other.id === attempt.id) + 1 : record.attempts.length}
+⏱ Время: ${duration} сек`;
+
+    await sendMessage(ADMIN_CHAT_ID, message);
+  } catch (error) {
+    console.error('Error sending analytics:', error);
+  }
+}
+
+/**
+ * Send a short admin notification about an extra delivery
+ * @param {number} chatId - Chat ID of the user
+ * @param {string} stage - Stage name
+ * @param {string} attemptId - Attempt the extra was recorded on (the latest attempt if missing)
+ */
+export async function sendExtraAnalytics(chatId, stage, attemptId) {
+  try {
+    const record = getGreetingRecord(chatId);
+    const extra = getAttempt(chatId, attemptId)?.extras?.at(-1);
+    if (!record || !extra) return;
+
+    const what = EXTRA_LABELS[stage] || stage;
+    const status = extra.status === 'success' ? '✅' : '❌';
+    const source = extra.paymentId ? ' ⭐' : extra.resend ? ' (повтор от админа)' : '';
+
+    await sendMessage(
+      ADMIN_CHAT_ID,
+      `${what}${source} ${status}${extra.style ? ` (${extra.style})` : ''}${extra.songTitle ? ` — ${escapeHtml(extra.songTitle)}` : ''}
+
+👤 ${escapeHtml(record.user.firstName || 'Unknown')} (@${record.user.username || 'нет'}), Chat ID: ${chatId}`
+    );
+  } catch (error) {
+    console.error('Error sending analytics:', error);
+  }
+}
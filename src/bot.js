@@ -0,0 +1,467 @@
+/**
+ * Update handling shared by the webhook server and the polling runner
+ */
+
+import { sendMessage, extractUserInfo, answerCallbackQuery, editMessageReplyMarkup, inlineKeyboard } from './telegram.js';
+import { hasBeenGreeted, getLatestAttempt } from './ledger.js';
+import { handleGreeting, handleExtra, buildActionsKeyboard, pickSongStyle } from './pipeline.js';
+import { getGreetingQuota, spendGreeting, getExtrasLeft, getExtraWait, formatWait } from './quotas.js';
+import { claimUpdate, claimChat, getCoordinator } from './coordination.js';
+import { parseCommand, dispatchCommand, registerCommand } from './commands.js';
+import { registerCallback, handleCallbackQuery, encodeCallback } from './callbacks.js';
+import { handleInlineQuery, handleChosenInlineResult } from './inline.js';
+import { startFriendFlow, deliverGift } from './friends.js';
+import { handleConversationMessage, endConversation, registerFlow, startConversation } from './conversations.js';
+import { listOccasions, isOccasion, resolveOccasion } from './occasions.js';
+import { getPreferences, setPreferences, withPreferences } from './preferences.js';
+import { LANGUAGES, isLanguage, getLanguage, t } from './i18n.js';
+import { startOnboarding, onOnboardingFinished } from './onboarding.js';
+import { handlePhotoCommand, rememberSelfie } from './photos.js';
+import { isAdmin, isPaused, isBanned, getAdminHelp, registerAdminCommand, registerAdminCommands } from './admin.js';
+import { handleBroadcastCommand } from './broadcast.js';
+import { rememberUser } from './users.js';
+import { handleMidnightCommand, getSchedule, formatCountdown } from './schedule.js';
+import { PRODUCTS, getProductForStage, sendProductInvoice, onPaymentReceived, handlePreCheckoutQuery, handleSuccessfulPayment } from './payments.js';
+
+// An extra card or song in progress blocks further button presses this long at most
+const EXTRA_CLAIM_TTL_MS = 10 * 60 * 1000;
+
+// Longest description of a custom occasion we accept
+const MAX_OCCASION_DETAILS_LENGTH = 100;
+
+/**
+ * Handle incoming Telegram update
+ * @param {Object} update - Telegram update object
+ */
+export async function handleUpdate(update) {
+  // Telegram redelivers updates after failures - process each one only once
+  if (!(await claimUpdate(update.update_id))) {
+    console.log(`Update ${update.update_id} already processed, skipping`);
+    return;
+  }
+
+  // Banned users are ignored whatever they send, inline queries included (they cost generations);
+  // an unanswered checkout simply fails. Money already taken still goes through,
+  // so it is delivered or refunded
+  const part = Object.values(update).find(value => value?.from);
+  const chatId = (part?.message || part)?.chat?.id;
+  if ((isBanned(part?.from.id) || isBanned(chatId)) && !update.message?.successful_payment) {
+    console.log(`Update ${update.update_id} from banned user ${part.from.id}, skipping`);
+    return;
+  }
+
+  // Inline mode updates have a user but no chat
+  if (update.inline_query) {
+    await handleInlineQuery(update.inline_query);
+    return;
+  }
+  if (update.chosen_inline_result) {
+    await handleChosenInlineResult(update.chosen_inline_result);
+    return;
+  }
+
+  // Checkout confirmations have a user but no chat either
+  if (update.pre_checkout_query) {
+    await handlePreCheckoutQuery(update.pre_checkout_query);
+    return;
+  }
+
+  const userInfo = extractUserInfo(update);
+
+  if (!userInfo) {
+    console.log('No user info in update, skipping');
+    return;
+  }
+
+  // Everyone who writes can be reached by a broadcast later
+  rememberUser(userInfo);
+
+  // The /language choice wins over the Telegram client language
+  userInfo.language = getLanguage({ ...userInfo, language: getPreferences(userInfo.chatId).language });
+
+  if (update.callback_query) {
+    await handleCallbackQuery(update.callback_query, userInfo);
+    return;
+  }
+
+  const message = update.message;
+
+  if (message?.successful_payment) {
+    await handleSuccessfulPayment(userInfo, message);
+    return;
+  }
+
+  if (message?.photo) {
+    await handlePhoto(userInfo, message);
+    return;
+  }
+
+  const text = message?.text || '';
+
+  console.log(`Message from ${userInfo.firstName || 'Unknown'} (@${userInfo.username || 'no username'}): ${text}`);
+
+  const command = parseCommand(text);
+  if (command) {
+    await dispatchCommand(command, userInfo, handleHelp);
+    return;
+  }
+
+  await handleText(userInfo, text, message);
+}
+
+registerCommand('start', handleStart);
+registerCommand('greeting', requestGreeting);
+registerCommand('help', handleHelp);
+registerCommand('friend', startFriendFlow);
+registerCommand('cancel', handleCancel);
+registerCommand('occasion', handleOccasion);
+registerCommand('photo', handlePhotoCommand);
+registerCommand('midnight', handleMidnightCommand);
+registerCommand('language', handleLanguage);
+
+registerAdminCommands(handleHelp);
+registerAdminCommand('broadcast', handleBroadcastCommand, handleHelp);
+
+onOnboardingFinished(requestGreeting);
+
+// A paid extra belongs to the latest greeting like a free one, but skips its limits
+onPaymentReceived(async (userInfo, payment) => {
+  const stage = PRODUCTS[payment.product].stage;
+  await handleExtra(
+    { ...withPreferences(userInfo), occasion: getLatestAttempt(userInfo.chatId).occasion || 'newyear' },
+    stage,
+    { paymentId: payment.id, ...(stage === 'song' ? { style: pickSongStyle(userInfo.chatId) } : {}) }
+  );
+});
+
+registerCallback('card', (userInfo, arg, query) => handleExtraCallback(userInfo, query, 'image'));
+registerCallback('song', (userInfo, arg, query) => handleExtraCallback(userInfo, query, 'song', {
+  style: pickSongStyle(userInfo.chatId)
+}));
+registerCallback('occ', async (userInfo, arg, query) => {
+  await answerCallbackQuery(query.id);
+  if (query.message) {
+    await editMessageReplyMarkup(userInfo.chatId, query.message.message_id);
+  }
+  await chooseOccasion(userInfo, arg);
+});
+registerCallback('lang', async (userInfo, arg, query) => {
+  await answerCallbackQuery(query.id);
+  if (query.message) {
+    await editMessageReplyMarkup(userInfo.chatId, query.message.message_id);
+  }
+  await chooseLanguage(userInfo, arg);
+});
+
+registerFlow('occasion', async (userInfo, text) => {
+  const details = text.trim();
+  if (!details || details.startsWith('/') || details.length > MAX_OCCASION_DETAILS_LENGTH) {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'occasion.invalidCustom', { max: MAX_OCCASION_DETAILS_LENGTH }));
+    return;
+  }
+
+  endConversation(userInfo.chatId);
+  setPreferences(userInfo.chatId, { occasion: 'custom', occasionDetails: details });
+  await requestGreeting(userInfo);
+});
+
+/**
+ * Handle /start command, including deep-link payloads (t.me/bot?start=<payload>)
+ * @param {Object} userInfo - User information
+ * @param {Object} command - Parsed command
+ */
+async function handleStart(userInfo, command) {
+  // t.me/bot?start=gift_<token> delivers a greeting a friend ordered for this user
+  if (command.payload.startsWith('gift_')) {
+    await deliverGift(userInfo, command.payload.slice('gift_'.length));
+    return;
+  }
+
+  // t.me/bot?start=greeting skips the welcome and goes straight to the greeting
+  if (command.payload === 'greeting') {
+    await requestGreeting(userInfo);
+    return;
+  }
+
+  // t.me/bot?start=<occasion> picks the occasion, e.g. t.me/bot?start=birthday
+  if (isOccasion(command.payload)) {
+    await chooseOccasion(userInfo, command.payload);
+    return;
+  }
+
+  const occasion = resolveOccasion(withPreferences(userInfo));
+  const hello = userInfo.firstName
+    ? t(userInfo.language, 'start.hello', { name: userInfo.firstName })
+    : t(userInfo.language, 'start.helloAnonymous');
+  const welcomeMessage = `${hello}
+
+${t(userInfo.language, 'start.welcome', { about: occasion.ui.about })}`;
+
+  await sendMessage(userInfo.chatId, welcomeMessage);
+}
+
+/**
+ * Handle /help command (and unknown commands)
+ * @param {Object} userInfo - User information
+ */
+async function handleHelp(userInfo) {
+  const help = t(userInfo.language, 'help');
+  await sendMessage(userInfo.chatId, isAdmin(userInfo.id) ? `${help}\n\n${getAdminHelp()}` : help);
+}
+
+/**
+ * Handle /cancel command - leave the current dialog
+ * @param {Object} userInfo - User information
+ */
+async function handleCancel(userInfo) {
+  const hadConversation = endConversation(userInfo.chatId);
+
+  // Some dialogs show a reply keyboard (e.g. the time zone list); it goes with them
+  await sendMessage(userInfo.chatId, t(userInfo.language, hadConversation ? 'cancel.done' : 'cancel.nothing'), {
+    reply_markup: { remove_keyboard: true }
+  });
+}
+
+/**
+ * Fallback for non-command text: an active dialog gets it first,
+ * otherwise any message asks for a greeting
+ * @param {Object} userInfo - User information
+ * @param {string} text - Message text
+ * @param {Object} message - Telegram message
+ */
+async function handleText(userInfo, text, message) {
+  if (await handleConversationMessage(userInfo, text, message)) {
+    return;
+  }
+
+  await requestGreeting(userInfo);
+}
+
+/**
+ * Handle a photo: an active dialog gets it first, otherwise it's a selfie for the cards
+ * @param {Object} userInfo - User information
+ * @param {Object} message - Telegram message with photo
+ */
+async function handlePhoto(userInfo, message) {
+  if (await handleConversationMessage(userInfo, message.caption || '', message)) {
+    return;
+  }
+
+  rememberSelfie(userInfo.chatId, message.photo);
+
+  // After a greeting the "another card" button shows the selfie right away
+  const keyboard = hasBeenGreeted(userInfo.chatId) ? await buildActionsKeyboard(withPreferences(userInfo)) : {};
+  await sendMessage(userInfo.chatId, t(userInfo.language, 'photo.saved'), keyboard);
+}
+
+/**
+ * Handle /occasion command - pick what to congratulate on
+ * Accepts the occasion ID as an argument (/occasion birthday), otherwise shows a menu
+ * @param {Object} userInfo - User information
+ * @param {Object} command - Parsed command
+ */
+async function handleOccasion(userInfo, command) {
+  const id = command.args[0]?.toLowerCase();
+  if (isOccasion(id)) {
+    await chooseOccasion(userInfo, id);
+    return;
+  }
+
+  const current = resolveOccasion(withPreferences(userInfo));
+  const buttons = listOccasions(userInfo.language).map(occasion => ({
+    text: `${occasion.emoji} ${occasion.title}`,
+    callback_data: encodeCallback('occ', userInfo.id, occasion.id)
+  }));
+
+  // Two buttons per row
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+
+  await sendMessage(
+    userInfo.chatId,
+    t(userInfo.language, 'occasion.menu', { occasion: `${current.emoji} ${current.title}` }),
+    inlineKeyboard(rows)
+  );
+}
+
+/**
+ * Save the chosen occasion and start the greeting
+ * A custom occasion first asks the user to describe it
+ * @param {Object} userInfo - User information
+ * @param {string} id - Occasion ID
+ */
+async function chooseOccasion(userInfo, id) {
+  if (!isOccasion(id)) return;
+
+  if (id === 'custom') {
+    startConversation(userInfo.chatId, 'occasion', 'details');
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'occasion.askCustom'));
+    return;
+  }
+
+  setPreferences(userInfo.chatId, { occasion: id, occasionDetails: null });
+  await requestGreeting(userInfo);
+}
+
+/**
+ * Handle /language command - override the Telegram client language
+ * Accepts the language code as an argument (/language en), otherwise shows a menu
+ * @param {Object} userInfo - User information
+ * @param {Object} command - Parsed command
+ */
+async function handleLanguage(userInfo, command) {
+  const code = command.args[0]?.toLowerCase();
+  if (isLanguage(code)) {
+    await chooseLanguage(userInfo, code);
+    return;
+  }
+
+  const buttons = Object.entries(LANGUAGES).map(([language, label]) => ({
+    text: label,
+    callback_data: encodeCallback('lang', userInfo.id, language)
+  }));
+
+  await sendMessage(userInfo.chatId, t(userInfo.language, 'language.menu'), inlineKeyboard([buttons]));
+}
+
+/**
+ * Save the chosen language and confirm in it
+ * @param {Object} userInfo - User information
+ * @param {string} language - Language code
+ */
+async function chooseLanguage(userInfo, language) {
+  if (!isLanguage(language)) return;
+
+  setPreferences(userInfo.chatId, { language });
+  await sendMessage(userInfo.chatId, t(language, 'language.set'));
+}
+
+/**
+ * Start a greeting if the chat has one left for this occasion and isn't cooling down
+ * @param {Object} userInfo - User information
+ */
+async function requestGreeting(userInfo) {
+  userInfo = withPreferences(userInfo);
+
+  // The admin stopped new greetings for now; extras of earlier ones still work
+  if (isPaused()) {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'greeting.paused', { emoji: resolveOccasion(userInfo).emoji }));
+    return;
+  }
+
+  // The New Year greeting is already waiting for midnight
+  const schedule = getSchedule(userInfo.chatId);
+  if (schedule && userInfo.occasion === 'newyear') {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'midnight.pending', { wait: formatCountdown(userInfo.language, schedule) }));
+    return;
+  }
+
+  const quota = getGreetingQuota(userInfo.chatId, userInfo.occasion);
+  if (quota.left === 0 || quota.waitMs > 0) {
+    await sendQuotaExhausted(userInfo, quota);
+    return;
+  }
+
+  // Offer a few questions first, unless they were answered (or declined) before.
+  // The dialog calls back here when it's over
+  if (!userInfo.profile) {
+    if (await startOnboarding(userInfo)) return;
+    userInfo = withPreferences(userInfo);
+  }
+
+  // Atomically claim the chat's next greeting so no other instance starts a second pipeline for it
+  if (!(await claimChat(userInfo.chatId, userInfo.occasion, quota.used))) {
+    const occasion = resolveOccasion(userInfo);
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'greeting.busy', { emoji: occasion.emoji }));
+    return;
+  }
+
+  spendGreeting(userInfo.chatId, userInfo.occasion);
+  await handleGreeting(userInfo);
+}
+
+/**
+ * Tell the user when their next greeting for this occasion is possible, if at all,
+ * and what they can still order for the latest one
+ * @param {Object} userInfo - User information with occasion
+ * @param {Object} quota - Greeting quota of the occasion
+ */
+async function sendQuotaExhausted(userInfo, quota) {
+  const occasion = resolveOccasion(userInfo);
+  let text;
+
+  if (quota.left > 0) {
+    text = t(userInfo.language, 'greeting.cooldown', {
+      occasion: occasion.title,
+      wait: formatWait(userInfo.language, quota.waitMs),
+      left: quota.left
+    });
+  } else {
+    const image = getExtrasLeft(userInfo.chatId, 'image');
+    const song = getExtrasLeft(userInfo.chatId, 'song');
+    text = t(userInfo.language, 'greeting.done', {
+      occasion: occasion.title,
+      used: quota.used,
+      emoji: occasion.emoji,
+      extras: image || song ? t(userInfo.language, 'quota.extras', { image, song }) : t(userInfo.language, 'quota.noExtras'),
+      wish: occasion.ui.wish
+    });
+  }
+
+  await sendMessage(userInfo.chatId, text, await buildActionsKeyboard(userInfo));
+}
+
+/**
+ * Handle "another card" / "different song" buttons
+ * @param {Object} userInfo - User information
+ * @param {Object} query - Telegram callback_query
+ * @param {string} stage - Stage to rerun (image, song)
+ * @param {Object} options - Stage options
+ */
+async function handleExtraCallback(userInfo, query, stage, options = {}) {
+  if (!hasBeenGreeted(userInfo.chatId)) {
+    await answerCallbackQuery(query.id, { text: t(userInfo.language, 'extra.limit'), show_alert: true });
+    return;
+  }
+
+  // Out of free ones - offer the same for Stars
+  if (getExtrasLeft(userInfo.chatId, stage) === 0) {
+    await answerCallbackQuery(query.id, { text: t(userInfo.language, 'extra.limit') });
+    await sendProductInvoice(userInfo, getProductForStage(stage));
+    return;
+  }
+
+  const waitMs = getExtraWait(userInfo.chatId);
+  if (waitMs > 0) {
+    await answerCallbackQuery(query.id, { text: t(userInfo.language, 'extra.cooldown', { wait: formatWait(userInfo.language, waitMs) }), show_alert: true });
+    return;
+  }
+
+  // Extras belong to the latest greeting, so they keep its occasion
+  userInfo = {
+    ...withPreferences(userInfo),
+    occasion: getLatestAttempt(userInfo.chatId).occasion || 'newyear'
+  };
+
+  // One extra at a time per chat, across instances too
+  const claimKey = `extra:${userInfo.chatId}`;
+  if (!(await getCoordinator().claim(claimKey, EXTRA_CLAIM_TTL_MS))) {
+    await answerCallbackQuery(query.id, { text: t(userInfo.language, 'extra.busy') });
+    return;
+  }
+
+  try {
+    await answerCallbackQuery(query.id, { text: t(userInfo.language, stage === 'image' ? 'extra.drawing' : 'extra.composing') });
+
+    // Remove the buttons so the same menu can't be pressed twice
+    if (query.message) {
+      await editMessageReplyMarkup(userInfo.chatId, query.message.message_id);
+    }
+
+    await handleExtra(userInfo, stage, options);
+  } finally {
+    await getCoordinator().release(claimKey);
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * Broadcasts: one message from the admin to every user the bot knows
+ * The admin composes the message, sees a preview and confirms. It is copied to
+ * every chat at a throttled rate, chats that blocked the bot are marked inactive,
+ * and progress is saved after every chat, so a restart resumes where it stopped
+ */
+
+import crypto from 'node:crypto';
+import { sendMessage, editMessageText, editMessageReplyMarkup, answerCallbackQuery, copyMessage, inlineKeyboard, TelegramError } from './telegram.js';
+import { openStore } from './storage.js';
+import { registerCallback, encodeCallback } from './callbacks.js';
+import { registerFlow, startConversation, endConversation } from './conversations.js';
+import { listActiveChats, markInactive } from './users.js';
+import { isBanned } from './admin.js';
+import { getCoordinator } from './coordination.js';
+
+// Telegram allows about 30 messages per second across all chats; stay below it
+const MESSAGES_PER_SECOND = 25;
+
+// How often the admin's progress message is updated
+const PROGRESS_INTERVAL_MS = 5000;
+
+// Tries per chat for errors other than "too many requests"
+const MAX_SEND_TRIES = 3;
+
+// Pause before retrying a failed send when Telegram doesn't say how long to wait
+const RETRY_DELAY_MS = 1000;
+
+// Only one instance sends a broadcast; its claim is renewed while it runs and lapses if the instance dies
+const BROADCAST_CLAIM_TTL_MS = 2 * 60 * 1000;
+
+// Broadcast ID -> { status: draft | running | stopped | done | cancelled, counters, ... }
+const broadcasts = openStore('broadcasts');
+
+// Broadcast ID -> chat IDs, fixed when the broadcast is confirmed
+const recipientLists = openStore('broadcast-recipients');
+
+// Broadcasts running in this process
+const activeBroadcasts = new Set();
+
+/**
+ * Handle /broadcast command (admin only) - ask for the message to send
+ * @param {Object} userInfo - Admin's user information
+ */
+export async function handleBroadcastCommand(userInfo) {
+  startConversation(userInfo.chatId, 'broadcast', 'compose');
+  await sendMessage(userInfo.chatId, '📣 Пришли сообщение для рассылки — текст, фото, аудио, как оно должно выглядеть у пользователей. /cancel — отмена');
+}
+
+registerFlow('broadcast', async (userInfo, text, conversation, message) => {
+  endConversation(userInfo.chatId);
+
+  const id = crypto.randomBytes(4).toString('hex');
+  broadcasts.set(id, {
+    id,
+    chatId: userInfo.chatId,
+    createdBy: userInfo.id,
+    messageId: message.message_id,
+    status: 'draft',
+    createdAt: new Date().toISOString()
+  });
+
+  // The preview is a copy made exactly the way every user will get it
+  try {
+    await copyMessage(userInfo.chatId, userInfo.chatId, message.message_id);
+  } catch (error) {
+    broadcasts.delete(id);
+    await sendMessage(userInfo.chatId, `❌ Такое сообщение разослать не получится: ${error.description || error.message}`);
+    return;
+  }
+
+  await sendMessage(
+    userInfo.chatId,
+    `☝️ Так рассылка будет выглядеть. Получателей: ${getAudience().length}. Отправляем?`,
+    inlineKeyboard([[
+      { text: '✅ Отправить', callback_data: encodeCallback('bcast', userInfo.id, `go:${id}`) },
+      { text: '✖️ Отмена', callback_data: encodeCallback('bcast', userInfo.id, `no:${id}`) }
+    ]])
+  );
+});
+
+registerCallback('bcast', async (userInfo, arg, query) => {
+  const [command, id] = arg.split(':');
+  const broadcast = broadcasts.get(id);
+
+  if (command === 'stop') {
+    if (broadcast?.status === 'running') {
+      broadcasts.set(id, { ...broadcast, status: 'stopped' });
+    }
+    await answerCallbackQuery(query.id, { text: 'Останавливаю рассылку' });
+    return;
+  }
+
+  await answerCallbackQuery(query.id);
+  if (query.message) {
+    await editMessageReplyMarkup(userInfo.chatId, query.message.message_id);
+  }
+  if (broadcast?.status !== 'draft') return;
+
+  if (command === 'no') {
+    broadcasts.set(id, { ...broadcast, status: 'cancelled' });
+    await sendMessage(userInfo.chatId, '✖️ Рассылка отменена');
+    return;
+  }
+  if (command !== 'go') return;
+
+  // Fix the audience and mark it running before anything async, so a second press does nothing
+  const recipients = getAudience();
+  recipientLists.set(id, recipients);
+  broadcasts.set(id, {
+    ...broadcast,
+    status: 'running',
+    total: recipients.length,
+    cursor: 0,
+    sent: 0,
+    blocked: 0,
+    failed: 0,
+    startedAt: new Date().toISOString()
+  });
+
+  // Sending starts first: a progress message that fails to go out mustn't leave the broadcast running but idle
+  const run = runBroadcast(id);
+  try {
+    const progress = await sendMessage(userInfo.chatId, formatProgress(broadcasts.get(id)), stopKeyboard(broadcasts.get(id)));
+    broadcasts.update(id, (current) => ({ ...current, progressMessageId: progress.result.message_id }));
+  } catch (error) {
+    console.error('Error sending broadcast progress:', error);
+  }
+  await run;
+});
+
+/**
+ * Send a confirmed broadcast to the rest of its recipients
+ * Only the instance holding the broadcast's claim sends it
+ * @param {string} id - Broadcast ID
+ * @param {Object} options - { resumed } to tell the admin it goes on after a restart
+ * @returns {Promise<boolean>} False if another instance is sending it
+ */
+export async function runBroadcast(id, options = {}) {
+  if (activeBroadcasts.has(id)) return false;
+  activeBroadcasts.add(id);
+
+  const claimKey = `broadcast:${id}`;
+  if (!(await getCoordinator().claim(claimKey, BROADCAST_CLAIM_TTL_MS))) {
+    activeBroadcasts.delete(id);
+    return false;
+  }
+
+  // Sending stops if the claim is lost, so two instances never send the same broadcast
+  let lost = false;
+  const heartbeat = setInterval(() => {
+    getCoordinator().renew(claimKey, BROADCAST_CLAIM_TTL_MS).then((held) => {
+      if (!held) {
+        console.error(`Lost the claim of broadcast ${id}`);
+        lost = true;
+      }
+    }).catch((error) => console.error(`Error renewing broadcast ${id}:`, error));
+  }, BROADCAST_CLAIM_TTL_MS / 4);
+
+  try {
+    if (options.resumed) {
+      const broadcast = broadcasts.get(id);
+      await sendMessage(broadcast.chatId, `▶️ Продолжаю рассылку с ${broadcast.cursor}/${broadcast.total} после перезапуска`)
+        .catch((error) => console.error('Error announcing resumed broadcast:', error));
+    }
+
+    const recipients = recipientLists.get(id) || [];
+    let reportedAt = Date.now();
+
+    while (!lost) {
+      const broadcast = broadcasts.get(id);
+      if (broadcast.status !== 'running' || broadcast.cursor >= recipients.length) break;
+
+      const outcome = await deliver(broadcast, recipients[broadcast.cursor]);
+
+      // Re-read: the admin may have stopped the broadcast meanwhile
+      broadcasts.update(id, (current) => ({ ...current, cursor: current.cursor + 1, [outcome]: current[outcome] + 1 }));
+
+      if (Date.now() - reportedAt >= PROGRESS_INTERVAL_MS) {
+        await reportProgress(id);
+        reportedAt = Date.now();
+      }
+      await sleep(1000 / MESSAGES_PER_SECOND);
+    }
+
+    if (lost) return true;
+
+    const broadcast = broadcasts.get(id);
+    if (broadcast.status === 'running') {
+      broadcasts.set(id, { ...broadcast, status: 'done', finishedAt: new Date().toISOString() });
+    }
+    console.log(`Broadcast ${id} ${broadcasts.get(id).status}: ${broadcast.sent} sent, ${broadcast.blocked} blocked, ${broadcast.failed} failed`);
+    await reportProgress(id);
+  } catch (error) {
+    console.error(`Error running broadcast ${id}:`, error);
+  } finally {
+    clearInterval(heartbeat);
+    activeBroadcasts.delete(id);
+    // A lost claim belongs to another instance now
+    if (!lost) {
+      await getCoordinator().release(claimKey).catch((error) => console.error(`Error releasing broadcast ${id}:`, error));
+    }
+  }
+  return true;
+}
+
+/**
+ * Resume every broadcast left running by a previous process (unless another instance sends it)
+ * @returns {Promise<void>}
+ */
+export async function resumeBroadcasts() {
+  const running = broadcasts.values().filter(broadcast => broadcast.status === 'running');
+  if (running.length === 0) return;
+
+  console.log(`Resuming up to ${running.length} broadcast(s)`);
+  await Promise.all(running.map(broadcast => runBroadcast(broadcast.id, { resumed: true })));
+}
+
+/**
+ * Copy the broadcast message to one chat
+ * Waits out "too many requests" as long as Telegram asks; a chat that blocked the bot is marked inactive
+ * @param {Object} broadcast - Broadcast
+ * @param {number} chatId - Recipient chat ID
+ * @returns {Promise<string>} Counter to bump: sent, blocked or failed
+ */
+async function deliver(broadcast, chatId) {
+  let tries = 0;
+
+  while (true) {
+    try {
+      await copyMessage(chatId, broadcast.chatId, broadcast.messageId);
+      return 'sent';
+    } catch (error) {
+      if (error instanceof TelegramError && error.blocked) {
+        markInactive(chatId, error.description);
+        return 'blocked';
+      }
+
+      // The client gave up on a long retry_after; a broadcast can afford to wait
+      if (error instanceof TelegramError && error.errorCode === 429) {
+        await sleep((error.parameters.retry_after || 1) * 1000);
+        continue;
+      }
+
+      // Timed out or lost on the way back: the copy may be in the chat already, don't send it twice
+      if (++tries >= MAX_SEND_TRIES || (error instanceof TelegramError && error.errorCode === null)) {
+        console.error(`Broadcast ${broadcast.id} to chat ${chatId} failed:`, error.message);
+        return 'failed';
+      }
+      await sleep(RETRY_DELAY_MS);
+    }
+  }
+}
+
+/**
+ * Show the broadcast's counters in the admin's progress message
+ * @param {string} id - Broadcast ID
+ */
+async function reportProgress(id) {
+  const broadcast = broadcasts.get(id);
+  if (!broadcast.progressMessageId) return;
+
+  try {
+    await editMessageText(broadcast.chatId, broadcast.progressMessageId, formatProgress(broadcast), stopKeyboard(broadcast));
+  } catch (error) {
+    console.error('Error reporting broadcast progress:', error);
+  }
+}
+
+/**
+ * Format the progress of a broadcast
+ * @param {Object} broadcast - Broadcast
+ * @returns {string} Progress text
+ */
+function formatProgress(broadcast) {
+  const title = {
+    running: '📣 Рассылка идёт',
+    stopped: '⏹ Рассылка остановлена',
+    done: '✅ Рассылка завершена'
+  }[broadcast.status];
+
+  return `${title}: ${broadcast.cursor}/${broadcast.total}
+
+✅ Доставлено: ${broadcast.sent}
+⛔ Заблокировали бота: ${broadcast.blocked}
+❌ Ошибок: ${broadcast.failed}`;
+}
+
+/**
+ * Build the stop button, shown while the broadcast runs
+ * @param {Object} broadcast - Broadcast
+ * @returns {Object} Message options
+ */
+function stopKeyboard(broadcast) {
+  if (broadcast.status !== 'running') {
+    return { reply_markup: { inline_keyboard: [] } };
+  }
+  return inlineKeyboard([[
+    { text: '⏹ Остановить', callback_data: encodeCallback('bcast', broadcast.createdBy, `stop:${broadcast.id}`) }
+  ]]);
+}
+
+/**
+ * Get the chats a new broadcast goes to: everyone reachable and not banned
+ * @returns {number[]} Chat IDs
+ */
+function getAudience() {
+  return listActiveChats().filter(chatId => !isBanned(chatId));
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
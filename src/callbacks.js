@@ -0,0 +1,93 @@
+/**
+ * Inline keyboard callbacks
+ * callback_data is limited to 64 bytes, so it is packed as
+ * "<action>|<userId base36>|<arg>|<signature>"
+ */
+
+import crypto from 'node:crypto';
+import { answerCallbackQuery } from './telegram.js';
+import { getLanguage, t } from './i18n.js';
+
+// Action name -> handler(userInfo, arg, query)
+const handlers = new Map();
+
+/**
+ * Register a handler for a callback action
+ * @param {string} action - Short action name (keep it a few characters)
+ * @param {Function} handler - Called with (userInfo, arg, query)
+ */
+export function registerCallback(action, handler) {
+  handlers.set(action, handler);
+}
+
+/**
+ * Encode callback data for a button issued to one user
+ * @param {string} action - Action name
+ * @param {number} userId - Telegram user ID the button belongs to
+ * @param {string} arg - Optional short argument
+ * @returns {string} callback_data
+ */
+export function encodeCallback(action, userId, arg = '') {
+  const body = `${action}|${userId.toString(36)}|${arg}`;
+  const data = `${body}|${sign(body)}`;
+
+  if (Buffer.byteLength(data) > 64) {
+    throw new Error(`Callback data too long: ${data}`);
+  }
+  return data;
+}
+
+/**
+ * Decode and verify callback data
+ * @param {string} data - callback_data
+ * @returns {Object|null} { action, userId, arg } or null if malformed or forged
+ */
+export function decodeCallback(data) {
+  const parts = (data || '').split('|');
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  const [action, userId36, arg, signature] = parts;
+  if (sign(`${action}|${userId36}|${arg}`) !== signature) {
+    return null;
+  }
+
+  return { action, userId: parseInt(userId36, 36), arg };
+}
+
+/**
+ * Handle a callback_query update
+ * Every button is checked against the user it was issued to
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} userInfo - User information of whoever pressed the button
+ */
+export async function handleCallbackQuery(query, userInfo) {
+  const callback = decodeCallback(query.data);
+  const handler = callback && handlers.get(callback.action);
+
+  if (!handler) {
+    await answerCallbackQuery(query.id, { text: t(getLanguage(userInfo), 'callback.expired') });
+    return;
+  }
+
+  if (callback.userId !== query.from.id) {
+    await answerCallbackQuery(query.id, { text: t(getLanguage(userInfo), 'callback.foreign'), show_alert: true });
+    return;
+  }
+
+  await handler(userInfo, callback.arg, query);
+}
+
+/**
+ * Short signature so callback data can't be forged by a modified client
+ * @param {string} body - Data to sign
+ * @returns {string} 6-character signature
+ */
+function sign(body) {
+  return crypto
+    .createHmac('sha256', process.env.TELEGRAM_BOT_TOKEN || '')
+    .update(body)
+    .digest('base64url')
+    .slice(0, 6);
+}
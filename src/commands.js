@@ -0,0 +1,89 @@
+/**
+ * Bot command parsing and routing
+ */
+
+import { getMe } from './telegram.js';
+import { t } from './i18n.js';
+
+// Commands shown in the Telegram menu (registered with setMyCommands),
+// descriptions live in the message catalog as command.<name>
+export const BOT_COMMANDS = ['start', 'greeting', 'occasion', 'friend', 'photo', 'midnight', 'language', 'cancel', 'help'];
+
+// Command name -> handler(userInfo, command)
+const handlers = new Map();
+
+// Cached bot username, used to tell /cmd@ourbot from /cmd@otherbot in groups
+let botUsername = process.env.BOT_USERNAME || null;
+
+/**
+ * Build the command menu in a language
+ * @param {string} language - Language code
+ * @returns {Array<Object>} BotCommand objects for setMyCommands
+ */
+export function getBotCommands(language) {
+  return BOT_COMMANDS.map(command => ({ command, description: t(language, `command.${command}`) }));
+}
+
+/**
+ * Register a handler for a command
+ * @param {string} name - Command name without the slash
+ * @param {Function} handler - Called with (userInfo, command)
+ */
+export function registerCommand(name, handler) {
+  handlers.set(name.toLowerCase(), handler);
+}
+
+/**
+ * Parse a bot command from message text
+ * Supports the /command@botname suffix and arguments, e.g. the
+ * deep-link payload in "/start <payload>"
+ * @param {string} text - Message text
+ * @returns {Object|null} { name, mention, args, payload } or null if not a command
+ */
+export function parseCommand(text) {
+  const match = /^\/([a-zA-Z0-9_]{1,32})(?:@([a-zA-Z0-9_]+))?(?:\s+([\s\S]*))?$/.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+
+  const payload = (match[3] || '').trim();
+  return {
+    name: match[1].toLowerCase(),
+    mention: match[2] || null,
+    args: payload ? payload.split(/\s+/) : [],
+    payload
+  };
+}
+
+/**
+ * Route a command to its handler
+ * @param {Object} command - Parsed command
+ * @param {Object} userInfo - User information
+ * @param {Function} onUnknown - Called for commands without a handler
+ * @returns {Promise<boolean>} False if the command was addressed to another bot
+ */
+export async function dispatchCommand(command, userInfo, onUnknown) {
+  if (command.mention && command.mention.toLowerCase() !== (await getBotUsername())?.toLowerCase()) {
+    return false;
+  }
+
+  const handler = handlers.get(command.name) || onUnknown;
+  await handler(userInfo, command);
+  return true;
+}
+
+/**
+ * Get the bot's username (BOT_USERNAME or getMe, cached)
+ * @returns {Promise<string|null>} Username without @
+ */
+export async function getBotUsername() {
+  if (!botUsername) {
+    try {
+      const me = await getMe();
+      botUsername = me.result?.username || null;
+    } catch (error) {
+      console.error('Error fetching bot username:', error);
+    }
+  }
+  return botUsername;
+}
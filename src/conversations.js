@@ -0,0 +1,180 @@
+/**
+ * Per-chat conversation state for multi-step dialogs
+ * A conversation belongs to a flow (e.g. "friend") and is persisted,
+ * so a restart doesn't drop users in the middle of a dialog.
+ * A dialog nobody answers times out; its flow may react to that.
+ */
+
+import { openStore } from './storage.js';
+import { getCoordinator } from './coordination.js';
+
+// A dialog ends after this long without an answer, unless its flow sets its own timeout
+const CONVERSATION_TIMEOUT_MS = 30 * 60 * 1000;
+
+// How often timed out conversations are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Long enough for every instance's sweep to see a timeout was already handled
+const TIMEOUT_CLAIM_TTL_MS = 60 * 60 * 1000;
+
+const conversations = openStore('conversations');
+
+// Flow name -> { handler(userInfo, text, conversation, message), timeoutMs, onTimeout(conversation) }
+const flows = new Map();
+
+setInterval(() => {
+  sweepConversations().catch(error => console.error('Error sweeping conversations:', error));
+}, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Register the message handler of a flow
+ * @param {string} flow - Flow name
+ * @param {Function} handler - Called with (userInfo, text, conversation, message)
+ * @param {Object} options - { timeoutMs } of silence before the dialog ends,
+ *   { onTimeout(conversation) } called once when it does
+ */
+export function registerFlow(flow, handler, options = {}) {
+  flows.set(flow, {
+    handler,
+    timeoutMs: options.timeoutMs || CONVERSATION_TIMEOUT_MS,
+    onTimeout: options.onTimeout || null
+  });
+}
+
+/**
+ * Start (or restart) a conversation in a chat
+ * @param {number} chatId - Chat ID
+ * @param {string} flow - Flow name
+ * @param {string} step - First step
+ * @param {Object} data - Initial data
+ * @returns {Object} Conversation
+ */
+export function startConversation(chatId, flow, step, data = {}) {
+  return conversations.set(chatId, {
+    chatId,
+    flow,
+    step,
+    data,
+    updatedAt: new Date().toISOString(),
+    expiresAt: Date.now() + getTimeout(flow)
+  });
+}
+
+/**
+ * Get the active conversation of a chat
+ * @param {number} chatId - Chat ID
+ * @returns {Object|null} Conversation or null (also once it timed out)
+ */
+export function getConversation(chatId) {
+  const conversation = conversations.get(chatId);
+  return conversation && !isExpired(conversation) ? conversation : null;
+}
+
+/**
+ * Move a conversation to another step and merge data
+ * @param {number} chatId - Chat ID
+ * @param {string} step - Next step
+ * @param {Object} data - Data to merge
+ * @returns {Object} Conversation
+ */
+export function advanceConversation(chatId, step, data = {}) {
+  return conversations.update(chatId, (conversation) => ({
+    ...conversation,
+    step,
+    data: { ...conversation?.data, ...data },
+    updatedAt: new Date().toISOString(),
+    expiresAt: Date.now() + getTimeout(conversation?.flow)
+  }));
+}
+
+/**
+ * End the conversation of a chat
+ * @param {number} chatId - Chat ID
+ * @returns {boolean} Whether there was one
+ */
+export function endConversation(chatId) {
+  return conversations.delete(chatId);
+}
+
+/**
+ * Hand a message to the chat's active conversation, if any
+ * @param {Object} userInfo - User information
+ * @param {string} text - Message text (empty for photos, stickers etc.)
+ * @param {Object} message - Telegram message, for flows that take more than text
+ * @returns {Promise<boolean>} True if a conversation consumed the message
+ */
+export async function handleConversationMessage(userInfo, text, message = null) {
+  const conversation = conversations.get(userInfo.chatId);
+  const flow = conversation && flows.get(conversation.flow);
+
+  if (!flow) {
+    return false;
+  }
+
+  // The sweep hasn't caught this one yet: time it out now. If the flow
+  // answers timeouts, that answer replaces handling the message
+  if (isExpired(conversation)) {
+    await expireConversation(conversation);
+    return Boolean(flow.onTimeout);
+  }
+
+  await flow.handler(userInfo, text, conversation, message);
+  return true;
+}
+
+/**
+ * End all timed out conversations and let their flows react
+ * @returns {Promise<void>}
+ */
+export async function sweepConversations() {
+  for (const [, conversation] of conversations.entries()) {
+    if (isExpired(conversation)) {
+      await expireConversation(conversation);
+    }
+  }
+}
+
+/**
+ * End a timed out conversation and call its flow's onTimeout, once across instances
+ * @param {Object} conversation - Conversation
+ */
+async function expireConversation(conversation) {
+  // Restarted or ended in the meantime
+  if (conversations.get(conversation.chatId)?.expiresAt !== conversation.expiresAt) {
+    return;
+  }
+
+  const claimKey = `timeout:${conversation.chatId}:${conversation.expiresAt}`;
+  if (!(await getCoordinator().claim(claimKey, TIMEOUT_CLAIM_TTL_MS))) {
+    return;
+  }
+  conversations.delete(conversation.chatId);
+
+  const onTimeout = flows.get(conversation.flow)?.onTimeout;
+  if (!onTimeout) return;
+
+  try {
+    await onTimeout(conversation);
+  } catch (error) {
+    console.error(`Error timing out ${conversation.flow} conversation:`, error);
+  }
+}
+
+/**
+ * Check whether a conversation timed out
+ * Conversations saved before timeouts existed never do
+ * @param {Object} conversation - Conversation
+ * @returns {boolean} True if expired
+ */
+function isExpired(conversation) {
+  return Boolean(conversation.expiresAt) && conversation.expiresAt <= Date.now();
+}
+
+/**
+ * Get the timeout of a flow
+ * @param {string} flow - Flow name
+ * @returns {number} Timeout in milliseconds
+ */
+function getTimeout(flow) {
+  return flows.get(flow)?.timeoutMs || CONVERSATION_TIMEOUT_MS;
+}
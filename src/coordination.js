@@ -0,0 +1,221 @@
+/**
+ * Coordination between bot instances
+ * Atomic claims used to dedupe Telegram updates and to make sure
+ * only one instance greets a given chat, even when render.yaml scales out
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { getDataDir } from './storage.js';
+
+// Telegram keeps undelivered updates for 24 hours, so remember update IDs that long
+const UPDATE_CLAIM_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A chat claim only has to outlive the start of its greeting (the quota count moves on then);
+// after a crash in between, the chat is free again this much later
+const CHAT_CLAIM_TTL_MS = 60 * 60 * 1000;
+
+// A pipeline claim lapses this long after its last renewal, so the pipelines of a crashed
+// instance are picked up by another one (or by the same one after a restart)
+export const PIPELINE_CLAIM_TTL_MS = 2 * 60 * 1000;
+
+// Tells this process's claims from those of earlier (crashed) processes and other hosts
+const OWNER = `${process.pid}-${crypto.randomUUID()}`;
+
+// How often expired claims are swept from disk
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} Coordinator
+ * @property {(key: string, ttlMs?: number) => Promise<boolean>} claim
+ *   Atomically take a key. Resolves true for exactly one caller until the key
+ *   is released or its TTL (if any) expires.
+ * @property {(key: string, ttlMs: number) => Promise<boolean>} renew
+ *   Push back the expiry of a key this process holds. Resolves false if it doesn't hold it any more.
+ * @property {(key: string) => Promise<void>} release
+ *   Give a key back so it can be claimed again.
+ */
+
+let coordinator = null;
+
+/**
+ * Get the active coordinator (file-based unless another one was installed)
+ * @returns {Coordinator} Coordinator
+ */
+export function getCoordinator() {
+  if (!coordinator) {
+    coordinator = createFileCoordinator(path.join(getDataDir(), 'claims'));
+  }
+  return coordinator;
+}
+
+/**
+ * Install a different coordinator, e.g. one backed by a shared store
+ * @param {Coordinator} impl - Coordinator implementation
+ */
+export function setCoordinator(impl) {
+  coordinator = impl;
+}
+
+/**
+ * Claim a Telegram update so redeliveries are processed only once
+ * @param {number} updateId - Telegram update_id
+ * @returns {Promise<boolean>} True if this is the first time the update is seen
+ */
+export async function claimUpdate(updateId) {
+  if (updateId === undefined || updateId === null) return true;
+  return getCoordinator().claim(`update:${updateId}`, UPDATE_CLAIM_TTL_MS);
+}
+
+/**
+ * Claim a chat for its next greeting on an occasion
+ * @param {number} chatId - Chat ID
+ * @param {string} occasion - Occasion ID
+ * @param {number} count - Greetings the chat already got on the occasion
+ * @returns {Promise<boolean>} True if this caller may greet the chat
+ */
+export async function claimChat(chatId, occasion, count) {
+  return getCoordinator().claim(`chat:${chatId}:${occasion}:${count}`, CHAT_CLAIM_TTL_MS);
+}
+
+/**
+ * Release a chat so its next greeting on an occasion can be claimed again
+ * @param {number} chatId - Chat ID
+ * @param {string} occasion - Occasion ID
+ * @param {number} count - Greetings the chat already got on the occasion
+ * @returns {Promise<void>}
+ */
+export async function releaseChat(chatId, occasion, count) {
+  return getCoordinator().release(`chat:${chatId}:${occasion}:${count}`);
+}
+
+/**
+ * Claim a pipeline before running or resuming it, so only one instance runs it
+ * The claim must be renewed within PIPELINE_CLAIM_TTL_MS while the pipeline runs
+ * @param {string} pipelineId - Pipeline ID
+ * @returns {Promise<boolean>} True if this instance may run the pipeline
+ */
+export async function claimPipeline(pipelineId) {
+  return getCoordinator().claim(`pipeline:${pipelineId}`, PIPELINE_CLAIM_TTL_MS);
+}
+
+/**
+ * Keep the claim of a running pipeline alive
+ * @param {string} pipelineId - Pipeline ID
+ * @returns {Promise<boolean>} False if the claim was lost (it lapsed and another instance took it)
+ */
+export async function renewPipeline(pipelineId) {
+  return getCoordinator().renew(`pipeline:${pipelineId}`, PIPELINE_CLAIM_TTL_MS);
+}
+
+/**
+ * Release a pipeline once it is finished or left to be resumed
+ * @param {string} pipelineId - Pipeline ID
+ * @returns {Promise<void>}
+ */
+export async function releasePipeline(pipelineId) {
+  return getCoordinator().release(`pipeline:${pipelineId}`);
+}
+
+/**
+ * Coordinator backed by lock files on a single host
+ * A claim is an exclusive file create ('wx'), which is atomic across processes
+ * @param {string} dir - Directory for claim files
+ * @returns {Coordinator} Coordinator
+ */
+export function createFileCoordinator(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (key) => path.join(dir, key.replace(/[^\w.-]/g, '_'));
+
+  const isExpired = (file) => {
+    try {
+      const { expiresAt } = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return expiresAt !== null && expiresAt <= Date.now();
+    } catch (e) {
+      // Unreadable claim (half-written) - treat as live
+      return false;
+    }
+  };
+
+  const sweep = () => {
+    for (const name of fs.readdirSync(dir)) {
+      const file = path.join(dir, name);
+      if (isExpired(file)) {
+        fs.rmSync(file, { force: true });
+      }
+    }
+  };
+
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async claim(key, ttlMs) {
+      const file = fileFor(key);
+      const body = JSON.stringify({
+        key,
+        owner: OWNER,
+        pid: process.pid,
+        claimedAt: Date.now(),
+        expiresAt: ttlMs ? Date.now() + ttlMs : null
+      });
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          fs.writeFileSync(file, body, { flag: 'wx' });
+          return true;
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+          if (!isExpired(file)) return false;
+          // Expired claim - remove it and race for the key once more
+          fs.rmSync(file, { force: true });
+        }
+      }
+      return false;
+    },
+
+    async renew(key, ttlMs) {
+      const file = fileFor(key);
+      try {
+        const claim = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (claim.owner !== OWNER || isExpired(file)) return false;
+        fs.writeFileSync(file, JSON.stringify({ ...claim, expiresAt: Date.now() + ttlMs }));
+        return true;
+      } catch (e) {
+        // Gone or unreadable - not ours any more
+        return false;
+      }
+    },
+
+    async release(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    }
+  };
+}
+
+/**
+ * Coordinator on top of a shared key-value store
+ * The store needs an atomic set-if-absent with expiry, e.g. Redis
+ * `SET key value NX PX ttl`, and an expiry update that only applies while the key still
+ * holds a value (a small Lua script in Redis), wrapped as
+ * { setIfAbsent(key, value, ttlMs), expireIfEquals(key, value, ttlMs), delete(key) }
+ * @param {Object} store - Shared store client
+ * @param {string} prefix - Key prefix to keep this bot's claims apart
+ * @returns {Coordinator} Coordinator
+ */
+export function createSharedCoordinator(store, prefix = 'newyear-bot:') {
+  return {
+    async claim(key, ttlMs) {
+      return Boolean(await store.setIfAbsent(prefix + key, OWNER, ttlMs));
+    },
+
+    async renew(key, ttlMs) {
+      return Boolean(await store.expireIfEquals(prefix + key, OWNER, ttlMs));
+    },
+
+    async release(key) {
+      await store.delete(prefix + key);
+    }
+  };
+}
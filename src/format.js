@@ -0,0 +1,260 @@
+/**
+ * Safe Telegram HTML
+ * Messages are sent with parse_mode HTML, so text from outside (the model, user
+ * names) is escaped before it goes in. The model's markdown-ish emphasis becomes
+ * Telegram tags, a partial (streamed) text gets its open tags closed, and long
+ * HTML is split or cut to Telegram's limits without breaking tags or entities
+ */
+
+// Telegram's limits, in characters of the text after entities parsing
+export const MAX_MESSAGE_LENGTH = 4096;
+export const MAX_CAPTION_LENGTH = 1024;
+
+// Markdown markers the model uses -> Telegram tags, longest first
+const MARKERS = [
+  ['```', 'pre'],
+  ['**', 'b'],
+  ['__', 'b'],
+  ['~~', 's'],
+  ['*', 'i'],
+  ['_', 'i'],
+  ['`', 'code']
+];
+
+// Tags whose content is shown as is
+const CODE_TAGS = ['pre', 'code'];
+
+// Appended to a text cut to fit
+const ELLIPSIS = '…';
+
+/**
+ * Escape text for Telegram HTML
+ * @param {string} text - Untrusted text
+ * @returns {string} Text safe to put into an HTML message
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn the model's text into Telegram HTML
+ * Everything is escaped; **bold**, __bold__, *italic*, _italic_, ~~strike~~, `code`,
+ * ```code blocks``` and # headings become tags. A marker without a pair stays as is,
+ * unless the text is partial: then the tags still open at its end are closed
+ * @param {string} text - Model output
+ * @param {Object} options - { partial: true } for a text that is still being written
+ * @returns {string} Telegram HTML
+ */
+export function markdownToHtml(text, options = {}) {
+  const source = escapeHtml(text).replace(/^#{1,6}[ \t]+(.+)$/gm, '**$1**');
+  const out = [];
+  // Markers waiting for their pair: { marker, tag, index } (index of the marker in out)
+  const open = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const match = MARKERS.find(([marker]) => source.startsWith(marker, i));
+    if (!match) {
+      out.push(source[i++]);
+      continue;
+    }
+
+    const [marker, tag] = match;
+    const openIndex = open.findLastIndex(opener => opener.marker === marker);
+    const inCode = open.some(opener => CODE_TAGS.includes(opener.tag));
+
+    if (openIndex >= 0 && (!inCode || CODE_TAGS.includes(tag)) && canClose(source, i, tag)) {
+      // Markers opened inside this pair and never closed stay as they are
+      const [opener] = open.splice(openIndex);
+      out[opener.index] = `<${tag}>`;
+      out.push(`</${tag}>`);
+    } else if (!inCode && canOpen(source, i, marker, tag)) {
+      open.push({ marker, tag, index: out.length });
+      out.push(marker);
+    } else if (options.partial && i + marker.length === source.length) {
+      // The text that follows decides what this marker is
+    } else {
+      out.push(marker);
+    }
+    i += marker.length;
+  }
+
+  if (options.partial) {
+    for (const opener of open) {
+      out[opener.index] = `<${opener.tag}>`;
+    }
+    for (const opener of open.reverse()) {
+      out.push(`</${opener.tag}>`);
+    }
+  }
+
+  return out.join('');
+}
+
+/**
+ * Split HTML into message-sized chunks, at a line break or a space where possible
+ * Tags open at a cut are closed at the end of the chunk and opened again in the next one
+ * @param {string} html - Telegram HTML
+ * @param {number} limit - Maximum visible length of a chunk
+ * @returns {string[]} Chunks (one empty chunk for an empty text)
+ */
+export function splitHtml(html, limit = MAX_MESSAGE_LENGTH) {
+  const tokens = tokenize(html);
+  const chunks = [];
+  let start = 0;
+
+  while (start < tokens.length) {
+    // Skip the whitespace the previous chunk was cut at
+    while (start < tokens.length && tokens[start].visible && !tokens[start].value.trim()) start++;
+
+    let visible = 0;
+    let end = start;
+    let lineBreak = -1;
+    let spaceBreak = -1;
+    while (end < tokens.length && visible + tokens[end].length <= limit) {
+      // Only a break in the second half of the chunk is worth a shorter chunk
+      if (visible >= limit / 2 && tokens[end].visible) {
+        if (tokens[end].value === '\n') lineBreak = end;
+        else if (/^\s$/.test(tokens[end].value)) spaceBreak = end;
+      }
+      visible += tokens[end].length;
+      end++;
+    }
+
+    // Cut at a line break, else at a space, else wherever the limit is
+    if (end < tokens.length) {
+      const cut = lineBreak >= 0 ? lineBreak : spaceBreak;
+      if (cut > start) end = cut;
+    }
+    // A single token longer than the limit can't be split further
+    if (end === start) end++;
+
+    const before = openTagsAt(tokens, start);
+    const after = openTagsAt(tokens, end);
+    chunks.push(
+      before.map(tag => tag.value).join('')
+      + tokens.slice(start, end).map(token => token.value).join('').trimEnd()
+      + after.reverse().map(tag => `</${tag.name}>`).join('')
+    );
+    start = end;
+  }
+
+  return chunks.length > 0 ? chunks : [''];
+}
+
+/**
+ * Cut HTML to a length (e.g. for a caption), closing the tags open at the cut
+ * @param {string} html - Telegram HTML
+ * @param {number} limit - Maximum visible length
+ * @returns {string} HTML that fits, with an ellipsis if it was cut
+ */
+export function truncateHtml(html, limit = MAX_CAPTION_LENGTH) {
+  if (visibleLength(tokenize(html)) <= limit) {
+    return html;
+  }
+  return splitHtml(html, limit - ELLIPSIS.length)[0] + ELLIPSIS;
+}
+
+/**
+ * Get the text a user sees for some HTML (e.g. to speak it or to show it as plain text)
+ * @param {string} html - Telegram HTML
+ * @returns {string} Text without tags and entities
+ */
+export function htmlToText(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get the visible length of some HTML, the way Telegram counts it
+ * @param {string} html - Telegram HTML
+ * @returns {number} Characters (UTF-16 code units)
+ */
+export function getVisibleLength(html) {
+  return visibleLength(tokenize(html));
+}
+
+/**
+ * Whether a marker at a position opens a pair: something follows it, and an underscore
+ * or asterisk doesn't sit inside a word (snake_case, 2*3)
+ * @param {string} source - Escaped text
+ * @param {number} i - Marker position
+ * @param {string} marker - Marker
+ * @param {string} tag - Tag of the marker
+ * @returns {boolean}
+ */
+function canOpen(source, i, marker, tag) {
+  const next = source[i + marker.length];
+  if (next === undefined || (!CODE_TAGS.includes(tag) && /\s/.test(next))) {
+    return false;
+  }
+  return CODE_TAGS.includes(tag) || !/[\p{L}\p{N}]/u.test(source[i - 1] || '');
+}
+
+/**
+ * Whether a marker at a position closes a pair: it doesn't follow whitespace
+ * @param {string} source - Escaped text
+ * @param {number} i - Marker position
+ * @param {string} tag - Tag of the marker
+ * @returns {boolean}
+ */
+function canClose(source, i, tag) {
+  return CODE_TAGS.includes(tag) || !/\s/.test(source[i - 1] || ' ');
+}
+
+/**
+ * Break HTML into tags, entities and characters
+ * @param {string} html - Telegram HTML
+ * @returns {Array<Object>} Tokens: { value, visible, length, name (of a tag), closing }
+ */
+function tokenize(html) {
+  const tokens = [];
+  const pattern = /<(\/?)([a-z-]+)[^>]*>|&[#\w]+;|[\s\S]/giu;
+
+  for (const [value, closing, name] of html.matchAll(pattern)) {
+    if (name) {
+      tokens.push({ value, visible: false, length: 0, name: name.toLowerCase(), closing: Boolean(closing) });
+    } else {
+      // An entity counts as the one character it stands for; an emoji takes two code units
+      tokens.push({ value, visible: true, length: value.startsWith('&') ? 1 : value.length });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Get the visible length of tokens
+ * @param {Array<Object>} tokens - Tokens
+ * @returns {number} Characters
+ */
+function visibleLength(tokens) {
+  return tokens.reduce((sum, token) => sum + token.length, 0);
+}
+
+/**
+ * Get the tags open before a token
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Token index
+ * @returns {Array<Object>} Open tag tokens, outermost first
+ */
+function openTagsAt(tokens, index) {
+  const open = [];
+  for (const token of tokens.slice(0, index)) {
+    if (token.visible) continue;
+    if (token.closing) {
+      const at = open.findLastIndex(tag => tag.name === token.name);
+      if (at >= 0) open.splice(at, 1);
+    } else {
+      open.push(token);
+    }
+  }
+  return open;
+}
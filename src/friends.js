@@ -0,0 +1,332 @@
+/**
+ * "Greet a friend" mode
+ * The sender names a friend (plus a few optional facts), the bot prepares text,
+ * card and song for them and hands back a deep link the friend opens to get the package
+ */
+
+import crypto from 'node:crypto';
+import { sendMessage, sendAudio, sendPackage, answerCallbackQuery, inlineKeyboard } from './telegram.js';
+import { generateGreeting } from './openrouter.js';
+import { generateGreetingCard } from './imagegen.js';
+import { generateSong } from './suno.js';
+import { openStore } from './storage.js';
+import { defineStage, definePipelineKind, createPipeline, runPipeline } from './jobs.js';
+import { registerFlow, startConversation, advanceConversation, endConversation, getConversation } from './conversations.js';
+import { registerCallback, encodeCallback } from './callbacks.js';
+import { getBotUsername } from './commands.js';
+import { notifyAdmin } from './analytics.js';
+import { getDefaultOccasion, resolveOccasion } from './occasions.js';
+import { getPreferences } from './preferences.js';
+import { getLanguage, t } from './i18n.js';
+import { escapeHtml, markdownToHtml, splitHtml } from './format.js';
+
+// Friend greetings each sender may order (separate from their own greeting)
+const GIFT_LIMIT = 3;
+
+// Longest friend name and facts we accept
+const MAX_NAME_LENGTH = 40;
+const MAX_FACTS_LENGTH = 300;
+
+const gifts = openStore('gifts');
+
+/**
+ * How many more friend greetings a user may order
+ * @param {number} userId - Telegram user ID of the sender
+ * @returns {number} Gifts left
+ */
+export function getGiftsLeft(userId) {
+  const used = gifts.values().filter(gift => gift.sender.id === userId).length;
+  return Math.max(0, GIFT_LIMIT - used);
+}
+
+/**
+ * Start the "greet a friend" dialog (/friend)
+ * @param {Object} userInfo - User information of the sender
+ */
+export async function startFriendFlow(userInfo) {
+  if (getGiftsLeft(userInfo.id) === 0) {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'friend.limit', { limit: GIFT_LIMIT }));
+    return;
+  }
+
+  startConversation(userInfo.chatId, 'friend', 'name');
+  await sendMessage(userInfo.chatId, t(userInfo.language, 'friend.askName', { left: getGiftsLeft(userInfo.id) }));
+}
+
+registerFlow('friend', async (userInfo, text, conversation) => {
+  const value = text.trim();
+
+  if (conversation.step === 'name') {
+    if (!value || value.startsWith('/') || value.length > MAX_NAME_LENGTH) {
+      await sendMessage(userInfo.chatId, t(userInfo.language, 'friend.invalidName', { max: MAX_NAME_LENGTH }));
+      return;
+    }
+
+    advanceConversation(userInfo.chatId, 'facts', { name: value });
+    await sendMessage(
+      userInfo.chatId,
+      t(userInfo.language, 'friend.askFacts', { name: escapeHtml(value) }),
+      inlineKeyboard([[{ text: t(userInfo.language, 'friend.skip'), callback_data: encodeCallback('fskip', userInfo.id) }]])
+    );
+    return;
+  }
+
+  if (conversation.step === 'facts') {
+    await createGift(userInfo, conversation.data.name, value.slice(0, MAX_FACTS_LENGTH));
+  }
+});
+
+registerCallback('fskip', async (userInfo, arg, query) => {
+  const conversation = getConversation(userInfo.chatId);
+
+  if (conversation?.flow !== 'friend' || conversation.step !== 'facts') {
+    await answerCallbackQuery(query.id, { text: t(userInfo.language, 'dialog.stale') });
+    return;
+  }
+
+  await answerCallbackQuery(query.id);
+  await createGift(userInfo, conversation.data.name, null);
+});
+
+/**
+ * Deliver a friend greeting to whoever opened its deep link (/start gift_<token>)
+ * @param {Object} userInfo - User information of the recipient
+ * @param {string} token - Gift token
+ */
+export async function deliverGift(userInfo, token) {
+  const gift = gifts.get(token);
+
+  if (!gift || gift.status !== 'ready') {
+    await sendMessage(
+      userInfo.chatId,
+      t(userInfo.language, gift ? 'gift.notReady' : 'gift.notFound')
+    );
+    return;
+  }
+
+  const from = gift.sender.firstName || t(userInfo.language, 'gift.anonymous');
+  const occasion = resolveOccasion({ occasion: gift.occasion || 'newyear', occasionDetails: gift.occasionDetails });
+  await sendMessage(userInfo.chatId, t(userInfo.language, 'gift.header', { name: escapeHtml(gift.recipient.name), from: escapeHtml(from) }));
+
+  // One postcard: the card with the poem as its caption (if it fits), then the song
+  const items = [];
+  if (gift.photoFileId) {
+    items.push({ type: 'photo', media: gift.photoFileId });
+  } else if (gift.documentFileId) {
+    items.push({ type: 'document', media: gift.documentFileId });
+  }
+  if (gift.audioFileId) {
+    items.push({
+      type: 'audio',
+      media: gift.audioFileId,
+      caption: t(userInfo.language, 'gift.songCaption', {
+        emoji: occasion.emoji,
+        title: escapeHtml(gift.songTitle || t(userInfo.language, 'gift.songTitle')),
+        from: escapeHtml(from)
+      })
+    });
+  }
+  await sendPackage(userInfo.chatId, items, { caption: markdownToHtml(gift.greeting) });
+
+  const firstOpen = (gift.openedBy || []).length === 0;
+  gifts.set(token, {
+    ...gift,
+    openedBy: [...(gift.openedBy || []), { id: userInfo.id, chatId: userInfo.chatId, at: new Date().toISOString() }]
+  });
+
+  if (firstOpen && userInfo.id !== gift.sender.id) {
+    try {
+      await sendMessage(gift.sender.chatId, t(getLanguage(gift.sender), 'friend.opened', { name: escapeHtml(gift.recipient.name) }));
+    } catch (error) {
+      console.error('Error notifying gift sender:', error);
+    }
+  }
+}
+
+/**
+ * Create a gift and run its generation pipeline
+ * @param {Object} userInfo - User information of the sender
+ * @param {string} name - Friend's name
+ * @param {string|null} facts - Facts about the friend
+ */
+async function createGift(userInfo, name, facts) {
+  endConversation(userInfo.chatId);
+
+  if (getGiftsLeft(userInfo.id) === 0) {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'friend.limitReached'));
+    return;
+  }
+
+  // The friend is congratulated on the occasion the sender has chosen for themselves
+  const preferences = getPreferences(userInfo.chatId);
+  const occasion = preferences.occasion || getDefaultOccasion();
+  const occasionDetails = preferences.occasionDetails || null;
+
+  const token = crypto.randomBytes(9).toString('base64url');
+  gifts.set(token, {
+    token,
+    sender: {
+      id: userInfo.id,
+      chatId: userInfo.chatId,
+      firstName: userInfo.firstName,
+      username: userInfo.username,
+      language: userInfo.language
+    },
+    recipient: { name, facts },
+    occasion,
+    occasionDetails,
+    status: 'generating',
+    greeting: null,
+    photoFileId: null,
+    documentFileId: null,
+    audioFileId: null,
+    songTitle: null,
+    openedBy: [],
+    createdAt: new Date().toISOString()
+  });
+
+  await sendMessage(userInfo.chatId, t(userInfo.language, 'friend.preparing', { name: escapeHtml(name) }));
+
+  // The stages work "for" the friend but deliver previews to the sender's chat,
+  // in the sender's language
+  const recipientInfo = {
+    id: userInfo.id,
+    chatId: userInfo.chatId,
+    firstName: name,
+    lastName: null,
+    facts,
+    senderName: userInfo.firstName,
+    occasion,
+    occasionDetails,
+    language: userInfo.language
+  };
+
+  const pipelineId = createPipeline(recipientInfo, ['giftText', 'giftImage', 'giftSong'], {
+    kind: 'gift',
+    options: { token }
+  });
+  await runPipeline(pipelineId);
+}
+
+/**
+ * Update a gift record
+ * @param {string} token - Gift token
+ * @param {Object} patch - Fields to change
+ */
+function updateGift(token, patch) {
+  gifts.update(token, (gift) => ({ ...gift, ...patch }));
+}
+
+defineStage('giftText', {
+  critical: true,
+
+  async run(job, saveState) {
+    const { userInfo, options } = job;
+    let greeting = gifts.get(options.token)?.greeting;
+
+    if (!greeting) {
+      greeting = await generateGreeting(userInfo);
+      updateGift(options.token, { greeting });
+    }
+
+    if (!job.state.delivered) {
+      await sendGreetingText(userInfo.chatId, greeting);
+      saveState({ delivered: true });
+    }
+    return { success: true };
+  },
+
+  async onFailure(job) {
+    updateGift(job.options.token, { status: 'failed' });
+    await sendMessage(job.chatId, t(getLanguage(job.userInfo), 'friend.textFailed'));
+  }
+});
+
+defineStage('giftImage', {
+  async run(job, saveState) {
+    const { userInfo, options } = job;
+    if (job.state.delivered) return { success: true };
+
+    const imageUrl = await generateGreetingCard(userInfo);
+    if (!imageUrl) return { success: false };
+
+    // An image Telegram won't take as a photo goes as a document; the gift keeps whichever it became
+    const [sent] = await sendPackage(userInfo.chatId, [{ type: 'photo', media: imageUrl }], {
+      caption: t(getLanguage(userInfo), 'friend.cardCaption', { name: escapeHtml(userInfo.firstName) })
+    });
+    if (!sent.ok) return { success: false };
+
+    saveState({ delivered: true });
+    updateGift(options.token, sent.sentAs === 'photo'
+      ? { photoFileId: sent.message?.photo?.at(-1)?.file_id || null }
+      : { documentFileId: sent.message?.document?.file_id || null });
+    return { success: true };
+  }
+});
+
+defineStage('giftSong', {
+  async run(job, saveState) {
+    const { userInfo, options } = job;
+    if (job.state.delivered) return { success: true };
+
+    const song = await generateSong(userInfo, null, {
+      taskId: job.state.taskId,
+      onTaskStarted: (taskId) => saveState({ taskId })
+    });
+    if (!song?.audioUrl) return { success: false };
+
+    const sent = await sendAudio(userInfo.chatId, song.audioUrl, {
+      title: song.title,
+      performer: t(getLanguage(userInfo), 'song.performer'),
+      caption: t(getLanguage(userInfo), 'friend.songCaption', { name: userInfo.firstName })
+    });
+    saveState({ delivered: true });
+    updateGift(options.token, { audioFileId: sent.result?.audio?.file_id || null, songTitle: song.title });
+    return { success: true };
+  }
+});
+
+definePipelineKind('gift', {
+  /**
+   * Hand the sender the deep link for their friend
+   */
+  async onComplete(jobs) {
+    const { chatId, options, userInfo } = jobs[0];
+    const language = getLanguage(userInfo);
+    const gift = gifts.get(options.token);
+    if (!gift || !gift.greeting || gift.status === 'failed') return;
+
+    updateGift(options.token, { status: 'ready' });
+
+    const username = await getBotUsername();
+    const link = `https://t.me/${username}?start=gift_${options.token}`;
+    const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(t(language, 'friend.shareText', { name: gift.recipient.name }))}`;
+
+    await sendMessage(
+      chatId,
+      t(language, 'friend.ready', { name: escapeHtml(gift.recipient.name), link }),
+      inlineKeyboard([[{ text: t(language, 'friend.send'), url: shareUrl }]])
+    );
+
+    const status = (stage) => jobs.find(job => job.stage === stage)?.status === 'done' ? '✅' : '❌';
+    await notifyAdmin(`💌 Поздравление для друга готово!
+
+👤 От: ${escapeHtml(gift.sender.firstName || 'Unknown')} (@${gift.sender.username || 'нет'})
+🎯 Кому: ${escapeHtml(gift.recipient.name)}${gift.recipient.facts ? `\n📌 Факты: ${escapeHtml(gift.recipient.facts)}` : ''}
+
+📝 Текст: ${status('giftText')}
+🎨 Картинка: ${status('giftImage')}
+🎵 Песня: ${status('giftSong')}`);
+  }
+});
+
+/**
+ * Send a greeting the model wrote, in as many messages as it takes
+ * @param {number} chatId - Chat ID
+ * @param {string} greeting - Greeting text (markdown-ish)
+ */
+async function sendGreetingText(chatId, greeting) {
+  for (const chunk of splitHtml(markdownToHtml(greeting))) {
+    await sendMessage(chatId, chunk);
+  }
+}
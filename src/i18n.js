@@ -0,0 +1,664 @@
+/**
+ * Localization: message catalog and language selection
+ * The language comes from the /language override, else from Telegram's language_code
+ */
+
+// Supported languages with their menu labels
+export const LANGUAGES = {
+  ru: '🇷🇺 Русский',
+  en: '🇬🇧 English',
+  uk: '🇺🇦 Українська'
+};
+
+// Language for users whose client doesn't report one (the bot started out Russian-only)
+const DEFAULT_LANGUAGE = 'ru';
+
+// Language for reported languages we don't support
+const FOREIGN_LANGUAGE = 'en';
+
+// Client languages whose speakers mostly read one of ours
+const LANGUAGE_ALIASES = {
+  be: 'ru',
+  kk: 'ru'
+};
+
+/**
+ * Message catalog: language -> key -> text with {placeholders}
+ * Russian is the reference; a key missing in another language falls back to it
+ */
+const MESSAGES = {
+  ru: {
+    'name.friend': 'друг',
+    'signature': 'Ваш Максим ❤️',
+    'signature.from': '{sender} и Максим ❤️',
+
+    'start.hello': 'Привет, {name}!',
+    'start.helloAnonymous': 'Привет!',
+    'start.welcome': `Я бот Максима, и я создан специально для того, чтобы {about}!
+
+Нажми /greeting или просто напиши что-нибудь, чтобы получить своё персональное поздравление от Максима.`,
+    'help': `Вот что я умею:
+
+/greeting — получить персональное поздравление от Максима: стихи, открытку и песню
+/occasion — выбрать повод: день рождения, 8 Марта, свадьба или свой
+/friend — поздравить друга: я подготовлю всё и дам ссылку для него
+/photo — твоё фото для открытки
+/midnight — получить поздравление ровно в полночь 1 января
+/language — сменить язык
+/cancel — отменить текущий диалог
+/start — начать сначала
+/help — показать эту подсказку
+
+Или просто напиши мне что-нибудь 🎉`,
+    'cancel.done': 'Отменил 👌',
+    'cancel.nothing': 'Нечего отменять 🙂',
+
+    'command.start': 'Начать',
+    'command.greeting': 'Получить поздравление от Максима',
+    'command.occasion': 'Выбрать повод для поздравления',
+    'command.friend': 'Поздравить друга',
+    'command.photo': 'Твоё фото для открытки',
+    'command.midnight': 'Поздравление ровно в полночь на Новый год',
+    'command.language': 'Сменить язык',
+    'command.cancel': 'Отменить текущий диалог',
+    'command.help': 'Что умеет этот бот',
+
+    'language.menu': 'Выбери язык:',
+    'language.set': 'Готово, теперь говорю по-русски 👌',
+
+    'occasion.menu': 'С чем поздравляем? Сейчас выбрано: {occasion}',
+    'occasion.askCustom': `✨ Какой повод? Напиши коротко, например «новоселье» или «защита диплома».
+
+/cancel — передумал`,
+    'occasion.invalidCustom': 'Опиши повод коротко, до {max} символов 🙂',
+
+    'greeting.done': `На повод «{occasion}» поздравления закончились — ты получил {used}. {emoji}
+
+{extras}
+
+{wish}! ❤️
+
+/occasion — поздравить с другим поводом`,
+    'greeting.cooldown': `Следующее поздравление на повод «{occasion}» — через {wait} ⏳
+
+Осталось поздравлений: {left}.`,
+    'greeting.busy': `Поздравление уже в пути — подожди немного! {emoji}
+
+А если что-то сломалось... простите — одной рукой я режу салаты, а другой делал этого бота 🥗🤖`,
+    'greeting.paused': 'Поздравления ненадолго на паузе — загляни чуть позже! {emoji}',
+    'quota.extras': 'К последнему поздравлению ещё можно заказать: 🎨 открыток — {image}, 🎸 песен — {song}. Кнопки ниже 👇',
+    'quota.noExtras': 'Открытки и песни к последнему поздравлению тоже закончились.',
+    'quota.bonus': '🎁 Подарок от Максима! Теперь у тебя в запасе: поздравлений — {greetings}, открыток — {image}, песен — {song}.',
+    'time.minutes': '{minutes} мин',
+    'time.hours': '{hours} ч {minutes} мин',
+    'time.days': '{days} дн',
+
+    'extra.limit': 'Попытки к этому поздравлению закончились — с новым поздравлением появятся новые 🎁',
+    'extra.cooldown': 'Не так быстро! Следующую можно через {wait} ⏳',
+    'extra.busy': 'Уже готовлю, подожди немного! ⏳',
+    'extra.drawing': 'Рисую новую открытку! 🎨',
+    'extra.composing': 'Сочиняю новую песню! 🎸',
+
+    'text.generating': '✨ Генерирую поздравление...',
+    'text.failed': 'Извини, произошла ошибка. Попробуй ещё раз через минутку!',
+
+    'image.drawing': '🎨 Рисую кринжовую открытку в стиле Поля Чудес...',
+    'image.failed': '😔 Не удалось нарисовать открытку, но стихи уже у тебя!',
+
+    'song.intro': '🎵 А теперь готовлю для тебя персональную песню...\n\nЭто займёт пару минут, подожди!',
+    'song.starting': '🎵 Начинаю создание песни...',
+    'song.generating': '🎤 Генерирую музыку и вокал...\n\nЭто займёт 1-2 минуты.',
+    'song.almostDone': '🎧 Почти готово! Финальная обработка...',
+    'song.ready': '🎵 Песня готова! Отправляю...',
+    'song.failed': '😔 К сожалению, не удалось создать песню. Но текстовое поздравление уже у тебя!',
+    'song.error': '😔 Не удалось создать песню, но поздравление уже отправлено!',
+    'song.caption': '{emoji} {title}\n\n{wish}! 🎉',
+    'song.performer': 'Максим (AI)',
+    'song.sender': 'Максим',
+    'song.outro': 'От Максима с теплотой',
+    'song.outroFrom': '{sender} и Максим с теплотой',
+
+    'voice.caption': '🗣 А теперь то же самое — голосом!',
+
+    'product.card.title': 'Ещё одна открытка',
+    'product.card.description': 'Новая кринжовая открытка в стиле Поля Чудес — специально для тебя',
+    'product.song.title': 'Ещё одна песня',
+    'product.song.description': 'Новая песня про тебя в другом стиле',
+    'pay.invalid': 'Этот счёт уже недействителен — попроси новый 🙂',
+    'pay.thanks': 'Спасибо за звёзды! ⭐ Уже готовлю',
+    'pay.refunded': 'Не получилось 😔 Вернул тебе {amount} ⭐',
+
+    'actions.more': 'Что дальше? {emoji}',
+    'actions.card': '🎨 Ещё открытку ({left})',
+    'actions.song': '🎸 Песню в другом стиле ({left})',
+    'actions.buyCard': '⭐ Ещё открытку за {amount} ⭐',
+    'actions.buySong': '⭐ Ещё песню за {amount} ⭐',
+    'actions.share': '💌 Отправить другу',
+    'actions.shareText': 'Получи своё поздравление от Максима! {emoji}',
+
+    'callback.expired': 'Эта кнопка больше не работает 🤷',
+    'callback.foreign': 'Эта кнопка не для тебя 🙂',
+
+    'friend.limit': 'Ты уже поздравил {limit} друзей — это лимит, всего хорошего понемножку! 🎁',
+    'friend.limitReached': 'Лимит поздравлений для друзей исчерпан 🎁',
+    'friend.askName': `💌 Поздравим друга! Осталось поздравлений: {left}
+
+Как зовут того, кого поздравляем? Напиши имя, например «Мама» или «Серёжа».
+
+/cancel — передумал`,
+    'friend.invalidName': 'Напиши просто имя, до {max} символов 🙂',
+    'friend.askFacts': 'Отлично! Расскажи пару фактов про {name}: чем увлекается, кем работает, что любит. Я вплету это в частушки.',
+    'friend.skip': '⏭ Пропустить',
+    'friend.preparing': '✨ Готовлю поздравление для {name}: частушки, открытку и песню. Покажу тебе всё, а потом дам ссылку для друга. Это займёт пару минут!',
+    'friend.textFailed': 'Извини, не получилось сочинить поздравление. Попробуй ещё раз через минутку!',
+    'friend.cardCaption': '🎨 Открытка для {name}',
+    'friend.songCaption': '🎵 Песня для {name}',
+    'friend.ready': `🎁 Готово! Отправь эту ссылку {name} — по ней придёт всё поздравление от тебя через Максима:
+
+{link}`,
+    'friend.send': '💌 Отправить',
+    'friend.shareText': '{name}, это тебе! 🎁',
+    'friend.opened': '🎉 {name} открыл(а) твоё поздравление!',
+
+    'dialog.stale': 'Уже не актуально 🙂',
+
+    'onboarding.offer': 'Хочешь, чтобы поздравление было про тебя? Ответь на 5 коротких вопросов — я вплету ответы в стихи, открытку и песню.',
+    'onboarding.yes': '📝 Ответить',
+    'onboarding.no': '🎁 Сразу поздравление',
+    'onboarding.hobbies': '1/5. Чем ты увлекаешься?',
+    'onboarding.city': '2/5. Из какого ты города?',
+    'onboarding.pets': '3/5. Есть ли у тебя питомцы? Как их зовут?',
+    'onboarding.wish': '4/5. Чего тебе больше всего хочется в следующем году?',
+    'onboarding.photo': '5/5. Пришли селфи — и на открытке будешь ты! Или возьму фото из профиля.',
+    'onboarding.photoInvalid': 'Пришли фото или нажми одну из кнопок 🙂',
+    'onboarding.skip': '⏭ Пропустить',
+    'onboarding.invalid': 'Ответь текстом, до {max} символов, или нажми «Пропустить» 🙂',
+    'onboarding.thanks': 'Спасибо! Теперь я знаю о тебе чуть больше 🤗',
+    'onboarding.timeout': 'Я так и не дождался ответа — начинаю поздравление с тем, что уже знаю! ✨',
+
+    'photo.ask': 'Пришли селфи — и на открытке будешь ты! Или возьму фото из твоего профиля.',
+    'photo.profile': '🖼 Фото из профиля',
+    'photo.none': '🙅 Без фото',
+    'photo.saved': 'Фото сохранил — на следующей открытке будешь ты 📸',
+    'photo.profileSet': 'Хорошо, нарисую тебя по фото из профиля 🖼',
+    'photo.noneSet': 'Хорошо, открытки будут без твоего фото 👌',
+
+    'midnight.askTimezone': `🕛 Пришлю поздравление ровно в полночь 1 января по твоему времени! Всё приготовлю заранее.
+
+Поделись геопозицией (кнопка ниже) или выбери, который у тебя сейчас час.
+
+/cancel — передумал`,
+    'midnight.shareLocation': '📍 Отправить геопозицию',
+    'midnight.invalidTimezone': 'Нажми одну из кнопок ниже или пришли геопозицию 🙂',
+    'midnight.confirmed': '🎆 Договорились! Поздравление придёт в полночь 1 января ({zone}), через {wait}. Передумаешь — /midnight',
+    'midnight.scheduled': '🎆 Поздравление придёт в полночь 1 января ({zone}), через {wait}.',
+    'midnight.change': '🌍 Другой часовой пояс',
+    'midnight.cancel': '✖️ Не ждать полночь',
+    'midnight.cancelled': 'Хорошо, полночь не ждём. /greeting — получить поздравление сейчас 🎁',
+    'midnight.noQuota': 'Новогоднее поздравление ты уже получил 🎄 Ещё одно в полночь пока не выйдет.',
+    'midnight.pending': '🎆 Твоё поздравление ждёт полуночи 1 января — осталось {wait}. Хочешь сейчас — /midnight и «Не ждать полночь».',
+    'midnight.header': '🎆 С Новым годом! Как и обещал — ровно в полночь:',
+    'midnight.late': '🎆 С Новым годом! Полночь я чуть проспал, прости — но поздравление вот:',
+    'midnight.missed': 'Прости, я пропустил полночь и не успел тебя поздравить 😔 Нажми /greeting — поздравлю прямо сейчас!',
+
+    'about.username': 'Username в Telegram',
+    'about.premium': 'Premium пользователь Telegram',
+    'about.hobbies': 'Увлечения',
+    'about.city': 'Город',
+    'about.pets': 'Питомцы',
+    'about.wish': 'Мечта на следующий год',
+
+    'song.bridge.hobbies': 'Пусть {hobbies} радует тебя',
+    'song.bridge.city': 'Весь {city} тебе поёт',
+    'song.bridge.pets': '{pets} тоже шлёт привет',
+    'song.bridge.wish': 'Пусть сбудется мечта: {wish}',
+
+    'gift.notReady': 'Поздравление ещё готовится, загляни через пару минут! ⏳',
+    'gift.notFound': 'Хм, такого поздравления я не нашёл 🤔',
+    'gift.header': '🎁 {name}, тебе поздравление!\nОт кого: {from}, через Максима ❤️',
+    'gift.anonymous': 'друг',
+    'gift.songTitle': 'Песня для тебя',
+    'gift.songCaption': '{emoji} {title}\n\n{from} и Максим 🎉',
+
+    'inline.button': '{emoji} Напиши имя — получишь частушку',
+    'inline.textTitle': '{emoji} Частушка для {name}',
+    'inline.photoTitle': '🎨 Открытка для {name}',
+    'inline.limit': '⏳ Новые частушки — через {wait}, а пока заходи в бота'
+  },
+
+  en: {
+    'name.friend': 'friend',
+    'signature': 'Yours, Maxim ❤️',
+    'signature.from': '{sender} and Maxim ❤️',
+
+    'start.hello': 'Hi, {name}!',
+    'start.helloAnonymous': 'Hi!',
+    'start.welcome': `I'm Maxim's bot, and I was made for one thing: to {about}!
+
+Press /greeting or just write me anything to get your personal greeting from Maxim.`,
+    'help': `Here's what I can do:
+
+/greeting — get a personal greeting from Maxim: a poem, a card and a song
+/occasion — pick the occasion: birthday, March 8, wedding or your own
+/friend — greet a friend: I'll prepare everything and give you a link for them
+/photo — your photo for the card
+/midnight — get your greeting at midnight on January 1
+/language — change the language
+/cancel — cancel the current dialog
+/start — start over
+/help — show this help
+
+Or just write me anything 🎉`,
+    'cancel.done': 'Cancelled 👌',
+    'cancel.nothing': 'Nothing to cancel 🙂',
+
+    'command.start': 'Start',
+    'command.greeting': 'Get a greeting from Maxim',
+    'command.occasion': 'Pick the occasion',
+    'command.friend': 'Greet a friend',
+    'command.photo': 'Your photo for the card',
+    'command.midnight': 'A greeting at midnight on New Year\'s Eve',
+    'command.language': 'Change the language',
+    'command.cancel': 'Cancel the current dialog',
+    'command.help': 'What this bot can do',
+
+    'language.menu': 'Choose the language:',
+    'language.set': 'Done, I speak English now 👌',
+
+    'occasion.menu': 'What are we celebrating? Currently: {occasion}',
+    'occasion.askCustom': `✨ What's the occasion? Keep it short, e.g. "housewarming" or "graduation".
+
+/cancel — never mind`,
+    'occasion.invalidCustom': 'Describe the occasion briefly, up to {max} characters 🙂',
+
+    'greeting.done': `You've had all your greetings for {occasion}: {used} so far. {emoji}
+
+{extras}
+
+{wish}! ❤️
+
+/occasion — greet for another occasion`,
+    'greeting.cooldown': `Your next greeting for {occasion} is available in {wait} ⏳
+
+Greetings left: {left}.`,
+    'greeting.busy': `Your greeting is on its way, hold on a little! {emoji}
+
+And if something broke... sorry: I was chopping salads with one hand and building this bot with the other 🥗🤖`,
+    'greeting.paused': 'Greetings are paused for a little while — come back a bit later! {emoji}',
+    'quota.extras': 'You can still order for your latest greeting: 🎨 cards: {image}, 🎸 songs: {song}. Buttons below 👇',
+    'quota.noExtras': 'The cards and songs for your latest greeting are used up too.',
+    'quota.bonus': '🎁 A gift from Maxim! You now have in store: greetings: {greetings}, cards: {image}, songs: {song}.',
+    'time.minutes': '{minutes} min',
+    'time.hours': '{hours} h {minutes} min',
+    'time.days': '{days} days',
+
+    'extra.limit': 'No tries left for this greeting; a new greeting comes with new ones 🎁',
+    'extra.cooldown': 'Not so fast! The next one in {wait} ⏳',
+    'extra.busy': 'Already on it, hold on! ⏳',
+    'extra.drawing': 'Drawing a new card! 🎨',
+    'extra.composing': 'Composing a new song! 🎸',
+
+    'text.generating': '✨ Writing your greeting...',
+    'text.failed': 'Sorry, something went wrong. Try again in a minute!',
+
+    'image.drawing': '🎨 Drawing a gloriously tacky card...',
+    'image.failed': '😔 Couldn\'t draw the card, but you already have the poem!',
+
+    'song.intro': '🎵 And now I\'m making a personal song for you...\n\nIt takes a couple of minutes, hold on!',
+    'song.starting': '🎵 Starting the song...',
+    'song.generating': '🎤 Generating music and vocals...\n\nThis takes 1-2 minutes.',
+    'song.almostDone': '🎧 Almost there! Final touches...',
+    'song.ready': '🎵 The song is ready! Sending...',
+    'song.failed': '😔 Unfortunately the song didn\'t work out. But you already have the greeting!',
+    'song.error': '😔 Couldn\'t make the song, but the greeting is already sent!',
+    'song.caption': '{emoji} {title}\n\n{wish}! 🎉',
+    'song.performer': 'Maxim (AI)',
+    'song.sender': 'Maxim',
+    'song.outro': 'With love from Maxim',
+    'song.outroFrom': 'With love from {sender} and Maxim',
+
+    'voice.caption': '🗣 And now the same, out loud!',
+
+    'product.card.title': 'One more card',
+    'product.card.description': 'A new cringy card in the style of Pole Chudes, just for you',
+    'product.song.title': 'One more song',
+    'product.song.description': 'A new song about you in another style',
+    'pay.invalid': 'This invoice is no longer valid, ask for a new one 🙂',
+    'pay.thanks': 'Thanks for the Stars! ⭐ On it',
+    'pay.refunded': 'It didn\'t work out 😔 I\'ve refunded your {amount} ⭐',
+
+    'actions.more': 'What\'s next? {emoji}',
+    'actions.card': '🎨 Another card ({left})',
+    'actions.song': '🎸 Song in another style ({left})',
+    'actions.buyCard': '⭐ Another card for {amount} ⭐',
+    'actions.buySong': '⭐ Another song for {amount} ⭐',
+    'actions.share': '💌 Send to a friend',
+    'actions.shareText': 'Get your own greeting from Maxim! {emoji}',
+
+    'callback.expired': 'This button doesn\'t work anymore 🤷',
+    'callback.foreign': 'This button isn\'t for you 🙂',
+
+    'friend.limit': 'You\'ve already greeted {limit} friends, that\'s the limit. Enough is as good as a feast! 🎁',
+    'friend.limitReached': 'No friend greetings left 🎁',
+    'friend.askName': `💌 Let's greet a friend! Greetings left: {left}
+
+What's their name? Write it, e.g. "Mom" or "Sam".
+
+/cancel — never mind`,
+    'friend.invalidName': 'Just the name, please, up to {max} characters 🙂',
+    'friend.askFacts': 'Great! Tell me a couple of facts about {name}: hobbies, job, what they love. I\'ll weave them into the poem.',
+    'friend.skip': '⏭ Skip',
+    'friend.preparing': '✨ Preparing a greeting for {name}: a poem, a card and a song. I\'ll show you everything and then give you a link for your friend. It takes a couple of minutes!',
+    'friend.textFailed': 'Sorry, I couldn\'t write the greeting. Try again in a minute!',
+    'friend.cardCaption': '🎨 Card for {name}',
+    'friend.songCaption': '🎵 Song for {name}',
+    'friend.ready': `🎁 Done! Send this link to {name}, it delivers the whole greeting from you via Maxim:
+
+{link}`,
+    'friend.send': '💌 Send',
+    'friend.shareText': '{name}, this is for you! 🎁',
+    'friend.opened': '🎉 {name} opened your greeting!',
+
+    'dialog.stale': 'Not relevant anymore 🙂',
+
+    'onboarding.offer': 'Want the greeting to be about you? Answer 5 short questions and I\'ll weave your answers into the poem, the card and the song.',
+    'onboarding.yes': '📝 Answer',
+    'onboarding.no': '🎁 Just the greeting',
+    'onboarding.hobbies': '1/5. What are your hobbies?',
+    'onboarding.city': '2/5. What city are you from?',
+    'onboarding.pets': '3/5. Do you have pets? What are their names?',
+    'onboarding.wish': '4/5. What do you wish for most next year?',
+    'onboarding.photo': '5/5. Send a selfie and you\'ll be on the card yourself! Or I can use your profile photo.',
+    'onboarding.photoInvalid': 'Send a photo or press one of the buttons 🙂',
+    'onboarding.skip': '⏭ Skip',
+    'onboarding.invalid': 'Answer with text, up to {max} characters, or press "Skip" 🙂',
+    'onboarding.thanks': 'Thanks! Now I know you a little better 🤗',
+    'onboarding.timeout': 'I didn\'t get an answer, so I\'m starting the greeting with what I know! ✨',
+
+    'photo.ask': 'Send a selfie and you\'ll be on the card yourself! Or I can use your profile photo.',
+    'photo.profile': '🖼 Profile photo',
+    'photo.none': '🙅 No photo',
+    'photo.saved': 'Photo saved, you\'ll be on the next card 📸',
+    'photo.profileSet': 'Okay, I\'ll draw you from your profile photo 🖼',
+    'photo.noneSet': 'Okay, the cards will be without your photo 👌',
+
+    'midnight.askTimezone': `🕛 I'll send your greeting at exactly midnight on January 1, your time! I'll have everything ready in advance.
+
+Share your location (button below) or pick what time it is for you now.
+
+/cancel — never mind`,
+    'midnight.shareLocation': '📍 Share location',
+    'midnight.invalidTimezone': 'Press one of the buttons below or share your location 🙂',
+    'midnight.confirmed': '🎆 Deal! Your greeting arrives at midnight on January 1 ({zone}), in {wait}. Changed your mind? /midnight',
+    'midnight.scheduled': '🎆 Your greeting arrives at midnight on January 1 ({zone}), in {wait}.',
+    'midnight.change': '🌍 Another time zone',
+    'midnight.cancel': '✖️ Don\'t wait for midnight',
+    'midnight.cancelled': 'Okay, no waiting for midnight. /greeting — get your greeting now 🎁',
+    'midnight.noQuota': 'You\'ve already got your New Year greeting 🎄 Another one at midnight isn\'t possible for now.',
+    'midnight.pending': '🎆 Your greeting is waiting for midnight on January 1 — {wait} to go. Want it now? /midnight and "Don\'t wait for midnight".',
+    'midnight.header': '🎆 Happy New Year! As promised, at the stroke of midnight:',
+    'midnight.late': '🎆 Happy New Year! I overslept midnight a little, sorry — but here\'s your greeting:',
+    'midnight.missed': 'Sorry, I missed midnight and didn\'t greet you in time 😔 Press /greeting and I\'ll do it right now!',
+
+    'about.username': 'Telegram username',
+    'about.premium': 'Telegram Premium user',
+    'about.hobbies': 'Hobbies',
+    'about.city': 'City',
+    'about.pets': 'Pets',
+    'about.wish': 'Wish for next year',
+
+    'song.bridge.hobbies': 'May {hobbies} bring you joy',
+    'song.bridge.city': 'All of {city} sings for you',
+    'song.bridge.pets': '{pets} sends you hugs as well',
+    'song.bridge.wish': 'May your dream come true: {wish}',
+
+    'gift.notReady': 'The greeting is still being prepared, come back in a couple of minutes! ⏳',
+    'gift.notFound': 'Hmm, I couldn\'t find that greeting 🤔',
+    'gift.header': '🎁 {name}, a greeting for you!\nFrom: {from}, via Maxim ❤️',
+    'gift.anonymous': 'a friend',
+    'gift.songTitle': 'A song for you',
+    'gift.songCaption': '{emoji} {title}\n\n{from} and Maxim 🎉',
+
+    'inline.button': '{emoji} Type a name to get a ditty',
+    'inline.textTitle': '{emoji} A ditty for {name}',
+    'inline.photoTitle': '🎨 A card for {name}',
+    'inline.limit': '⏳ More ditties in {wait} - meanwhile, open the bot'
+  },
+
+  uk: {
+    'name.friend': 'друже',
+    'signature': 'Ваш Максим ❤️',
+    'signature.from': '{sender} і Максим ❤️',
+
+    'start.hello': 'Привіт, {name}!',
+    'start.helloAnonymous': 'Привіт!',
+    'start.welcome': `Я бот Максима, і я створений спеціально для того, щоб {about}!
+
+Натисни /greeting або просто напиши щось, щоб отримати своє персональне привітання від Максима.`,
+    'help': `Ось що я вмію:
+
+/greeting — отримати персональне привітання від Максима: вірші, листівку й пісню
+/occasion — обрати привід: день народження, 8 Березня, весілля або свій
+/friend — привітати друга: я все підготую і дам посилання для нього
+/photo — твоє фото для листівки
+/midnight — отримати привітання рівно опівночі 1 січня
+/language — змінити мову
+/cancel — скасувати поточний діалог
+/start — почати спочатку
+/help — показати цю підказку
+
+Або просто напиши мені щось 🎉`,
+    'cancel.done': 'Скасував 👌',
+    'cancel.nothing': 'Нічого скасовувати 🙂',
+
+    'command.start': 'Почати',
+    'command.greeting': 'Отримати привітання від Максима',
+    'command.occasion': 'Обрати привід для привітання',
+    'command.friend': 'Привітати друга',
+    'command.photo': 'Твоє фото для листівки',
+    'command.midnight': 'Привітання рівно опівночі на Новий рік',
+    'command.language': 'Змінити мову',
+    'command.cancel': 'Скасувати поточний діалог',
+    'command.help': 'Що вміє цей бот',
+
+    'language.menu': 'Обери мову:',
+    'language.set': 'Готово, тепер розмовляю українською 👌',
+
+    'occasion.menu': 'З чим вітаємо? Зараз обрано: {occasion}',
+    'occasion.askCustom': `✨ Який привід? Напиши коротко, наприклад «новосілля» або «захист диплома».
+
+/cancel — передумав`,
+    'occasion.invalidCustom': 'Опиши привід коротко, до {max} символів 🙂',
+
+    'greeting.done': `На привід «{occasion}» привітання закінчилися — ти отримав {used}. {emoji}
+
+{extras}
+
+{wish}! ❤️
+
+/occasion — привітати з іншим приводом`,
+    'greeting.cooldown': `Наступне привітання на привід «{occasion}» — через {wait} ⏳
+
+Залишилося привітань: {left}.`,
+    'greeting.busy': `Привітання вже в дорозі — зачекай трохи! {emoji}
+
+А якщо щось зламалося... вибачте — однією рукою я ріжу салати, а другою робив цього бота 🥗🤖`,
+    'greeting.paused': 'Привітання ненадовго на паузі — зазирни трохи пізніше! {emoji}',
+    'quota.extras': 'До останнього привітання ще можна замовити: 🎨 листівок — {image}, 🎸 пісень — {song}. Кнопки нижче 👇',
+    'quota.noExtras': 'Листівки й пісні до останнього привітання теж закінчилися.',
+    'quota.bonus': '🎁 Подарунок від Максима! Тепер у тебе в запасі: привітань — {greetings}, листівок — {image}, пісень — {song}.',
+    'time.minutes': '{minutes} хв',
+    'time.hours': '{hours} год {minutes} хв',
+    'time.days': '{days} дн',
+
+    'extra.limit': 'Спроби до цього привітання закінчилися — з новим привітанням з\'являться нові 🎁',
+    'extra.cooldown': 'Не так швидко! Наступну можна через {wait} ⏳',
+    'extra.busy': 'Уже готую, зачекай трохи! ⏳',
+    'extra.drawing': 'Малюю нову листівку! 🎨',
+    'extra.composing': 'Складаю нову пісню! 🎸',
+
+    'text.generating': '✨ Генерую привітання...',
+    'text.failed': 'Вибач, сталася помилка. Спробуй ще раз за хвилинку!',
+
+    'image.drawing': '🎨 Малюю кітчеву листівку...',
+    'image.failed': '😔 Не вдалося намалювати листівку, але вірші вже в тебе!',
+
+    'song.intro': '🎵 А тепер готую для тебе персональну пісню...\n\nЦе займе кілька хвилин, зачекай!',
+    'song.starting': '🎵 Починаю створювати пісню...',
+    'song.generating': '🎤 Генерую музику й вокал...\n\nЦе займе 1-2 хвилини.',
+    'song.almostDone': '🎧 Майже готово! Фінальна обробка...',
+    'song.ready': '🎵 Пісня готова! Надсилаю...',
+    'song.failed': '😔 На жаль, не вдалося створити пісню. Але текстове привітання вже в тебе!',
+    'song.error': '😔 Не вдалося створити пісню, але привітання вже надіслано!',
+    'song.caption': '{emoji} {title}\n\n{wish}! 🎉',
+    'song.performer': 'Максим (AI)',
+    'song.sender': 'Максим',
+    'song.outro': 'Від Максима з теплом',
+    'song.outroFrom': '{sender} і Максим з теплом',
+
+    'voice.caption': '🗣 А тепер те саме — голосом!',
+
+    'product.card.title': 'Ще одна листівка',
+    'product.card.description': 'Нова кринжова листівка в стилі Поля Чудес — спеціально для тебе',
+    'product.song.title': 'Ще одна пісня',
+    'product.song.description': 'Нова пісня про тебе в іншому стилі',
+    'pay.invalid': 'Цей рахунок уже недійсний — попроси новий 🙂',
+    'pay.thanks': 'Дякую за зірки! ⭐ Уже готую',
+    'pay.refunded': 'Не вийшло 😔 Повернув тобі {amount} ⭐',
+
+    'actions.more': 'Що далі? {emoji}',
+    'actions.card': '🎨 Ще листівку ({left})',
+    'actions.song': '🎸 Пісню в іншому стилі ({left})',
+    'actions.buyCard': '⭐ Ще листівку за {amount} ⭐',
+    'actions.buySong': '⭐ Ще пісню за {amount} ⭐',
+    'actions.share': '💌 Надіслати другу',
+    'actions.shareText': 'Отримай своє привітання від Максима! {emoji}',
+
+    'callback.expired': 'Ця кнопка більше не працює 🤷',
+    'callback.foreign': 'Ця кнопка не для тебе 🙂',
+
+    'friend.limit': 'Ти вже привітав {limit} друзів — це ліміт, усього доброго потроху! 🎁',
+    'friend.limitReached': 'Ліміт привітань для друзів вичерпано 🎁',
+    'friend.askName': `💌 Привітаймо друга! Залишилось привітань: {left}
+
+Як звати того, кого вітаємо? Напиши ім'я, наприклад «Мама» або «Сергій».
+
+/cancel — передумав`,
+    'friend.invalidName': 'Напиши просто ім\'я, до {max} символів 🙂',
+    'friend.askFacts': 'Чудово! Розкажи кілька фактів про {name}: чим захоплюється, ким працює, що любить. Я вплету це у вірші.',
+    'friend.skip': '⏭ Пропустити',
+    'friend.preparing': '✨ Готую привітання для {name}: вірші, листівку й пісню. Покажу тобі все, а потім дам посилання для друга. Це займе кілька хвилин!',
+    'friend.textFailed': 'Вибач, не вийшло скласти привітання. Спробуй ще раз за хвилинку!',
+    'friend.cardCaption': '🎨 Листівка для {name}',
+    'friend.songCaption': '🎵 Пісня для {name}',
+    'friend.ready': `🎁 Готово! Надішли це посилання {name} — за ним прийде все привітання від тебе через Максима:
+
+{link}`,
+    'friend.send': '💌 Надіслати',
+    'friend.shareText': '{name}, це тобі! 🎁',
+    'friend.opened': '🎉 {name} відкрив(ла) твоє привітання!',
+
+    'dialog.stale': 'Уже не актуально 🙂',
+
+    'onboarding.offer': 'Хочеш, щоб привітання було про тебе? Дай відповідь на 5 коротких питань — я вплету відповіді у вірші, листівку й пісню.',
+    'onboarding.yes': '📝 Відповісти',
+    'onboarding.no': '🎁 Одразу привітання',
+    'onboarding.hobbies': '1/5. Чим ти захоплюєшся?',
+    'onboarding.city': '2/5. З якого ти міста?',
+    'onboarding.pets': '3/5. Чи є в тебе домашні улюбленці? Як їх звати?',
+    'onboarding.wish': '4/5. Чого тобі найбільше хочеться наступного року?',
+    'onboarding.photo': '5/5. Надішли селфі — і на листівці будеш ти! Або візьму фото з профілю.',
+    'onboarding.photoInvalid': 'Надішли фото або натисни одну з кнопок 🙂',
+    'onboarding.skip': '⏭ Пропустити',
+    'onboarding.invalid': 'Відповідай текстом, до {max} символів, або натисни «Пропустити» 🙂',
+    'onboarding.thanks': 'Дякую! Тепер я знаю про тебе трохи більше 🤗',
+    'onboarding.timeout': 'Я так і не дочекався відповіді — починаю привітання з тим, що вже знаю! ✨',
+
+    'photo.ask': 'Надішли селфі — і на листівці будеш ти! Або візьму фото з твого профілю.',
+    'photo.profile': '🖼 Фото з профілю',
+    'photo.none': '🙅 Без фото',
+    'photo.saved': 'Фото зберіг — на наступній листівці будеш ти 📸',
+    'photo.profileSet': 'Добре, намалюю тебе за фото з профілю 🖼',
+    'photo.noneSet': 'Добре, листівки будуть без твого фото 👌',
+
+    'midnight.askTimezone': `🕛 Надішлю привітання рівно опівночі 1 січня за твоїм часом! Усе підготую заздалегідь.
+
+Поділися геопозицією (кнопка нижче) або обери, котра в тебе зараз година.
+
+/cancel — передумав`,
+    'midnight.shareLocation': '📍 Надіслати геопозицію',
+    'midnight.invalidTimezone': 'Натисни одну з кнопок нижче або надішли геопозицію 🙂',
+    'midnight.confirmed': '🎆 Домовились! Привітання прийде опівночі 1 січня ({zone}), через {wait}. Передумаєш — /midnight',
+    'midnight.scheduled': '🎆 Привітання прийде опівночі 1 січня ({zone}), через {wait}.',
+    'midnight.change': '🌍 Інший часовий пояс',
+    'midnight.cancel': '✖️ Не чекати опівночі',
+    'midnight.cancelled': 'Добре, опівночі не чекаємо. /greeting — отримати привітання зараз 🎁',
+    'midnight.noQuota': 'Новорічне привітання ти вже отримав 🎄 Ще одне опівночі поки не вийде.',
+    'midnight.pending': '🎆 Твоє привітання чекає опівночі 1 січня — залишилося {wait}. Хочеш зараз — /midnight і «Не чекати опівночі».',
+    'midnight.header': '🎆 З Новим роком! Як і обіцяв — рівно опівночі:',
+    'midnight.late': '🎆 З Новим роком! Північ я трохи проспав, вибач — але ось привітання:',
+    'midnight.missed': 'Вибач, я проґавив північ і не встиг тебе привітати 😔 Натисни /greeting — привітаю просто зараз!',
+
+    'about.username': 'Username у Telegram',
+    'about.premium': 'Користувач Telegram Premium',
+    'about.hobbies': 'Захоплення',
+    'about.city': 'Місто',
+    'about.pets': 'Улюбленці',
+    'about.wish': 'Мрія на наступний рік',
+
+    'song.bridge.hobbies': 'Хай {hobbies} тішить тебе',
+    'song.bridge.city': 'Увесь {city} тобі співає',
+    'song.bridge.pets': '{pets} теж шле привіт',
+    'song.bridge.wish': 'Хай збудеться мрія: {wish}',
+
+    'gift.notReady': 'Привітання ще готується, зазирни за кілька хвилин! ⏳',
+    'gift.notFound': 'Хм, такого привітання я не знайшов 🤔',
+    'gift.header': '🎁 {name}, тобі привітання!\nВід кого: {from}, через Максима ❤️',
+    'gift.anonymous': 'друг',
+    'gift.songTitle': 'Пісня для тебе',
+    'gift.songCaption': '{emoji} {title}\n\n{from} і Максим 🎉',
+
+    'inline.button': '{emoji} Напиши ім\'я — отримаєш частівку',
+    'inline.textTitle': '{emoji} Частівка для {name}',
+    'inline.photoTitle': '🎨 Листівка для {name}',
+    'inline.limit': '⏳ Нові частівки — за {wait}, а поки заходь у бота'
+  }
+};
+
+/**
+ * Check whether a code names a supported language
+ * @param {string} code - Language code
+ * @returns {boolean} True if supported
+ */
+export function isLanguage(code) {
+  return Object.hasOwn(LANGUAGES, code);
+}
+
+/**
+ * Pick the language to talk to a user in
+ * @param {Object} userInfo - User information (language override, languageCode from Telegram)
+ * @returns {string} Supported language code
+ */
+export function getLanguage(userInfo = {}) {
+  if (isLanguage(userInfo.language)) {
+    return userInfo.language;
+  }
+
+  // Telegram sends IETF tags like "en" or "pt-br"
+  const code = (userInfo.languageCode || '').toLowerCase().split('-')[0];
+  if (!code) return DEFAULT_LANGUAGE;
+  if (isLanguage(code)) return code;
+  return LANGUAGE_ALIASES[code] || FOREIGN_LANGUAGE;
+}
+
+/**
+ * Translate a message key
+ * @param {string} language - Language code
+ * @param {string} key - Message key
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string} Localized text
+ */
+export function t(language, key, params = {}) {
+  const template = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
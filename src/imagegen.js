@@ -1,84 +1,79 @@
 /**
- * Image generation using OpenRouter API (Gemini)
- * Generates cringy New Year greeting cards in "Pole Chudes" style
+ * Image generation with the image models of src/llm.js
+ * Generates cringy greeting cards in "Pole Chudes" style
  */
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+import { resolveOccasion } from './occasions.js';
+import { getLanguage, t } from './i18n.js';
+import { complete } from './llm.js';
 
 /**
  * Build the image generation prompt
  * @param {Object} userInfo - Telegram user information
+ * @param {boolean} withPhoto - Whether the user's photo is attached
  * @returns {string} The prompt
  */
-function buildImagePrompt(userInfo) {
-  const name = userInfo.firstName || 'друг';
+function buildImagePrompt(userInfo, withPhoto) {
+  const name = userInfo.firstName || t(getLanguage(userInfo), 'name.friend');
+  const { image } = resolveOccasion(userInfo);
 
-  return `Create a MAXIMUM CRINGE New Year greeting card in the style of Russian TV show "Pole Chudes" (Field of Miracles):
+  // Facts about a friend the card is for, or the user's own answers, to sneak into the picture
+  const profile = userInfo.profile || {};
+  const facts = [
+    userInfo.facts && `Funny visual hints of these facts about ${name}: ${userInfo.facts}`,
+    profile.hobbies && `Something about ${name}'s hobbies: ${profile.hobbies}`,
+    profile.city && `A kitschy landmark of ${name}'s city: ${profile.city}`,
+    profile.pets && `${name}'s pets: ${profile.pets}`,
+    profile.wish && `A hint of ${name}'s dream for the coming year: ${profile.wish}`
+  ].filter(Boolean).map(hint => `\n- ${hint}`).join('');
+
+  const hero = withPhoto
+    ? `\n- ${name} from the attached photo as the main character, face clearly recognizable, badly cut out and pasted in`
+    : '';
+
+  return `Create a MAXIMUM CRINGE ${image.subject} in the style of Russian TV show "Pole Chudes" (Field of Miracles):
 
 The card should include:
 - Cheesy, kitschy Soviet/Russian aesthetic
-- Bright garish colors (gold, red, green)
+- Bright garish colors (${image.colors})
 - Badly photoshopped elements
 - A jar of pickles or pickled vegetables somewhere
-- Sparkles, snowflakes, champagne glasses
-- A banner saying "С Новым Годом, ${name}!"
-- Maybe a badly drawn Santa (Ded Moroz) or Snegurochka
+- ${image.elements[0]}
+- A banner saying "${image.banner(name)}"
+- ${image.elements[1]}${hero}
 - Tacky gold frames and ornaments
-- The overall vibe of a homemade greeting card from a village grandma
+- The overall vibe of a homemade greeting card from a village grandma${facts}
 
 Make it as kitschy and cringe as possible, like something a contestant on Pole Chudes would bring as a gift to Yakubovich.
 
-Style: cheesy greeting card, kitsch, tacky, over-the-top decorations, Russian New Year aesthetic`;
+Style: cheesy greeting card, kitsch, tacky, over-the-top decorations, ${image.aesthetic}`;
 }
 
 /**
  * Generate a cringy greeting card image
  * @param {Object} userInfo - Telegram user information
+ * @param {Object} options - { photo } data URL of the user's photo to put on the card
  * @returns {Promise<string|null>} Base64 image data URL or null on failure
  */
-export async function generateGreetingCard(userInfo) {
-  const prompt = buildImagePrompt(userInfo);
+export async function generateGreetingCard(userInfo, options = {}) {
+  const prompt = buildImagePrompt(userInfo, Boolean(options.photo));
+
+  // With a photo the prompt goes along with it as an image input
+  const content = options.photo
+    ? [{ type: 'text', text: prompt }, { type: 'image_url', image_url: { url: options.photo } }]
+    : prompt;
 
   try {
-    console.log('Generating greeting card image...');
+    console.log(`Generating greeting card image${options.photo ? ' from user photo' : ''}...`);
 
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        'HTTP-Referer': 'https://newyear-bot.local',
-        'X-Title': 'New Year Greeting Bot'
-      },
-      body: JSON.stringify({
-        model: 'google/gemini-2.5-flash-image',
-        messages: [{ role: 'user', content: prompt }],
-        modalities: ['image', 'text'],
-        max_tokens: 1000
-      })
+    const { images, model } = await complete('image', {
+      messages: [{ role: 'user', content }],
+      modalities: ['image', 'text'],
+      maxTokens: 1000
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('OpenRouter image API error:', response.status, errorText);
-      throw new Error(`OpenRouter API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    console.log('Image generation response received');
-
-    // Extract image from response
-    const message = data.choices?.[0]?.message;
-    if (message?.images && message.images.length > 0) {
-      const imageUrl = message.images[0].image_url?.url;
-      if (imageUrl) {
-        console.log('Image generated successfully');
-        return imageUrl;
-      }
-    }
-
-    console.log('No image in response');
-    return null;
+    console.log('Image generated successfully with', model);
+    return images[0];
 
   } catch (error) {
     console.error('Error generating image:', error);
@@ -5,19 +5,19 @@
 
 import 'dotenv/config';
 import express from 'express';
-import { sendMessage, sendTypingAction, editMessageText, sendAudio, sendPhoto, sendChatAction, extractUserInfo } from './telegram.js';
-import { generateGreetingStream } from './openrouter.js';
-import { generateGreetingCard } from './imagegen.js';
-import { generateSong } from './suno.js';
+import { deleteWebhook } from './telegram.js';
+import { handleUpdate } from './bot.js';
+import { startResumingPipelines } from './jobs.js';
+import { resumeBroadcasts } from './broadcast.js';
+import { startRecoveringPayments } from './payments.js';
+import { startScheduler } from './schedule.js';
+import { startPolling } from './polling.js';
+import { getWebhookPath, getWebhookSecrets, verifyWebhookSecret } from './webhook.js';
 
-// Minimum time between message edits (Telegram rate limit protection)
-const EDIT_THROTTLE_MS = 500;
+const WEBHOOK_PATH = getWebhookPath();
 
-// Admin chat ID for analytics notifications
-const ADMIN_CHAT_ID = 321097981;
-
-// Track users who already received greetings (in-memory, resets on restart)
-const greetedUsers = new Set();
+// Polling mode (no public URL needed): BOT_MODE=polling or npm run poll
+const POLLING_MODE = process.env.BOT_MODE === 'polling' || process.argv.includes('--polling');
 
 const app = express();
 app.use(express.json());
@@ -31,350 +31,84 @@ app.get('/', (req, res) => {
   });
 });
 
-// Webhook endpoint for Telegram
-app.post('/webhook', async (req, res) => {
-  try {
-    const update = req.body;
-    console.log('Received update:', JSON.stringify(update, null, 2));
+// Webhook endpoint for Telegram (only requests carrying our secret token)
+app.post(WEBHOOK_PATH, verifyWebhookSecret, (req, res) => {
+  const update = req.body;
+  console.log('Received update:', JSON.stringify(update, null, 2));
 
-    // Immediately respond to Telegram to prevent timeouts
-    res.sendStatus(200);
+  // Respond to Telegram right away (always 200, so it doesn't retry) and process the update afterwards
+  res.sendStatus(200);
 
-    // Process the update asynchronously
-    await handleUpdate(update);
-  } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.sendStatus(200); // Always respond 200 to prevent Telegram retries
-  }
+  handleUpdate(update).catch((error) => {
+    console.error('Error processing update:', error);
+  });
 });
 
-/**
- * Handle incoming Telegram update
- * @param {Object} update - Telegram update object
- */
-async function handleUpdate(update) {
-  const userInfo = extractUserInfo(update);
-
-  if (!userInfo) {
-    console.log('No user info in update, skipping');
-    return;
-  }
-
-  const message = update.message;
-  const text = message?.text || '';
-
-  console.log(`Message from ${userInfo.firstName || 'Unknown'} (@${userInfo.username || 'no username'}): ${text}`);
-
-  // Check if user already received greeting
-  if (greetedUsers.has(userInfo.chatId)) {
-    await sendMessage(
-      userInfo.chatId,
-      `Всего хорошего понемножку! 🎄
-
-Ты уже получил своё поздравление. Если что-то не дошло — подожди немного, оно в пути!
-
-А если что-то сломалось... простите — одной рукой я режу салаты, а другой делал этого бота 🥗🤖
-
-С Новым Годом! ❤️`
-    );
-    return;
-  }
-
-  // Handle /start command or any message - generate greeting
-  await handleGreeting(userInfo);
-}
-
-/**
- * Handle /start command
- * @param {Object} userInfo - User information
- */
-async function handleStart(userInfo) {
-  const welcomeMessage = `Привет${userInfo.firstName ? ', ' + userInfo.firstName : ''}!
-
-Я бот Максима, и я создан специально для того, чтобы поздравить тебя с Новым Годом!
-
-Нажми /greeting или просто напиши что-нибудь, чтобы получить своё персональное поздравление от Максима.`;
-
-  await sendMessage(userInfo.chatId, welcomeMessage);
-}
-
-/**
- * Handle greeting request with streaming response
- * @param {Object} userInfo - User information
- */
-async function handleGreeting(userInfo) {
-  // Mark user as greeted immediately to prevent duplicates
-  greetedUsers.add(userInfo.chatId);
-
-  const startTime = Date.now();
-  const results = {
-    text: { success: false, preview: '' },
-    image: { success: false },
-    song: { success: false, title: '' }
-  };
-
-  try {
-    // Show typing indicator
-    await sendTypingAction(userInfo.chatId);
-
-    console.log('Generating greeting for:', userInfo);
-
-    // Send initial message that we'll update
-    const initialMsg = await sendMessage(userInfo.chatId, '✨ Генерирую поздравление...');
-    const messageId = initialMsg.result.message_id;
-
-    let lastEditTime = 0;
-    let pendingText = '';
-    let editTimeout = null;
-
-    // Streaming callback - throttled message updates
-    const onChunk = async (text) => {
-      pendingText = text;
-      const now = Date.now();
-
-      // Clear any pending edit
-      if (editTimeout) {
-        clearTimeout(editTimeout);
-      }
-
-      // If enough time has passed, edit immediately
-      if (now - lastEditTime >= EDIT_THROTTLE_MS) {
-        lastEditTime = now;
-        await editMessageText(userInfo.chatId, messageId, text + ' ▌');
-      } else {
-        // Schedule an edit for later
-        editTimeout = setTimeout(async () => {
-          lastEditTime = Date.now();
-          await editMessageText(userInfo.chatId, messageId, pendingText + ' ▌');
-        }, EDIT_THROTTLE_MS - (now - lastEditTime));
-      }
-    };
-
-    // Generate with streaming
-    const finalGreeting = await generateGreetingStream(userInfo, onChunk);
-
-    // Clear any pending timeout
-    if (editTimeout) {
-      clearTimeout(editTimeout);
-    }
-
-    // Final edit without cursor
-    await editMessageText(userInfo.chatId, messageId, finalGreeting);
-
-    results.text.success = true;
-    results.text.preview = finalGreeting.substring(0, 100) + '...';
-
-    console.log('Greeting sent successfully');
-
-    // Now generate and send a cringy greeting card
-    results.image.success = await handleImageGeneration(userInfo);
-
-    // Then generate and send a personalized song
-    const songResult = await handleSongGeneration(userInfo);
-    results.song.success = songResult.success;
-    results.song.title = songResult.title || '';
-
-  } catch (error) {
-    console.error('Error handling greeting:', error);
-    await sendMessage(
-      userInfo.chatId,
-      'Извини, произошла ошибка. Попробуй ещё раз через минутку!'
-    );
-  }
-
-  // Send analytics to admin
-  await sendAnalytics(userInfo, results, startTime);
+if (POLLING_MODE) {
+  startPollingMode().catch((error) => {
+    console.error('Failed to start polling:', error);
+    process.exit(1);
+  });
+} else {
+  startWebhookServer();
 }
 
 /**
- * Handle image generation and sending
- * @param {Object} userInfo - User information
- * @returns {Promise<boolean>} Whether image was sent successfully
+ * Start the express server that receives webhook updates
  */
-async function handleImageGeneration(userInfo) {
-  try {
-    // Send status message
-    const statusMsg = await sendMessage(
-      userInfo.chatId,
-      '🎨 Рисую кринжовую открытку в стиле Поля Чудес...'
-    );
-    const statusMessageId = statusMsg.result.message_id;
-
-    // Show upload photo action
-    await sendChatAction(userInfo.chatId, 'upload_photo');
-
-    // Generate the image
-    const imageUrl = await generateGreetingCard(userInfo);
-
-    if (imageUrl) {
-      // Delete status message
-      await deleteMessage(userInfo.chatId, statusMessageId);
-
-      // Send the image (no caption)
-      await sendPhoto(userInfo.chatId, imageUrl);
-
-      console.log('Greeting card sent successfully');
-      return true;
-    } else {
-      // Image generation failed
-      await editMessageText(
-        userInfo.chatId,
-        statusMessageId,
-        '😔 Не удалось нарисовать открытку, но стихи уже у тебя!'
-      );
-      return false;
+function startWebhookServer() {
+  const PORT = process.env.PORT || 3000;
+
+  app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+    console.log(`Webhook endpoint: POST ${WEBHOOK_PATH}`);
+    if (getWebhookSecrets().length === 0) {
+      console.warn('WEBHOOK_SECRET is not set - webhook requests are not authenticated!');
     }
-
-  } catch (error) {
-    console.error('Error generating image:', error);
-    // Don't send error message, just continue to song
-    return false;
-  }
+    console.log('');
+    console.log('To set up webhook, run: npm run setup-webhook');
+
+    // Finish greetings, paid orders and broadcasts interrupted by a restart or deploy
+    startResumingPipelines();
+    startRecoveringPayments();
+    resumeBroadcasts().catch((error) => {
+      console.error('Error resuming broadcasts:', error);
+    });
+
+    // Deliver midnight greetings, catching up on the ones due while the bot was down
+    startScheduler();
+  });
 }
 
 /**
- * Handle song generation and sending
- * @param {Object} userInfo - User information
- * @returns {Promise<{success: boolean, title: string}>} Result
+ * Fetch updates with getUpdates instead of receiving webhooks
+ * Telegram refuses getUpdates while a webhook is set, so it is deleted first
  */
-async function handleSongGeneration(userInfo) {
-  let statusMessageId = null;
-
+async function startPollingMode() {
   try {
-    // Send status message
-    const statusMsg = await sendMessage(
-      userInfo.chatId,
-      '🎵 А теперь готовлю для тебя персональную песню...\n\nЭто займёт пару минут, подожди!'
-    );
-    statusMessageId = statusMsg.result.message_id;
-
-    // Status callback
-    const onStatus = async (status) => {
-      if (!statusMessageId) return;
-
-      const statusTexts = {
-        starting: '🎵 Начинаю создание песни...',
-        generating: '🎤 Генерирую музыку и вокал...\n\nЭто займёт 1-2 минуты.',
-        almost_done: '🎧 Почти готово! Финальная обработка...'
-      };
-
-      const text = statusTexts[status];
-      if (text) {
-        await editMessageText(userInfo.chatId, statusMessageId, text);
-      }
-    };
-
-    // Show upload audio action periodically
-    const actionInterval = setInterval(() => {
-      sendChatAction(userInfo.chatId, 'upload_voice');
-    }, 4000);
-
-    // Generate the song
-    const song = await generateSong(userInfo, onStatus);
-
-    clearInterval(actionInterval);
-
-    if (song && song.audioUrl) {
-      // Update status
-      await editMessageText(
-        userInfo.chatId,
-        statusMessageId,
-        '🎵 Песня готова! Отправляю...'
-      );
-
-      // Send the audio file
-      await sendAudio(userInfo.chatId, song.audioUrl, {
-        title: song.title,
-        performer: 'Максим (AI)',
-        caption: `🎄 ${song.title}\n\nС Новым Годом! 🎉`
-      });
-
-      // Delete status message
-      await deleteMessage(userInfo.chatId, statusMessageId);
-
-      console.log('Song sent successfully:', song.title);
-      return { success: true, title: song.title };
-    } else {
-      // Song generation failed
-      await editMessageText(
-        userInfo.chatId,
-        statusMessageId,
-        '😔 К сожалению, не удалось создать песню. Но текстовое поздравление уже у тебя!'
-      );
-      return { success: false, title: '' };
-    }
-
+    await deleteWebhook();
   } catch (error) {
-    console.error('Error generating song:', error);
-    if (statusMessageId) {
-      await editMessageText(
-        userInfo.chatId,
-        statusMessageId,
-        '😔 Не удалось создать песню, но поздравление уже отправлено!'
-      );
-    }
-    return { success: false, title: '' };
+    console.error('Failed to delete webhook:', error.message);
+    process.exit(1);
   }
-}
 
-/**
- * Send analytics notification to admin
- * @param {Object} userInfo - User information
- * @param {Object} results - Results of greeting generation
- * @param {number} startTime - Start timestamp
- */
-async function sendAnalytics(userInfo, results, startTime) {
-  try {
-    const duration = Math.round((Date.now() - startTime) / 1000);
-    const textStatus = results.text.success ? '✅' : '❌';
-    const imageStatus = results.image.success ? '✅' : '❌';
-    const songStatus = results.song.success ? '✅' : '❌';
+  console.log('Webhook deleted, running in polling mode');
 
-    const message = `📊 Новое поздравление отправлено!
+  const poller = startPolling(handleUpdate);
 
-👤 Кому: ${userInfo.firstName || 'Unknown'} ${userInfo.lastName || ''}
-🆔 Username: @${userInfo.username || 'нет'}
-🔢 Chat ID: ${userInfo.chatId}
-
-📝 Текст: ${textStatus}
-🎨 Картинка: ${imageStatus}
-🎵 Песня: ${songStatus}${results.song.title ? ` (${results.song.title})` : ''}
-
-⏱ Время: ${duration} сек`;
+  startResumingPipelines();
+  startRecoveringPayments();
+  resumeBroadcasts().catch((error) => {
+    console.error('Error resuming broadcasts:', error);
+  });
+  startScheduler();
 
-    await sendMessage(ADMIN_CHAT_ID, message);
-  } catch (error) {
-    console.error('Error sending analytics:', error);
-  }
-}
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, stopping polling...`);
+    await poller.stop();
+    process.exit(0);
+  };
 
-/**
- * Delete a message
- * @param {number} chatId - Chat ID
- * @param {number} messageId - Message ID
- */
-async function deleteMessage(chatId, messageId) {
-  try {
-    const response = await fetch(
-      `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/deleteMessage`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ chat_id: chatId, message_id: messageId })
-      }
-    );
-    return response.json();
-  } catch (e) {
-    // Ignore delete errors
-  }
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
 }
-
-// Start the server
-const PORT = process.env.PORT || 3000;
-
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Webhook endpoint: POST /webhook`);
-  console.log('');
-  console.log('To set up webhook, run: npm run setup-webhook');
-});
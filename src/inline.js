@@ -0,0 +1,190 @@
+/**
+ * Inline mode: "@bot Имя" in any chat returns a chastushka for that name
+ * on the occasion of the day, in the language of whoever types it. Greetings
+ * (and cards, once one was drawn for the name) are cached per occasion, language and name
+ */
+
+import crypto from 'node:crypto';
+import { answerInlineQuery } from './telegram.js';
+import { generateGreeting } from './openrouter.js';
+import { openStore } from './storage.js';
+import { notifyAdmin } from './analytics.js';
+import { getDefaultOccasion, resolveOccasion } from './occasions.js';
+import { getLanguage, t } from './i18n.js';
+import { spendInlineGreeting, formatWait } from './quotas.js';
+import { escapeHtml, markdownToHtml, truncateHtml, htmlToText, getVisibleLength, MAX_MESSAGE_LENGTH, MAX_CAPTION_LENGTH } from './format.js';
+
+// Telegram re-sends the query on every keystroke: only the one the user
+// stops at for this long gets a (paid) generation
+const TYPING_DEBOUNCE_MS = 800;
+
+// Longest name we generate for
+const MAX_NAME_LENGTH = 40;
+
+// How long Telegram may cache our answer for the same query (seconds)
+const INLINE_CACHE_TIME_S = 300;
+
+const cache = openStore('inline');
+
+// User ID -> ID of their latest inline query
+const latestQueries = new Map();
+
+/**
+ * Handle an inline_query update
+ * @param {Object} query - Telegram inline_query
+ */
+export async function handleInlineQuery(query) {
+  const name = normalizeName(query.query);
+  const language = getLanguage({ languageCode: query.from.language_code });
+  const occasion = resolveOccasion({ occasion: getDefaultOccasion(), language });
+
+  if (!name) {
+    await answerInlineQuery(query.id, [], {
+      cache_time: INLINE_CACHE_TIME_S,
+      button: { text: t(language, 'inline.button', { emoji: occasion.emoji }), start_parameter: 'greeting' }
+    });
+    return;
+  }
+
+  let entry = cache.get(cacheKey(name, occasion.id, language));
+
+  if (!entry?.greeting) {
+    // Wait to see whether the user is still typing
+    latestQueries.set(query.from.id, query.id);
+    await new Promise(resolve => setTimeout(resolve, TYPING_DEBOUNCE_MS));
+    if (latestQueries.get(query.from.id) !== query.id) {
+      return;
+    }
+    latestQueries.delete(query.from.id);
+
+    // Every new name costs a generation, so each user gets only so many
+    const waitMs = spendInlineGreeting(query.from.id);
+    if (waitMs > 0) {
+      await answerInlineQuery(query.id, [], {
+        cache_time: INLINE_CACHE_TIME_S,
+        is_personal: true,
+        button: { text: t(language, 'inline.limit', { wait: formatWait(language, waitMs) }), start_parameter: 'greeting' }
+      });
+      return;
+    }
+
+    console.log(`Generating inline greeting for: ${name}`);
+    const greeting = await generateGreeting({ firstName: name, occasion: occasion.id, language });
+    entry = cache.update(cacheKey(name, occasion.id, language), (existing) => ({
+      name,
+      occasion: occasion.id,
+      language,
+      photoFileId: null,
+      shares: 0,
+      createdAt: new Date().toISOString(),
+      ...existing,
+      greeting
+    }));
+  }
+
+  await answerInlineQuery(query.id, buildResults(entry), {
+    cache_time: INLINE_CACHE_TIME_S
+  });
+}
+
+/**
+ * Handle a chosen_inline_result update (needs inline feedback enabled in @BotFather)
+ * @param {Object} result - Telegram chosen_inline_result
+ */
+export async function handleChosenInlineResult(result) {
+  const name = normalizeName(result.query);
+  const language = getLanguage({ languageCode: result.from.language_code });
+  const key = name && cacheKey(name, getDefaultOccasion(), language);
+  const entry = key && cache.update(key, (current) => current && { ...current, shares: (current.shares || 0) + 1 });
+
+  const from = result.from;
+  const kind = result.result_id.startsWith('photo') ? 'открытку' : 'частушку';
+  await notifyAdmin(`📤 Поделились через inline!
+
+👤 Кто: ${escapeHtml(from.first_name || 'Unknown')} ${escapeHtml(from.last_name || '')} (@${from.username || 'нет'})
+🎁 Что: ${kind} для «${escapeHtml(name || result.query)}»
+🔁 Всего раз: ${entry?.shares || 1}`);
+}
+
+/**
+ * Remember a card drawn for a name so inline mode can offer it as a photo
+ * @param {string} name - Name on the card's banner
+ * @param {string} fileId - Telegram file_id of the sent photo
+ * @param {string} occasion - Occasion ID the card was drawn for
+ * @param {string} language - Language of the card's banner
+ */
+export function rememberCard(name, fileId, occasion, language) {
+  const normalized = normalizeName(name);
+  // A custom occasion's card is personal - don't offer it to others
+  if (!normalized || !fileId || occasion === 'custom') return;
+
+  cache.update(cacheKey(normalized, occasion, language), (entry) => ({
+    name: normalized,
+    occasion,
+    language,
+    greeting: null,
+    shares: 0,
+    createdAt: new Date().toISOString(),
+    ...entry,
+    photoFileId: fileId
+  }));
+}
+
+/**
+ * Build inline results for a cache entry
+ * @param {Object} entry - Cache entry
+ * @returns {Array<Object>} InlineQueryResult objects
+ */
+function buildResults(entry) {
+  const results = [];
+  const id = crypto.createHash('sha1').update(cacheKey(entry.name, entry.occasion, entry.language)).digest('hex').slice(0, 16);
+  const occasion = resolveOccasion({ occasion: entry.occasion, language: entry.language });
+
+  const greeting = entry.greeting ? markdownToHtml(entry.greeting) : null;
+
+  if (greeting) {
+    results.push({
+      type: 'article',
+      id: `text-${id}`,
+      title: t(entry.language, 'inline.textTitle', { emoji: occasion.emoji, name: entry.name }),
+      description: htmlToText(greeting).split('\n').slice(0, 2).join(' / '),
+      input_message_content: {
+        message_text: truncateHtml(greeting, MAX_MESSAGE_LENGTH),
+        parse_mode: 'HTML'
+      }
+    });
+  }
+
+  if (entry.photoFileId) {
+    results.push({
+      type: 'photo',
+      id: `photo-${id}`,
+      photo_file_id: entry.photoFileId,
+      title: t(entry.language, 'inline.photoTitle', { name: entry.name }),
+      // Captions are limited to 1024 characters; a longer greeting isn't cut, the photo goes without it
+      ...(greeting && getVisibleLength(greeting) <= MAX_CAPTION_LENGTH ? { caption: greeting, parse_mode: 'HTML' } : {})
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Clean up a name typed into the inline query
+ * @param {string} text - Raw query text
+ * @returns {string} Name, or empty string
+ */
+function normalizeName(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Cache key for a name (case-insensitive) on an occasion in a language
+ * @param {string} name - Normalized name
+ * @param {string} occasion - Occasion ID
+ * @param {string} language - Language code
+ * @returns {string} Key
+ */
+function cacheKey(name, occasion, language) {
+  return `${occasion}:${language}:${name.toLowerCase()}`;
+}
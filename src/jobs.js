@@ -0,0 +1,312 @@
+/**
+ * Persisted stage jobs
+ * A pipeline is an ordered list of jobs (one per stage) stored on disk,
+ * so an interrupted pipeline can be resumed after a restart
+ */
+
+import { openStore } from './storage.js';
+import { claimPipeline, renewPipeline, releasePipeline, PIPELINE_CLAIM_TTL_MS } from './coordination.js';
+
+// How many times a stage may be started before it is given up (across restarts)
+const MAX_STAGE_TRIES = 3;
+
+// Pause before retrying a stage that threw
+const RETRY_DELAY_MS = 3000;
+
+// How often unfinished pipelines nobody runs are looked for
+const RESUME_INTERVAL_MS = 60 * 1000;
+
+// Statuses of a job that won't run again
+const FINAL_STATUSES = ['done', 'failed', 'skipped'];
+
+const jobs = openStore('jobs');
+
+// Stage definitions: name -> { run, onFailure, critical }
+const stageDefinitions = new Map();
+
+// Pipeline kinds: kind -> { onComplete }
+const pipelineKinds = new Map();
+
+// Pipelines currently being run by this process (other instances are kept off by a claim)
+const activePipelines = new Set();
+
+/**
+ * Register what happens when a pipeline of some kind finishes
+ * onComplete(jobs) gets the final jobs; the pipeline is deleted afterwards
+ * @param {string} kind - Pipeline kind (greeting, extra, ...)
+ * @param {Object} definition - { onComplete }
+ */
+export function definePipelineKind(kind, definition) {
+  pipelineKinds.set(kind, definition);
+}
+
+/**
+ * Register a stage implementation
+ * run(job, saveState) resolves to { success, ... } and may call saveState(patch)
+ * to checkpoint progress (message IDs, external task IDs) before side effects.
+ * A critical stage that fails skips the rest of its pipeline.
+ * @param {string} name - Stage name
+ * @param {Object} definition - { run, onFailure, critical }
+ */
+export function defineStage(name, definition) {
+  stageDefinitions.set(name, definition);
+}
+
+/**
+ * Create a pipeline of pending jobs
+ * @param {Object} userInfo - User information the stages work for
+ * @param {string[]} stages - Stage names in run order
+ * @param {Object} options - { kind, options } stored on every job for the stages to read
+ * @returns {string} Pipeline ID
+ */
+export function createPipeline(userInfo, stages, { kind = 'greeting', options = {} } = {}) {
+  const pipelineId = `${userInfo.chatId}-${Date.now()}`;
+  const now = new Date().toISOString();
+
+  stages.forEach((stage, index) => {
+    jobs.set(`${pipelineId}:${stage}`, {
+      id: `${pipelineId}:${stage}`,
+      pipelineId,
+      kind,
+      options,
+      index,
+      stage,
+      chatId: userInfo.chatId,
+      userInfo,
+      status: 'pending',
+      tries: 0,
+      state: {},
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  });
+
+  return pipelineId;
+}
+
+/**
+ * Get the jobs of a pipeline in run order
+ * @param {string} pipelineId - Pipeline ID
+ * @returns {Object[]} Jobs
+ */
+export function getPipelineJobs(pipelineId) {
+  return jobs.values()
+    .filter(job => job.pipelineId === pipelineId)
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Find pipelines that still have unfinished jobs
+ * @returns {string[]} Pipeline IDs
+ */
+export function getUnfinishedPipelines() {
+  const ids = new Set();
+  for (const job of jobs.values()) {
+    if (job.status === 'pending' || job.status === 'running') {
+      ids.add(job.pipelineId);
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Find a pipeline one of whose jobs matches
+ * @param {Function} predicate - Called with each job
+ * @returns {string|null} Pipeline ID
+ */
+export function findPipeline(predicate) {
+  return jobs.values().find(predicate)?.pipelineId || null;
+}
+
+/**
+ * Run (or resume) a pipeline until every job is done or failed,
+ * then hand the final jobs to its kind's onComplete and delete it
+ * Jobs that are already done are never run again; a pipeline that stopped
+ * with unfinished jobs is kept as it is, to be resumed
+ * @param {string} pipelineId - Pipeline ID
+ * @returns {Promise<Object[]|null>} Final jobs, or null if already running (here or elsewhere) or left unfinished
+ */
+export async function runPipeline(pipelineId) {
+  if (activePipelines.has(pipelineId)) {
+    return null;
+  }
+  activePipelines.add(pipelineId);
+
+  // Another instance runs it - one that booted alongside this one, or this one before a restart
+  if (!(await claimPipeline(pipelineId))) {
+    activePipelines.delete(pipelineId);
+    return null;
+  }
+
+  const heartbeat = setInterval(() => {
+    renewPipeline(pipelineId).then((held) => {
+      if (!held) console.error(`Lost the claim of pipeline ${pipelineId}`);
+    }).catch((error) => console.error(`Error renewing pipeline ${pipelineId}:`, error));
+  }, PIPELINE_CLAIM_TTL_MS / 4);
+
+  try {
+    for (const { id } of getPipelineJobs(pipelineId)) {
+      const job = jobs.get(id);
+      if (FINAL_STATUSES.includes(job.status)) {
+        continue;
+      }
+
+      const ok = await runJob(id);
+      if (!ok && stageDefinitions.get(job.stage)?.critical) {
+        skipRemaining(pipelineId, job.index);
+        break;
+      }
+    }
+  } catch (error) {
+    console.error(`Error running pipeline ${pipelineId}:`, error);
+  }
+
+  const finalJobs = getPipelineJobs(pipelineId);
+
+  // Something broke mid-run: the unfinished jobs stay for resumePipelines instead of being dropped
+  if (!finalJobs.every(job => FINAL_STATUSES.includes(job.status))) {
+    console.error(`Pipeline ${pipelineId} stopped with unfinished jobs, leaving it to be resumed`);
+    await finishRun(pipelineId, heartbeat);
+    return null;
+  }
+
+  const kind = pipelineKinds.get(finalJobs[0]?.kind || 'greeting');
+
+  if (kind?.onComplete && finalJobs.length > 0) {
+    try {
+      await kind.onComplete(finalJobs);
+    } catch (error) {
+      console.error(`Error completing pipeline ${pipelineId}:`, error);
+    }
+  }
+
+  deletePipeline(pipelineId);
+  await finishRun(pipelineId, heartbeat);
+  return finalJobs;
+}
+
+/**
+ * Stop running a pipeline here: stop renewing its claim and give it back
+ * @param {string} pipelineId - Pipeline ID
+ * @param {number} heartbeat - Interval renewing the claim
+ */
+async function finishRun(pipelineId, heartbeat) {
+  clearInterval(heartbeat);
+  activePipelines.delete(pipelineId);
+  try {
+    await releasePipeline(pipelineId);
+  } catch (error) {
+    console.error(`Error releasing pipeline ${pipelineId}:`, error);
+  }
+}
+
+/**
+ * Resume every unfinished pipeline no instance is running
+ * (left by a previous process, a crashed instance or a run that broke off)
+ * @returns {Promise<void>}
+ */
+export async function resumePipelines() {
+  const pipelineIds = getUnfinishedPipelines().filter(id => !activePipelines.has(id));
+  if (pipelineIds.length === 0) return;
+
+  console.log(`Resuming up to ${pipelineIds.length} unfinished pipeline(s)`);
+  await Promise.all(pipelineIds.map(runPipeline));
+}
+
+/**
+ * Resume unfinished pipelines now and then every minute: the claims of a crashed
+ * instance lapse only after PIPELINE_CLAIM_TTL_MS
+ */
+export function startResumingPipelines() {
+  const run = () => {
+    resumePipelines().catch((error) => {
+      console.error('Error resuming pipelines:', error);
+    });
+  };
+
+  run();
+  setInterval(run, RESUME_INTERVAL_MS).unref();
+}
+
+/**
+ * Delete every job of a pipeline
+ * @param {string} pipelineId - Pipeline ID
+ */
+export function deletePipeline(pipelineId) {
+  for (const job of getPipelineJobs(pipelineId)) {
+    jobs.delete(job.id);
+  }
+}
+
+/**
+ * Run one job, retrying thrown errors up to MAX_STAGE_TRIES
+ * @param {string} id - Job ID
+ * @returns {Promise<boolean>} Whether the stage succeeded
+ */
+async function runJob(id) {
+  const definition = stageDefinitions.get(jobs.get(id).stage);
+
+  if (!definition) {
+    updateJob(id, { status: 'failed', error: 'Unknown stage' });
+    return false;
+  }
+
+  const saveState = (patch) => {
+    const job = jobs.get(id);
+    updateJob(id, { state: { ...job.state, ...patch } });
+  };
+
+  while (jobs.get(id).tries < MAX_STAGE_TRIES) {
+    const job = updateJob(id, { status: 'running', tries: jobs.get(id).tries + 1 });
+    console.log(`Running stage ${job.stage} for chat ${job.chatId} (try ${job.tries})`);
+
+    try {
+      const result = await definition.run(job, saveState);
+      updateJob(id, { status: result.success ? 'done' : 'failed', result });
+      return result.success;
+    } catch (error) {
+      console.error(`Stage ${job.stage} for chat ${job.chatId} threw:`, error);
+      updateJob(id, { status: 'pending', error: error.message });
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+    }
+  }
+
+  const failed = updateJob(id, { status: 'failed' });
+  if (definition.onFailure) {
+    try {
+      await definition.onFailure(failed);
+    } catch (error) {
+      console.error(`Stage ${failed.stage} onFailure error:`, error);
+    }
+  }
+  return false;
+}
+
+/**
+ * Mark every job after the given index as skipped
+ * @param {string} pipelineId - Pipeline ID
+ * @param {number} index - Index of the failed job
+ */
+function skipRemaining(pipelineId, index) {
+  for (const job of getPipelineJobs(pipelineId)) {
+    if (job.index > index && job.status === 'pending') {
+      updateJob(job.id, { status: 'skipped' });
+    }
+  }
+}
+
+/**
+ * Update a job and persist it
+ * @param {string} id - Job ID
+ * @param {Object} patch - Fields to change
+ * @returns {Object} Updated job
+ */
+function updateJob(id, patch) {
+  return jobs.update(id, (job) => ({
+    ...job,
+    ...patch,
+    updatedAt: new Date().toISOString()
+  }));
+}
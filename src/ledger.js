@@ -0,0 +1,241 @@
+/**
+ * Greeting ledger - durable record of every greeting attempt per chat
+ * Survives restarts and deploys, so nobody gets (and costs us) a second greeting
+ */
+
+import crypto from 'node:crypto';
+import { openStore } from './storage.js';
+
+// Stages of every greeting, in delivery order
+export const STAGES = ['text', 'image', 'song'];
+
+const ledger = openStore('greetings');
+
+/**
+ * Get the full ledger record for a chat
+ * @param {number} chatId - Chat ID
+ * @returns {Object|null} Record with user info and attempts, or null
+ */
+export function getGreetingRecord(chatId) {
+  return ledger.get(chatId);
+}
+
+/**
+ * Get the ledger records of all chats
+ * @returns {Object[]} Records
+ */
+export function listGreetingRecords() {
+  return ledger.values();
+}
+
+// Attempts recorded before occasions existed were New Year greetings
+const LEGACY_OCCASION = 'newyear';
+
+/**
+ * Check whether a chat has already been greeted (or is being greeted)
+ * @param {number} chatId - Chat ID
+ * @param {string} occasion - Occasion ID; omit to check any occasion
+ * @returns {boolean} True if an attempt was started for this chat (and occasion)
+ */
+export function hasBeenGreeted(chatId, occasion) {
+  return getAttempts(chatId, occasion).length > 0;
+}
+
+/**
+ * Get the greeting attempts of a chat that count, oldest first
+ * Attempts reset by the admin stay in the record but don't count
+ * @param {number} chatId - Chat ID
+ * @param {string} occasion - Occasion ID; omit for all occasions
+ * @returns {Object[]} Attempts
+ */
+export function getAttempts(chatId, occasion) {
+  const record = ledger.get(chatId);
+  if (!record) return [];
+
+  return record.attempts.filter(attempt =>
+    !attempt.resetAt && (!occasion || getOccasionOf(attempt) === occasion)
+  );
+}
+
+/**
+ * Get the occasion of an attempt
+ * @param {Object} attempt - Attempt
+ * @returns {string} Occasion ID
+ */
+export function getOccasionOf(attempt) {
+  return attempt.occasion || LEGACY_OCCASION;
+}
+
+/**
+ * Stop counting a chat's attempts, so it can be greeted again
+ * @param {number} chatId - Chat ID
+ * @returns {Object[]} Attempts that were reset
+ */
+export function resetAttempts(chatId) {
+  const now = new Date().toISOString();
+  let active = [];
+
+  ledger.update(chatId, (record) => {
+    active = record?.attempts.filter(attempt => !attempt.resetAt) || [];
+    if (active.length === 0) {
+      return record;
+    }
+    return {
+      ...record,
+      attempts: record.attempts.map(attempt => attempt.resetAt ? attempt : { ...attempt, resetAt: now })
+    };
+  });
+  return active;
+}
+
+/**
+ * Get the most recent greeting attempt for a chat
+ * @param {number} chatId - Chat ID
+ * @returns {Object|null} Attempt or null
+ */
+export function getLatestAttempt(chatId) {
+  const record = ledger.get(chatId);
+  return record?.attempts[record.attempts.length - 1] || null;
+}
+
+/**
+ * Get one greeting attempt of a chat
+ * A chat may run greetings for two occasions at once, so stages record into the attempt they belong to
+ * @param {number} chatId - Chat ID
+ * @param {string} attemptId - Attempt ID; omit for the latest attempt (jobs created before attempts had IDs)
+ * @returns {Object|null} Attempt or null
+ */
+export function getAttempt(chatId, attemptId) {
+  if (!attemptId) return getLatestAttempt(chatId);
+  return ledger.get(chatId)?.attempts.find(attempt => attempt.id === attemptId) || null;
+}
+
+/**
+ * Start a new greeting attempt for a user
+ * @param {Object} userInfo - User information
+ * @param {string[]} stageNames - Stages this greeting runs (optional ones included)
+ * @returns {Object} The new attempt
+ */
+export function startAttempt(userInfo, stageNames = STAGES) {
+  const now = new Date().toISOString();
+  const stages = {};
+  for (const stage of stageNames) {
+    stages[stage] = { status: 'pending', at: null };
+  }
+
+  const attempt = {
+    id: crypto.randomUUID(),
+    occasion: userInfo.occasion || LEGACY_OCCASION,
+    startedAt: now,
+    finishedAt: null,
+    stages,
+    greeting: null,
+    songTitle: null,
+    extras: []
+  };
+
+  ledger.update(userInfo.chatId, (record) => ({
+    chatId: userInfo.chatId,
+    createdAt: record?.createdAt || now,
+    user: {
+      id: userInfo.id,
+      firstName: userInfo.firstName,
+      lastName: userInfo.lastName,
+      username: userInfo.username,
+      languageCode: userInfo.languageCode
+    },
+    attempts: [...(record?.attempts || []), attempt]
+  }));
+
+  return attempt;
+}
+
+/**
+ * Record the outcome of one stage of an attempt
+ * @param {number} chatId - Chat ID
+ * @param {string} attemptId - Attempt ID (the latest attempt if missing)
+ * @param {string} stage - Stage name (text, image, song, voice)
+ * @param {boolean} success - Whether the stage was delivered
+ * @param {Object} details - Extra fields to store on the attempt (greeting, songTitle)
+ * @returns {Object|null} Updated attempt or null if there is none
+ */
+export function recordStage(chatId, attemptId, stage, success, details = {}) {
+  return updateAttempt(chatId, attemptId, (attempt) => ({
+    ...attempt,
+    ...details,
+    stages: {
+      ...attempt.stages,
+      [stage]: { status: success ? 'success' : 'failed', at: new Date().toISOString() }
+    }
+  }));
+}
+
+/**
+ * Record an extra delivery (a regenerated card or song) on the attempt it was ordered for
+ * @param {number} chatId - Chat ID
+ * @param {string} attemptId - Attempt ID (the latest attempt if missing)
+ * @param {string} stage - Stage name (image, song)
+ * @param {boolean} success - Whether it was delivered
+ * @param {Object} details - Extra fields (songTitle, style, paymentId, resend)
+ * @returns {Object|null} Updated attempt or null if there is none
+ */
+export function recordExtra(chatId, attemptId, stage, success, details = {}) {
+  return updateAttempt(chatId, attemptId, (attempt) => ({
+    ...attempt,
+    extras: [
+      ...(attempt.extras || []),
+      { stage, status: success ? 'success' : 'failed', at: new Date().toISOString(), ...details }
+    ]
+  }));
+}
+
+/**
+ * Count successful free extra deliveries of a stage on the latest attempt
+ * Paid extras (those with a paymentId) and admin resends don't count
+ * @param {number} chatId - Chat ID
+ * @param {string} stage - Stage name
+ * @returns {number} Number of delivered free extras
+ */
+export function countExtras(chatId, stage) {
+  const attempt = getLatestAttempt(chatId);
+  return (attempt?.extras || []).filter(e => e.stage === stage && e.status === 'success' && !e.paymentId && !e.resend).length;
+}
+
+/**
+ * Mark an attempt as finished
+ * @param {number} chatId - Chat ID
+ * @param {string} attemptId - Attempt ID (the latest attempt if missing)
+ * @returns {Object|null} Updated attempt or null if there is none
+ */
+export function finishAttempt(chatId, attemptId) {
+  return updateAttempt(chatId, attemptId, (attempt) => ({
+    ...attempt,
+    finishedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Apply a change to an attempt of a chat and persist it
+ * @param {number} chatId - Chat ID
+ * @param {string} attemptId - Attempt ID; omit for the latest attempt
+ * @param {Function} fn - Receives the attempt, returns the new attempt
+ * @returns {Object|null} Updated attempt or null if there is none
+ */
+function updateAttempt(chatId, attemptId, fn) {
+  let updated = null;
+
+  // Read and written under the store's lock, so a stage recorded by another process isn't lost
+  ledger.update(chatId, (record) => {
+    const index = attemptId
+      ? record?.attempts.findIndex(attempt => attempt.id === attemptId) ?? -1
+      : (record?.attempts.length ?? 0) - 1;
+    if (index < 0) {
+      return record;
+    }
+
+    const attempts = [...record.attempts];
+    updated = attempts[index] = fn(attempts[index]);
+    return { ...record, attempts };
+  });
+  return updated;
+}
@@ -0,0 +1,323 @@
+/**
+ * Language models behind one interface
+ * Providers talk to a chat completions API: "openrouter", "openai" (any OpenAI-compatible
+ * endpoint, e.g. a local llama.cpp server at LLM_API_URL) or "stub" (canned answers, for tests).
+ * Each capability (text, image) has an ordered list of models: a model that still fails after
+ * its retries hands over to the next one, and the caller falls back only when all of them failed
+ */
+
+// OpenRouter's API
+const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1';
+
+// Where the "openai" provider lives, unless LLM_API_URL says otherwise
+const DEFAULT_LLM_API_URL = 'https://api.openai.com/v1';
+
+// Models tried in order and how long one try may take; LLM_TEXT_MODELS, LLM_IMAGE_MODELS,
+// LLM_TEXT_TIMEOUT_MS and LLM_IMAGE_TIMEOUT_MS override them
+const CAPABILITIES = {
+  text: { models: ['google/gemini-3-flash-preview', 'google/gemini-2.5-flash'], timeoutMs: 60000 },
+  image: { models: ['google/gemini-2.5-flash-image'], timeoutMs: 120000 }
+};
+
+// Models without a provider prefix go to LLM_PROVIDER, or to this one
+const DEFAULT_PROVIDER = 'openrouter';
+
+// Tries per model for rate limits, server errors, timeouts and network errors
+const MAX_TRIES = 2;
+
+// First backoff for errors that don't say how long to wait; doubles with every try
+const RETRY_DELAY_MS = 1000;
+
+// A longer Retry-After is better spent on the next model
+const MAX_RETRY_AFTER_S = 10;
+
+// What the stub draws: a 1x1 PNG
+const STUB_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+/**
+ * A failed model call
+ * status is the HTTP status of the API response, null when the API wasn't reached (timeout, network error)
+ */
+export class LlmError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - { status }, { retryAfter } in seconds, { cause }
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'LlmError';
+    this.status = options.status ?? null;
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  /**
+   * Whether the same call may succeed later
+   * @returns {boolean}
+   */
+  get transient() {
+    return this.status === null || this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {(request: Object) => Promise<{ text: string, images: string[] }>} complete
+ *   Answer { model, messages, maxTokens, temperature, modalities, signal } with text and image URLs;
+ *   with { onText } the text is streamed, onText getting the text so far. Throws LlmError when the API refuses
+ */
+
+// Provider name -> LlmProvider
+const providers = new Map();
+
+/**
+ * Register an LLM provider under a name model lists can refer to ("name:model")
+ * @param {string} name - Provider name
+ * @param {LlmProvider} provider - Provider implementation
+ */
+export function registerLlmProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+/**
+ * Ask the models of a capability, in order, until one answers
+ * @param {string} capability - text or image
+ * @param {Object} request - { messages, maxTokens, temperature, modalities }, { onText } to stream the text,
+ *   { onReset } called before a model (or another try of one) starts over after text was streamed,
+ *   so the caller can clear the failed one's output
+ * @returns {Promise<{text: string, images: string[], model: string}>} Answer and the model that gave it
+ * @throws {LlmError} When every model failed
+ */
+export async function complete(capability, request) {
+  const timeoutMs = Number(process.env[`LLM_${capability.toUpperCase()}_TIMEOUT_MS`]) || CAPABILITIES[capability].timeoutMs;
+  let lastError = null;
+
+  // Whether the caller was shown text since the last reset
+  let streamed = false;
+  const { onReset, ...streamingRequest } = request;
+  if (request.onText) {
+    streamingRequest.onText = (text) => {
+      streamed = true;
+      return request.onText(text);
+    };
+  }
+
+  const beforeTry = async () => {
+    if (!streamed) return;
+    streamed = false;
+    await onReset?.();
+  };
+
+  for (const { provider: name, model } of getModels(capability)) {
+    const provider = providers.get(name);
+    if (!provider) {
+      console.error(`Unknown LLM provider "${name}" for model ${model}`);
+      continue;
+    }
+
+    try {
+      const result = await completeWithRetries(provider, `${name}:${model}`, { ...streamingRequest, model }, timeoutMs, beforeTry);
+      const answered = capability === 'image' ? result.images?.length > 0 : Boolean(result.text?.trim());
+      if (answered) {
+        return { text: result.text || '', images: result.images || [], model: `${name}:${model}` };
+      }
+      lastError = new LlmError(`${name}:${model} returned no ${capability}`);
+    } catch (error) {
+      lastError = error;
+    }
+    console.error(`LLM ${name}:${model} failed:`, lastError.message);
+  }
+
+  throw new LlmError(`Every ${capability} model failed`, { cause: lastError });
+}
+
+/**
+ * Call one model, retrying rate limits, server errors and timeouts
+ * @param {LlmProvider} provider - Provider
+ * @param {string} label - provider:model, for the logs
+ * @param {Object} request - Request with the model
+ * @param {number} timeoutMs - Timeout of one try
+ * @param {Function} beforeTry - Awaited before every try (clears what a failed one streamed)
+ * @returns {Promise<Object>} Provider answer
+ */
+async function completeWithRetries(provider, label, request, timeoutMs, beforeTry) {
+  for (let tries = 1; ; tries++) {
+    await beforeTry();
+    try {
+      return await provider.complete({ ...request, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (error) {
+      // Timeouts and network errors don't come as LlmError, and are worth another try too
+      const transient = error instanceof LlmError ? error.transient : true;
+      const retryAfter = error.retryAfter;
+
+      if (!transient || tries >= MAX_TRIES || retryAfter > MAX_RETRY_AFTER_S) {
+        throw error;
+      }
+
+      const delayMs = retryAfter ? retryAfter * 1000 : RETRY_DELAY_MS * 2 ** (tries - 1);
+      console.warn(`LLM ${label} failed (${error.message}), retrying in ${delayMs} ms`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Get the models of a capability, in the order they are tried
+ * @param {string} capability - text or image
+ * @returns {Array<{provider: string, model: string}>} Models
+ */
+function getModels(capability) {
+  const configured = process.env[`LLM_${capability.toUpperCase()}_MODELS`];
+  const entries = configured
+    ? configured.split(',').map(entry => entry.trim()).filter(Boolean)
+    : CAPABILITIES[capability].models;
+
+  return entries.map((entry) => {
+    // OpenRouter model IDs may have a colon too (":free"), so only a known provider counts as a prefix
+    const at = entry.indexOf(':');
+    if (at > 0 && providers.has(entry.slice(0, at))) {
+      return { provider: entry.slice(0, at), model: entry.slice(at + 1) };
+    }
+    return { provider: process.env.LLM_PROVIDER || DEFAULT_PROVIDER, model: entry };
+  });
+}
+
+/**
+ * Create a provider for a chat completions API
+ * @param {Function} getConfig - () => { url, headers } read at call time
+ * @returns {LlmProvider} Provider
+ */
+function createChatCompletionsProvider(getConfig) {
+  return {
+    async complete(request) {
+      const { url, headers } = getConfig();
+      const response = await fetch(`${url}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers
+        },
+        body: JSON.stringify({
+          model: request.model,
+          messages: request.messages,
+          max_tokens: request.maxTokens,
+          temperature: request.temperature,
+          modalities: request.modalities,
+          stream: Boolean(request.onText)
+        }),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new LlmError(`LLM API error: ${response.status} ${errorText.slice(0, 200)}`, {
+          status: response.status,
+          retryAfter: Number(response.headers.get('retry-after')) || null
+        });
+      }
+
+      if (request.onText) {
+        return { text: await readStream(response, request.onText), images: [] };
+      }
+
+      const data = await response.json();
+      const message = data.choices?.[0]?.message;
+      return {
+        text: message?.content || '',
+        images: (message?.images || []).map(image => image.image_url?.url).filter(Boolean)
+      };
+    }
+  };
+}
+
+/**
+ * Read a streamed chat completion (server-sent events)
+ * @param {Response} response - Streaming response
+ * @param {Function} onText - Called with the text so far on every chunk
+ * @returns {Promise<string>} Whole text
+ */
+async function readStream(response, onText) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let fullText = '';
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data: ') || trimmed === 'data: [DONE]') continue; // SSE comments too
+
+      let json;
+      try {
+        json = JSON.parse(trimmed.slice(6));
+      } catch (e) {
+        // Ignore parse errors for non-JSON payloads
+        continue;
+      }
+
+      // An error after the stream started comes as an event
+      if (json.error) {
+        throw new LlmError(`LLM stream error: ${json.error.message}`, { status: Number(json.error.code) || null });
+      }
+
+      const delta = json.choices?.[0]?.delta?.content;
+      if (delta) {
+        fullText += delta;
+        await onText(fullText);
+      }
+    }
+  }
+
+  return fullText;
+}
+
+registerLlmProvider('openrouter', createChatCompletionsProvider(() => ({
+  url: OPENROUTER_API_URL,
+  headers: {
+    'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
+    'HTTP-Referer': 'https://newyear-bot.local',
+    'X-Title': 'New Year Greeting Bot'
+  }
+})));
+
+registerLlmProvider('openai', createChatCompletionsProvider(() => ({
+  url: (process.env.LLM_API_URL || DEFAULT_LLM_API_URL).replace(/\/+$/, ''),
+  // A local server may not need a key
+  headers: process.env.LLM_API_KEY ? { 'Authorization': `Bearer ${process.env.LLM_API_KEY}` } : {}
+})));
+
+registerLlmProvider('stub', {
+  /**
+   * Canned answers, no network involved: the text names the model and quotes the prompt,
+   * the image is a 1x1 PNG. A model named error-<status> fails with that status (to try fallbacks)
+   */
+  async complete(request) {
+    const failure = request.model.match(/^error-(\d{3})$/);
+    if (failure) {
+      throw new LlmError(`Stub error ${failure[1]}`, { status: Number(failure[1]) });
+    }
+
+    if (request.modalities?.includes('image')) {
+      return { text: '', images: [STUB_IMAGE] };
+    }
+
+    const content = request.messages.at(-1)?.content;
+    const prompt = typeof content === 'string' ? content : content?.find(part => part.type === 'text')?.text || '';
+    const text = `Stub ${request.model}: ${prompt.trim().split('\n')[0].slice(0, 100)}`;
+
+    if (request.onText) {
+      let shown = '';
+      for (const word of text.split(/(?<= )/)) {
+        shown += word;
+        await request.onText(shown);
+      }
+    }
+    return { text, images: [] };
+  }
+});
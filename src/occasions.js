@@ -0,0 +1,885 @@
+/**
+ * Occasion catalog
+ * Each occasion defines the fragments the text, image and song prompts are built from,
+ * plus its UI strings, per language. The house style (chastushki, "Pole Chudes" kitsch) stays the same.
+ */
+
+import { getLanguage } from './i18n.js';
+import { escapeHtml } from './format.js';
+
+// Occasion used when nothing else applies
+const DEFAULT_OCCASION = 'birthday';
+
+/**
+ * @typedef {Object} Occasion
+ * @property {string} id - Occasion ID, also the deep-link payload (t.me/bot?start=<id>)
+ * @property {string} emoji - Emoji for buttons and messages
+ * @property {string} title - Short name for buttons
+ * @property {Object} text - Fragments of the chastushki prompt
+ * @property {Object} image - Fragments of the card prompt
+ * @property {Object} song - Song mood, title and lyrics
+ * @property {Object} ui - User-facing strings, HTML-safe (custom details are escaped)
+ */
+
+// Shared fields (the image prompt and song style are always English) plus
+// per-language locales with everything the user reads or hears
+const OCCASIONS = {
+  newyear: {
+    id: 'newyear',
+    emoji: '🎄',
+    image: {
+      subject: 'New Year greeting card',
+      elements: ['Sparkles, snowflakes, champagne glasses', 'Maybe a badly drawn Santa (Ded Moroz) or Snegurochka'],
+      colors: 'gold, red, green',
+      aesthetic: 'Russian New Year aesthetic'
+    },
+    song: {
+      mood: 'festive, happy new year'
+    },
+    locales: {
+      ru: {
+        title: 'Новый год',
+        text: {
+          kind: 'новогоднее поздравление',
+          themes: 'Новый год, ёлка, оливье, мандарины, бой курантов, Дед Мороз',
+          knock: 'Новый Год стучится в двери,',
+          closing: ['С Новым годом поздравляем,', 'Счастья, радости желаем!']
+        },
+        banner: (name) => `С Новым Годом, ${name}!`,
+        song: {
+          title: (name) => `Новогоднее поздравление для ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+С Новым Годом, ${name}!
+Пусть сбываются мечты
+Счастье, радость, вдохновенье
+И любви полны цветы
+
+[Chorus]
+Новый Год стучится в двери
+Волшебство уже вокруг
+${name}, я тебе желаю
+Быть счастливым, милый друг
+
+[Verse 2]
+Пусть удача не оставит
+Каждый день твоих дорог
+${sender} шлёт тебе приветы
+И желает только добра
+
+[Outro]
+С Новым Годом! С Новым счастьем!
+${outro}`
+        },
+        ui: {
+          wish: 'С Новым Годом',
+          about: 'поздравить тебя с Новым Годом'
+        }
+      },
+      en: {
+        title: 'New Year',
+        text: {
+          kind: 'New Year greeting',
+          themes: 'New Year, the fir tree, Olivier salad, tangerines, the Kremlin clock striking midnight, Ded Moroz',
+          knock: 'New Year\'s knocking at the door,',
+          closing: ['Happy New Year, cheers to you,', 'May your every dream come true!']
+        },
+        banner: (name) => `Happy New Year, ${name}!`,
+        song: {
+          title: (name) => `A New Year song for ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+Happy New Year, ${name}!
+May your wishes all come true
+Joy and laughter, inspiration
+And a sky of brightest blue
+
+[Chorus]
+New Year's knocking at the door
+Magic's sparkling all around
+${name}, I wish you happiness
+The best that can be found
+
+[Verse 2]
+May good luck be always with you
+Every road and every day
+${sender} sends you warmest greetings
+And the best along the way
+
+[Outro]
+Happy New Year! Happy New Year!
+${outro}`
+        },
+        ui: {
+          wish: 'Happy New Year',
+          about: 'wish you a Happy New Year'
+        }
+      },
+      uk: {
+        title: 'Новий рік',
+        text: {
+          kind: 'новорічне привітання',
+          themes: 'Новий рік, ялинка, олів\'є, мандарини, бій годинника опівночі, Дід Мороз',
+          knock: 'Новий рік стукає в двері,',
+          closing: ['З Новим роком вас вітаєм,', 'Щастя й радості бажаєм!']
+        },
+        banner: (name) => `З Новим Роком, ${name}!`,
+        song: {
+          title: (name) => `Новорічне привітання для ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+З Новим роком, ${name}!
+Хай збуваються мрії
+Щастя, радість, натхнення
+І любові події
+
+[Chorus]
+Новий рік стукає в двері
+Чари всюди навкруги
+${name}, тобі бажаю
+Щастя, друже дорогий
+
+[Verse 2]
+Хай удача не лишає
+Кожен день твоїх доріг
+${sender} шле тобі вітання
+І добра за свій поріг
+
+[Outro]
+З Новим роком! З новим щастям!
+${outro}`
+        },
+        ui: {
+          wish: 'З Новим Роком',
+          about: 'привітати тебе з Новим Роком'
+        }
+      }
+    }
+  },
+
+  birthday: {
+    id: 'birthday',
+    emoji: '🎂',
+    image: {
+      subject: 'birthday greeting card',
+      elements: ['A huge cake with too many candles', 'Balloons, confetti, wrapped presents'],
+      colors: 'gold, pink, blue',
+      aesthetic: 'Russian birthday party aesthetic'
+    },
+    song: {
+      mood: 'birthday party, celebratory'
+    },
+    locales: {
+      ru: {
+        title: 'День рождения',
+        text: {
+          kind: 'поздравление с днём рождения',
+          themes: 'день рождения, торт со свечками, подарки, воздушные шарики, застолье',
+          closing: ['С днём рожденья поздравляем,', 'Счастья, радости желаем!']
+        },
+        banner: (name) => `С Днём Рождения, ${name}!`,
+        song: {
+          title: (name) => `С днём рождения, ${name}!`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+С днём рождения, ${name}!
+Свечи на торте горят
+Пусть мечты твои сбываются
+И друзья всегда звонят
+
+[Chorus]
+Праздник, праздник, день рожденья
+Шарики под потолок
+${name}, тебе желаю
+Счастья полный кузовок
+
+[Verse 2]
+Пусть удача не оставит
+Каждый день твоих дорог
+${sender} шлёт тебе приветы
+И желает только добра
+
+[Outro]
+С днём рождения, с днём рожденья!
+${outro}`
+        },
+        ui: {
+          wish: 'С Днём Рождения',
+          about: 'поздравить тебя с днём рождения'
+        }
+      },
+      en: {
+        title: 'Birthday',
+        text: {
+          kind: 'birthday greeting',
+          themes: 'birthday, a cake with candles, presents, balloons, a big feast',
+          closing: ['Happy birthday, cheers to you,', 'May your every dream come true!']
+        },
+        banner: (name) => `Happy Birthday, ${name}!`,
+        song: {
+          title: (name) => `Happy Birthday, ${name}!`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+Happy birthday, ${name}!
+Candles shining on the cake
+May your wishes all come true
+And your friends stay wide awake
+
+[Chorus]
+Party, party, it's your birthday
+Balloons up to the sky
+${name}, I wish you happiness
+Piled up ever so high
+
+[Verse 2]
+May good luck be always with you
+Every road and every day
+${sender} sends you warmest greetings
+And the best along the way
+
+[Outro]
+Happy birthday, happy birthday!
+${outro}`
+        },
+        ui: {
+          wish: 'Happy Birthday',
+          about: 'wish you a happy birthday'
+        }
+      },
+      uk: {
+        title: 'День народження',
+        text: {
+          kind: 'привітання з днем народження',
+          themes: 'день народження, торт зі свічками, подарунки, повітряні кульки, застілля',
+          closing: ['З днем народження вітаєм,', 'Щастя й радості бажаєм!']
+        },
+        banner: (name) => `З Днем Народження, ${name}!`,
+        song: {
+          title: (name) => `З днем народження, ${name}!`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+З днем народження, ${name}!
+Свічки на торті горять
+Хай збуваються всі мрії
+І друзі завжди дзвонять
+
+[Chorus]
+Свято, свято, день народження
+Кульки аж під стелю
+${name}, тобі бажаю
+Щастя повну жменю
+
+[Verse 2]
+Хай удача не лишає
+Кожен день твоїх доріг
+${sender} шле тобі вітання
+І добра за свій поріг
+
+[Outro]
+З днем народження, з днем народження!
+${outro}`
+        },
+        ui: {
+          wish: 'З Днем Народження',
+          about: 'привітати тебе з днем народження'
+        }
+      }
+    }
+  },
+
+  march8: {
+    id: 'march8',
+    emoji: '💐',
+    image: {
+      subject: 'International Women\'s Day (March 8) greeting card',
+      elements: ['Bouquets of mimosa and tulips', 'A giant "8" made of flowers, hearts, a box of chocolates'],
+      colors: 'gold, pink, yellow',
+      aesthetic: 'Soviet March 8 postcard aesthetic'
+    },
+    song: {
+      mood: 'spring, romantic, tender'
+    },
+    locales: {
+      ru: {
+        title: '8 Марта',
+        text: {
+          kind: 'поздравление с 8 Марта',
+          themes: '8 Марта, весна, мимозы, тюльпаны, конфеты, комплименты',
+          closing: ['С Женским днём мы поздравляем,', 'Красоты, любви желаем!']
+        },
+        banner: (name) => `С 8 Марта, ${name}!`,
+        song: {
+          title: (name) => `8 Марта для ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+С Восьмым Марта, ${name}!
+За окном звенит капель
+Пусть цветут тюльпаны, розы
+И весна стучит в апрель
+
+[Chorus]
+Мимоза, мимоза, весенний букет
+${name}, прекрасней тебя просто нет
+Пусть улыбка сияет весь год
+И счастье к тебе само придёт
+
+[Verse 2]
+Пусть удача не оставит
+Каждый день твоих дорог
+${sender} шлёт тебе приветы
+И желает только добра
+
+[Outro]
+С праздником весны и света!
+${outro}`
+        },
+        ui: {
+          wish: 'С 8 Марта',
+          about: 'поздравить тебя с 8 Марта'
+        }
+      },
+      en: {
+        title: 'March 8',
+        text: {
+          kind: 'International Women\'s Day (March 8) greeting',
+          themes: 'March 8, spring, mimosa, tulips, chocolates, compliments',
+          closing: ['Happy Women\'s Day to you,', 'Love and beauty, all year through!']
+        },
+        banner: (name) => `Happy March 8, ${name}!`,
+        song: {
+          title: (name) => `March 8 for ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+Happy Women's Day, ${name}!
+Spring is dripping from the eaves
+Tulips, roses all are blooming
+Sunshine dancing on the leaves
+
+[Chorus]
+Mimosa, mimosa, a bouquet of spring
+${name}, you're lovelier than anything
+May your smile be shining all year
+And happiness always be near
+
+[Verse 2]
+May good luck be always with you
+Every road and every day
+${sender} sends you warmest greetings
+And the best along the way
+
+[Outro]
+Happy day of spring and light!
+${outro}`
+        },
+        ui: {
+          wish: 'Happy March 8',
+          about: 'wish you a happy International Women\'s Day'
+        }
+      },
+      uk: {
+        title: '8 Березня',
+        text: {
+          kind: 'привітання з 8 Березня',
+          themes: '8 Березня, весна, мімози, тюльпани, цукерки, компліменти',
+          closing: ['Із Жіночим днем вітаєм,', 'Краси, любові бажаєм!']
+        },
+        banner: (name) => `З 8 Березня, ${name}!`,
+        song: {
+          title: (name) => `8 Березня для ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+З Восьмим Березня, ${name}!
+За вікном дзвенить капіж
+Хай цвітуть тюльпани, рози
+І весна приходить скоріш
+
+[Chorus]
+Мімоза, мімоза, весняний букет
+${name}, прекраснішої в світі нема
+Хай усмішка сяє весь рік
+І щастя приходить саме
+
+[Verse 2]
+Хай удача не лишає
+Кожен день твоїх доріг
+${sender} шле тобі вітання
+І добра за свій поріг
+
+[Outro]
+Зі святом весни і світла!
+${outro}`
+        },
+        ui: {
+          wish: 'З 8 Березня',
+          about: 'привітати тебе з 8 Березня'
+        }
+      }
+    }
+  },
+
+  feb23: {
+    id: 'feb23',
+    emoji: '🎖',
+    image: {
+      subject: 'Defender of the Fatherland Day (February 23) greeting card',
+      elements: ['Red stars, tanks made of pickles, a gift set of socks and shaving foam', 'Fireworks and carnations'],
+      colors: 'gold, red, khaki green',
+      aesthetic: 'Soviet February 23 postcard aesthetic'
+    },
+    song: {
+      mood: 'march, brass band, proud, cheerful'
+    },
+    locales: {
+      ru: {
+        title: '23 Февраля',
+        text: {
+          kind: 'поздравление с 23 Февраля',
+          themes: '23 Февраля, защитник, носки и пена для бритья в подарок, сила и отвага',
+          closing: ['С двадцать третьим поздравляем,', 'Силы, мужества желаем!']
+        },
+        banner: (name) => `С 23 Февраля, ${name}!`,
+        song: {
+          title: (name) => `23 Февраля для ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+С двадцать третьим, ${name}!
+Ты надёжен, как гранит
+Пусть удача будет рядом
+И никто не огорчит
+
+[Chorus]
+Защитник, защитник, герой на века
+${name}, крепка твоя рука
+Пусть носки твои будут всегда целы
+И все дела твои — смелы
+
+[Verse 2]
+Пусть удача не оставит
+Каждый день твоих дорог
+${sender} шлёт тебе приветы
+И желает только добра
+
+[Outro]
+С праздником, наш защитник!
+${outro}`
+        },
+        ui: {
+          wish: 'С 23 Февраля',
+          about: 'поздравить тебя с 23 Февраля'
+        }
+      },
+      en: {
+        title: 'February 23',
+        text: {
+          kind: 'February 23 (Defender\'s Day) greeting',
+          themes: 'February 23, a defender, socks and shaving foam as presents, strength and courage',
+          closing: ['Happy Defender\'s Day to you,', 'Strength and courage, through and through!']
+        },
+        banner: (name) => `Happy February 23, ${name}!`,
+        song: {
+          title: (name) => `February 23 for ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+Happy Defender's Day, ${name}!
+You are steady as a stone
+May good fortune march beside you
+And you never stand alone
+
+[Chorus]
+Defender, defender, a hero for all time
+${name}, your grip is strong and fine
+May your socks be always whole
+And courage fill your soul
+
+[Verse 2]
+May good luck be always with you
+Every road and every day
+${sender} sends you warmest greetings
+And the best along the way
+
+[Outro]
+Happy holiday, defender!
+${outro}`
+        },
+        ui: {
+          wish: 'Happy February 23',
+          about: 'congratulate you on February 23'
+        }
+      },
+      uk: {
+        title: '23 Лютого',
+        text: {
+          kind: 'привітання з 23 Лютого',
+          themes: '23 Лютого, захисник, шкарпетки й піна для гоління в подарунок, сила й відвага',
+          closing: ['З двадцять третім вас вітаєм,', 'Сили, мужності бажаєм!']
+        },
+        banner: (name) => `З 23 Лютого, ${name}!`,
+        song: {
+          title: (name) => `23 Лютого для ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+З двадцять третім, ${name}!
+Ти надійний, як граніт
+Хай удача буде поруч
+І не буде в тебе бід
+
+[Chorus]
+Захисник, захисник, герой на віки
+${name}, міцні твої руки
+Хай шкарпетки будуть завжди цілі
+І всі справи твої — сміливі
+
+[Verse 2]
+Хай удача не лишає
+Кожен день твоїх доріг
+${sender} шле тобі вітання
+І добра за свій поріг
+
+[Outro]
+Зі святом, наш захиснику!
+${outro}`
+        },
+        ui: {
+          wish: 'З 23 Лютого',
+          about: 'привітати тебе з 23 Лютого'
+        }
+      }
+    }
+  },
+
+  wedding: {
+    id: 'wedding',
+    emoji: '💍',
+    image: {
+      subject: 'wedding congratulation card',
+      elements: ['Two golden rings, doves, a wedding loaf (karavai)', 'A limousine decorated with ribbons and a doll on the hood'],
+      colors: 'gold, white, pink',
+      aesthetic: 'Russian village wedding aesthetic'
+    },
+    song: {
+      mood: 'wedding, romantic, joyful'
+    },
+    locales: {
+      ru: {
+        title: 'Свадьба',
+        text: {
+          kind: 'свадебное поздравление',
+          themes: 'свадьба, «Горько!», каравай, тамада, кольца, семейное счастье',
+          closing: ['Со свадьбой вас мы поздравляем,', 'Любви и счастья вам желаем!']
+        },
+        banner: (name) => `Со Свадьбой, ${name}!`,
+        song: {
+          title: (name) => `Свадебная песня для ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+Поздравляем, ${name}!
+Кольца, голуби, цветы
+Пусть в семье всегда смеются
+И сбываются мечты
+
+[Chorus]
+Горько! Горько! Кричат гости
+Каравай на рушнике
+${name}, живите дружно
+Рука об руку, в любви
+
+[Verse 2]
+Пусть удача не оставит
+Каждый день ваших дорог
+${sender} шлёт вам приветы
+И желает только добра
+
+[Outro]
+Совет да любовь!
+${outro}`
+        },
+        ui: {
+          wish: 'Со Свадьбой',
+          about: 'поздравить тебя со свадьбой'
+        }
+      },
+      en: {
+        title: 'Wedding',
+        text: {
+          kind: 'wedding congratulation',
+          themes: 'a wedding, guests shouting "Gorko!" (kiss!), a wedding loaf, the toastmaster, rings, family happiness',
+          closing: ['On your wedding, cheers to you,', 'Love and joy your whole life through!']
+        },
+        banner: (name) => `Happy Wedding, ${name}!`,
+        song: {
+          title: (name) => `A wedding song for ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+Congratulations, ${name}!
+Rings and doves and flowers bright
+May your home be full of laughter
+And your dreams take flight
+
+[Chorus]
+Kiss! Kiss! The guests are shouting
+Bread and salt upon the lace
+${name}, live in harmony
+Hand in hand, in love and grace
+
+[Verse 2]
+May good luck be always with you
+Every road and every day
+${sender} sends you warmest greetings
+And the best along the way
+
+[Outro]
+Love and happiness forever!
+${outro}`
+        },
+        ui: {
+          wish: 'Happy Wedding',
+          about: 'congratulate you on your wedding'
+        }
+      },
+      uk: {
+        title: 'Весілля',
+        text: {
+          kind: 'весільне привітання',
+          themes: 'весілля, «Гірко!», коровай, тамада, обручки, сімейне щастя',
+          closing: ['Із весіллям вас вітаєм,', 'Щастя і любові бажаєм!']
+        },
+        banner: (name) => `З Весіллям, ${name}!`,
+        song: {
+          title: (name) => `Весільна пісня для ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+Вітаємо, ${name}!
+Обручки, голуби, квіти
+Хай у домі завжди сміх
+І збуваються мрії
+
+[Chorus]
+Гірко! Гірко! Кричать гості
+Коровай на рушнику
+${name}, живіть у згоді
+Пліч-о-пліч, у любові
+
+[Verse 2]
+Хай удача не лишає
+Кожен день ваших доріг
+${sender} шле вам вітання
+І добра за ваш поріг
+
+[Outro]
+Злагоди й любові!
+${outro}`
+        },
+        ui: {
+          wish: 'З Весіллям',
+          about: 'привітати тебе з весіллям'
+        }
+      }
+    }
+  },
+
+  custom: {
+    id: 'custom',
+    emoji: '✨',
+    image: {
+      subject: 'greeting card',
+      elements: ['Confetti, balloons, champagne glasses', 'Fireworks and flowers'],
+      colors: 'gold, red, purple',
+      aesthetic: 'Russian festive aesthetic'
+    },
+    song: {
+      mood: 'celebratory, cheerful'
+    },
+    locales: {
+      ru: {
+        title: 'Свой повод',
+        text: {
+          kind: 'поздравление',
+          themes: 'праздник, застолье, подарки',
+          closing: ['С праздником тебя поздравляем,', 'Счастья, радости желаем!']
+        },
+        banner: (name) => `Поздравляем, ${name}!`,
+        song: {
+          title: (name) => `Поздравление для ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+Поздравляем, ${name}!
+Пусть сбываются мечты
+Счастье, радость, вдохновенье
+И любви полны цветы
+
+[Chorus]
+Праздник в двери к нам стучится
+Волшебство уже вокруг
+${name}, я тебе желаю
+Быть счастливым, милый друг
+
+[Verse 2]
+Пусть удача не оставит
+Каждый день твоих дорог
+${sender} шлёт тебе приветы
+И желает только добра
+
+[Outro]
+С праздником тебя, с весельем!
+${outro}`
+        },
+        ui: {
+          wish: 'С праздником',
+          about: 'поздравить тебя с праздником'
+        },
+        details: {
+          kind: (details) => `поздравление (повод: ${details})`,
+          about: (details) => `поздравить тебя: ${details}`
+        }
+      },
+      en: {
+        title: 'Your own',
+        text: {
+          kind: 'greeting',
+          themes: 'a celebration, a big feast, presents',
+          closing: ['Happy holiday, cheers to you,', 'May your every dream come true!']
+        },
+        banner: (name) => `Congratulations, ${name}!`,
+        song: {
+          title: (name) => `A greeting for ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+Congratulations, ${name}!
+May your wishes all come true
+Joy and laughter, inspiration
+And a sky of brightest blue
+
+[Chorus]
+Celebration's at the door
+Magic's sparkling all around
+${name}, I wish you happiness
+The best that can be found
+
+[Verse 2]
+May good luck be always with you
+Every road and every day
+${sender} sends you warmest greetings
+And the best along the way
+
+[Outro]
+Here's to you and to the party!
+${outro}`
+        },
+        ui: {
+          wish: 'Congratulations',
+          about: 'congratulate you'
+        },
+        details: {
+          kind: (details) => `greeting (occasion: ${details})`,
+          about: (details) => `congratulate you: ${details}`
+        }
+      },
+      uk: {
+        title: 'Свій привід',
+        text: {
+          kind: 'привітання',
+          themes: 'свято, застілля, подарунки',
+          closing: ['Зі святом тебе вітаєм,', 'Щастя й радості бажаєм!']
+        },
+        banner: (name) => `Вітаємо, ${name}!`,
+        song: {
+          title: (name) => `Привітання для ${name}`,
+          lyrics: (name, sender, outro) => `[Verse 1]
+Вітаємо, ${name}!
+Хай збуваються мрії
+Щастя, радість, натхнення
+І любові події
+
+[Chorus]
+Свято в двері нам стукає
+Чари всюди навкруги
+${name}, тобі бажаю
+Щастя, друже дорогий
+
+[Verse 2]
+Хай удача не лишає
+Кожен день твоїх доріг
+${sender} шле тобі вітання
+І добра за свій поріг
+
+[Outro]
+Зі святом тебе, з веселощами!
+${outro}`
+        },
+        ui: {
+          wish: 'Зі святом',
+          about: 'привітати тебе зі святом'
+        },
+        details: {
+          kind: (details) => `привітання (привід: ${details})`,
+          about: (details) => `привітати тебе: ${details}`
+        }
+      }
+    }
+  }
+};
+
+/**
+ * List all occasions in display order
+ * @param {string} language - Language code for titles and strings
+ * @returns {Occasion[]} Occasions
+ */
+export function listOccasions(language) {
+  return Object.keys(OCCASIONS).map(id => resolveOccasion({ occasion: id, language }));
+}
+
+/**
+ * Check whether an ID names a known occasion
+ * @param {string} id - Occasion ID
+ * @returns {boolean} True if known
+ */
+export function isOccasion(id) {
+  return Object.hasOwn(OCCASIONS, id);
+}
+
+/**
+ * Pick the occasion that fits a calendar date
+ * @param {Date} date - Date to check (default: now)
+ * @returns {string} Occasion ID
+ */
+export function getDefaultOccasion(date = new Date()) {
+  const month = date.getMonth() + 1;
+  const day = date.getDate();
+
+  if (month === 12 || (month === 1 && day <= 14)) return 'newyear';
+  if (month === 2 && day >= 10 && day <= 23) return 'feb23';
+  if ((month === 2 && day > 23) || (month === 3 && day <= 8)) return 'march8';
+  return DEFAULT_OCCASION;
+}
+
+/**
+ * Resolve the occasion a greeting is for, in the user's language
+ * A custom occasion takes the user's own description (userInfo.occasionDetails)
+ * @param {Object} userInfo - User information (occasion, occasionDetails, language)
+ * @returns {Occasion} Occasion
+ */
+export function resolveOccasion(userInfo = {}) {
+  const id = isOccasion(userInfo.occasion) ? userInfo.occasion : getDefaultOccasion();
+  const { locales, ...shared } = OCCASIONS[id];
+  const locale = locales[getLanguage(userInfo)];
+
+  const occasion = {
+    ...shared,
+    title: locale.title,
+    text: locale.text,
+    image: { ...shared.image, banner: locale.banner },
+    song: { ...shared.song, ...locale.song },
+    ui: locale.ui
+  };
+
+  if (id !== 'custom' || !userInfo.occasionDetails) {
+    return occasion;
+  }
+
+  const details = userInfo.occasionDetails;
+  return {
+    ...occasion,
+    text: {
+      ...occasion.text,
+      kind: locale.details.kind(details),
+      themes: `${details}, ${occasion.text.themes}`
+    },
+    image: {
+      ...occasion.image,
+      subject: `greeting card for this occasion: "${details}"`,
+      elements: [`Kitschy symbols of "${details}"`, ...occasion.image.elements]
+    },
+    song: {
+      ...occasion.song,
+      mood: `${occasion.song.mood}, ${details}`
+    },
+    ui: {
+      ...occasion.ui,
+      // Sent as HTML, unlike the prompts above
+      about: locale.details.about(escapeHtml(details))
+    }
+  };
+}
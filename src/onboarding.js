@@ -0,0 +1,236 @@
+/**
+ * Onboarding: an optional short dialog before the greeting
+ * Asks about hobbies, city, pets and a wish for the coming year. The answers are
+ * saved as the chat's profile and feed the text, card and song prompts.
+ * The last step asks for a photo to put on the card
+ */
+
+import { sendMessage, answerCallbackQuery, editMessageReplyMarkup, inlineKeyboard } from './telegram.js';
+import { registerFlow, startConversation, advanceConversation, endConversation, getConversation } from './conversations.js';
+import { registerCallback, encodeCallback } from './callbacks.js';
+import { setPreferences } from './preferences.js';
+import { rememberSelfie, setPhotoSource, buildPhotoKeyboard } from './photos.js';
+import { t } from './i18n.js';
+
+// Questions in the order they are asked; each names the profile field it fills
+export const PROFILE_FIELDS = ['hobbies', 'city', 'pets', 'wish'];
+
+// Longest answer we keep
+const MAX_ANSWER_LENGTH = 100;
+
+// Without an answer for this long the greeting starts with what we have
+const ONBOARDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Called with (userInfo) once the profile is saved - starts the greeting
+let finishedHandler = null;
+
+/**
+ * Set what happens once onboarding is over (answered, declined or timed out)
+ * @param {Function} handler - Called with (userInfo)
+ */
+export function onOnboardingFinished(handler) {
+  finishedHandler = handler;
+}
+
+/**
+ * Offer the questions before a greeting
+ * A greeting requested again mid-dialog ends the dialog with the answers given so far
+ * @param {Object} userInfo - User information
+ * @returns {Promise<boolean>} True if the dialog started and the greeting has to wait for it
+ */
+export async function startOnboarding(userInfo) {
+  const conversation = getConversation(userInfo.chatId);
+  if (conversation?.flow === 'onboarding') {
+    endConversation(userInfo.chatId);
+    saveProfile(userInfo.chatId, conversation.data.answers);
+    return false;
+  }
+
+  startConversation(userInfo.chatId, 'onboarding', 'offer', { userInfo, answers: {} });
+  await sendMessage(
+    userInfo.chatId,
+    t(userInfo.language, 'onboarding.offer'),
+    inlineKeyboard([[
+      { text: t(userInfo.language, 'onboarding.yes'), callback_data: encodeCallback('onb', userInfo.id, 'yes') },
+      { text: t(userInfo.language, 'onboarding.no'), callback_data: encodeCallback('onb', userInfo.id, 'no') }
+    ]])
+  );
+  return true;
+}
+
+registerFlow('onboarding', async (userInfo, text, conversation, message) => {
+  const { step, data } = conversation;
+
+  // A selfie is welcome at any step; it answers only the photo question
+  if (message?.photo) {
+    rememberSelfie(userInfo.chatId, message.photo);
+    if (step === 'photo') {
+      await finishOnboarding(userInfo, data.answers);
+    } else {
+      await sendMessage(userInfo.chatId, t(userInfo.language, 'photo.saved'));
+    }
+    return;
+  }
+
+  // Writing instead of pressing a button under the offer means "just greet me"
+  if (step === 'offer') {
+    await finishOnboarding(userInfo, data.answers);
+    return;
+  }
+
+  if (step === 'photo') {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'onboarding.photoInvalid'));
+    return;
+  }
+
+  // Stickers and essays don't answer the question
+  const answer = text.trim();
+  if (!answer || answer.length > MAX_ANSWER_LENGTH) {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'onboarding.invalid', { max: MAX_ANSWER_LENGTH }));
+    return;
+  }
+
+  await answerQuestion(userInfo, conversation, answer);
+}, {
+  timeoutMs: ONBOARDING_TIMEOUT_MS,
+
+  /**
+   * The user went quiet - greet them with whatever they told us
+   */
+  async onTimeout(conversation) {
+    const { userInfo, answers } = conversation.data;
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'onboarding.timeout'));
+    await finishOnboarding(userInfo, answers, { quiet: true });
+  }
+});
+
+registerCallback('onb', async (userInfo, arg, query) => {
+  const conversation = getConversation(userInfo.chatId);
+
+  if (conversation?.flow !== 'onboarding' || conversation.step !== 'offer') {
+    await answerCallbackQuery(query.id, { text: t(userInfo.language, 'dialog.stale') });
+    return;
+  }
+
+  await answerCallbackQuery(query.id);
+  await removeButtons(userInfo, query);
+
+  if (arg === 'yes') {
+    await askQuestion(userInfo, PROFILE_FIELDS[0]);
+  } else {
+    await finishOnboarding(userInfo, conversation.data.answers, { quiet: true });
+  }
+});
+
+registerCallback('oskip', async (userInfo, arg, query) => {
+  const conversation = getConversation(userInfo.chatId);
+
+  // A skip button of an earlier question must not skip the current one
+  if (conversation?.flow !== 'onboarding' || conversation.step !== arg) {
+    await answerCallbackQuery(query.id, { text: t(userInfo.language, 'dialog.stale') });
+    return;
+  }
+
+  await answerCallbackQuery(query.id);
+  await removeButtons(userInfo, query);
+  await answerQuestion(userInfo, conversation, null);
+});
+
+registerCallback('ophoto', async (userInfo, arg, query) => {
+  const conversation = getConversation(userInfo.chatId);
+
+  if (conversation?.flow !== 'onboarding' || conversation.step !== 'photo') {
+    await answerCallbackQuery(query.id, { text: t(userInfo.language, 'dialog.stale') });
+    return;
+  }
+
+  await answerCallbackQuery(query.id);
+  await removeButtons(userInfo, query);
+  setPhotoSource(userInfo.chatId, arg === 'profile' ? 'profile' : 'none');
+  await finishOnboarding(userInfo, conversation.data.answers);
+});
+
+/**
+ * Store the answer to the current question and ask the next one
+ * @param {Object} userInfo - User information
+ * @param {Object} conversation - Onboarding conversation
+ * @param {string|null} answer - Answer, null if skipped
+ */
+async function answerQuestion(userInfo, conversation, answer) {
+  const answers = { ...conversation.data.answers, [conversation.step]: answer };
+  const next = PROFILE_FIELDS[PROFILE_FIELDS.indexOf(conversation.step) + 1];
+
+  advanceConversation(userInfo.chatId, conversation.step, { answers });
+
+  if (next) {
+    await askQuestion(userInfo, next);
+  } else {
+    await askPhoto(userInfo);
+  }
+}
+
+/**
+ * Move the dialog to a question and ask it
+ * @param {Object} userInfo - User information
+ * @param {string} field - Profile field the question fills
+ */
+async function askQuestion(userInfo, field) {
+  advanceConversation(userInfo.chatId, field);
+  await sendMessage(
+    userInfo.chatId,
+    t(userInfo.language, `onboarding.${field}`),
+    inlineKeyboard([[{ text: t(userInfo.language, 'onboarding.skip'), callback_data: encodeCallback('oskip', userInfo.id, field) }]])
+  );
+}
+
+/**
+ * Move the dialog to the photo step: a selfie, the profile photo or none
+ * @param {Object} userInfo - User information
+ */
+async function askPhoto(userInfo) {
+  advanceConversation(userInfo.chatId, 'photo');
+  await sendMessage(userInfo.chatId, t(userInfo.language, 'onboarding.photo'), buildPhotoKeyboard(userInfo, 'ophoto'));
+}
+
+/**
+ * End the dialog, save the profile and start the greeting
+ * @param {Object} userInfo - User information
+ * @param {Object} answers - Answers so far
+ * @param {Object} options - { quiet } to skip the thank-you message
+ */
+async function finishOnboarding(userInfo, answers, options = {}) {
+  endConversation(userInfo.chatId);
+  const profile = saveProfile(userInfo.chatId, answers);
+
+  if (!options.quiet && Object.values(profile).some(Boolean)) {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'onboarding.thanks'));
+  }
+
+  if (finishedHandler) {
+    await finishedHandler(userInfo);
+  }
+}
+
+/**
+ * Save answers as the chat's profile; unanswered fields are null
+ * A saved profile, even an empty one, means the questions were offered
+ * @param {number} chatId - Chat ID
+ * @param {Object} answers - Answers by field
+ * @returns {Object} Profile
+ */
+function saveProfile(chatId, answers = {}) {
+  const profile = Object.fromEntries(PROFILE_FIELDS.map(field => [field, answers[field] || null]));
+  setPreferences(chatId, { profile });
+  return profile;
+}
+
+/**
+ * Remove the inline keyboard from the message whose button was pressed
+ * @param {Object} userInfo - User information
+ * @param {Object} query - Telegram callback_query
+ */
+async function removeButtons(userInfo, query) {
+  if (query.message) {
+    await editMessageReplyMarkup(userInfo.chatId, query.message.message_id);
+  }
+}
@@ -1,24 +1,26 @@
 /**
- * OpenRouter API integration for generating New Year greetings
+ * Greeting generation: the chastushki prompts, sent to the text models of src/llm.js
+ * A static greeting stands in when every model failed
  */
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+import { resolveOccasion } from './occasions.js';
+import { getLanguage, t } from './i18n.js';
+import { PROFILE_FIELDS } from './onboarding.js';
+import { complete } from './llm.js';
+
+// Sampling settings of the greeting
+const MAX_TOKENS = 500;
+const TEMPERATURE = 0.8;
 
 /**
- * Build the prompt for greeting generation
- * @param {Object} userInfo - Telegram user information
- * @returns {string} The prompt
+ * Chastushki prompts per language
+ * Each takes { name, fullName, facts, signature, occasion } and returns the prompt
  */
-function buildPrompt(userInfo) {
-  const userDescription = buildUserDescription(userInfo);
-
-  const name = userInfo.firstName || 'Дружок';
-  const lastName = userInfo.lastName || '';
-
-  return `Ты - участник передачи "Поле Чудес" из деревни. Напиши МАКСИМАЛЬНО КРИНЖОВОЕ новогоднее поздравление в стиле ЧАСТУШЕК.
-
-ПОЛУЧАТЕЛЬ: ${name}${lastName ? ' ' + lastName : ''}
+const PROMPTS = {
+  ru: ({ name, fullName, facts, signature, occasion }) => `Ты - участник передачи "Поле Чудес" из деревни. Напиши МАКСИМАЛЬНО КРИНЖОВОЕ ${occasion.text.kind} в стиле ЧАСТУШЕК.
 
+ПОЛУЧАТЕЛЬ: ${fullName}
+${facts ? `\nЧТО ИЗВЕСТНО О ПОЛУЧАТЕЛЕ (обыграй это в частушках по-доброму):\n${facts}\n` : ''}
 ГЛАВНОЕ ТРЕБОВАНИЕ - РИФМА С ИМЕНЕМ:
 Имя "${name}" ОБЯЗАТЕЛЬНО должно быть в первой или второй строке первого четверостишия!
 Придумай смешную рифму к имени "${name}".
@@ -38,6 +40,7 @@ function buildPrompt(userInfo) {
 
 СТИЛЬ:
 - Деревенский кринж в духе Поля Чудес
+- Тема праздника: ${occasion.text.themes}
 - ОБЯЗАТЕЛЬНО: огурчики/соленья/варенье/самогон/грибочки
 - Можно: барабан, сектор приз, Якубович
 - Слова: "батюшки", "голубчик", "касатик", "милок", "родненький"
@@ -57,178 +60,256 @@ function buildPrompt(userInfo) {
 
 ${name}, милый голубок,
 Вот тебе наш пирожок!
-С Новым годом поздравляем,
-Счастья, радости желаем!"
+${occasion.text.closing[0]}
+${occasion.text.closing[1]}"
+
+В конце ОБЯЗАТЕЛЬНО: "${signature}"
+
+Напиши ТОЛЬКО частушки и подпись. Никаких комментариев!`,
+
+  en: ({ name, fullName, facts, signature, occasion }) => `You are a village contestant on the Russian TV show "Pole Chudes" (Field of Miracles). Write a MAXIMALLY CRINGE ${occasion.text.kind} in ENGLISH, in the style of Russian CHASTUSHKI (short, cheeky, rhyming folk ditties).
+
+RECIPIENT: ${fullName}
+${facts ? `\nWHAT WE KNOW ABOUT THE RECIPIENT (play on it kindly):\n${facts}\n` : ''}
+MAIN REQUIREMENT - RHYME WITH THE NAME:
+The name "${name}" MUST be in the first or second line of the first verse!
+Come up with a funny rhyme for "${name}".
+
+Examples of rhymes with names:
+- "Oh, our Johnny, what a star" → "guitar/caviar/jar"
+- "Here's to Annie, sweet as pie" → "sky/fly/apple pie"
+- "Hey there, Max, our dearest friend" → "bend/send/never end"
+
+CHASTUSHKI FORMAT:
+- 2-3 verses of 4 lines
+- Clear AABB rhyme
+- Short, bouncy lines of 7-9 syllables
+- Use the name "${name}" at least twice!
+
+STYLE:
+- Village kitsch in the spirit of Pole Chudes
+- Holiday theme: ${occasion.text.themes}
+- MANDATORY: pickles/preserves/jam/homemade moonshine/mushrooms
+- Optional: the spinning drum, "sector Prize", the host Yakubovich
+- Folksy words of endearment: "my dear", "sweetie", "darling", "my little dove"
+
+IMPORTANT - ONLY KIND WISHES:
+- The poem must be KIND and WARM despite the cringe
+- Wish ONLY good things: happiness, health, love, luck, joy
+- NO offensive, insulting or negative words
+- This is a heartfelt greeting, full of love and warmth
+- Let the person smile and feel special
+
+EXAMPLE for the name "${name}":
+"Oh, our ${name}, dear and true,
+Here's a jar of pickles for you!
+Jam and mushrooms, what a treat,
+May your year be bright and sweet!
+
+${name}, our little dove,
+Here's a pie baked with love!
+${occasion.text.closing[0]}
+${occasion.text.closing[1]}"
+
+ALWAYS end with: "${signature}"
+
+Write ONLY the ditties and the signature. No comments!`,
+
+  uk: ({ name, fullName, facts, signature, occasion }) => `Ти — учасник кітчевого телешоу "Поле чудес" із села. Напиши МАКСИМАЛЬНО КРІНЖОВЕ ${occasion.text.kind} УКРАЇНСЬКОЮ МОВОЮ у стилі ЧАСТІВОК (коротких жартівливих віршиків).
+
+ОТРИМУВАЧ: ${fullName}
+${facts ? `\nЩО ВІДОМО ПРО ОТРИМУВАЧА (обіграй це в частівках по-доброму):\n${facts}\n` : ''}
+ГОЛОВНА ВИМОГА - РИМА З ІМ'ЯМ:
+Ім'я "${name}" ОБОВ'ЯЗКОВО має бути в першому або другому рядку першого чотиривірша!
+Придумай смішну риму до імені "${name}".
+
+Приклади рим з іменами:
+- "Ой, Сергійко-молодець" → рима "огірець/холодець/удалець"
+- "Наша Ганнуся-душа" → рима "хороша/не спіша/із ковша"
+- "Ой, Максимко дорогий" → рима "золотий/удалий/молодий"
+- "Для Іванка ми співаєм" → рима "подаєм/вітаєм/бажаєм"
+
+ФОРМАТ ЧАСТІВОК:
+- 2-3 чотиривірші (по 4 рядки)
+- Чітка рима: AABB
+- Ритм: 7-9 складів у рядку
+- Ім'я "${name}" використати щонайменше 2 рази!
 
-В конце ОБЯЗАТЕЛЬНО: "Ваш Максим ❤️"
+СТИЛЬ:
+- Сільський крінж у дусі "Поля чудес"
+- Тема свята: ${occasion.text.themes}
+- ОБОВ'ЯЗКОВО: огірочки/соління/варення/самогон/грибочки
+- Можна: барабан, сектор приз, ведучий Якубович
+- Слова: "голубчику", "серденько", "рідненький", "любий"
+
+ВАЖЛИВО - ТІЛЬКИ ДОБРІ ПОБАЖАННЯ:
+- Вірші мають бути ДОБРИМИ й ТЕПЛИМИ попри крінж
+- Бажай ТІЛЬКИ хороше: щастя, здоров'я, любові, удачі, радості
+- ЖОДНИХ образливих чи негативних слів
+- Це привітання від щирого серця, з любов'ю і теплом
+- Хай людина усміхнеться і відчує себе особливою
+
+ПРИКЛАД для імені "${name}":
+"Ой, ${name} наш дорогий,
+Шлемо уклін тобі земний!
+Огірочків у подарунок,
+Хай рік буде як малюнок!
+
+${name}, любий голубок,
+Ось тобі наш пиріжок!
+${occasion.text.closing[0]}
+${occasion.text.closing[1]}"
+
+Наприкінці ОБОВ'ЯЗКОВО: "${signature}"
+
+Напиши ТІЛЬКИ частівки й підпис. Жодних коментарів!`
+};
 
-Напиши ТОЛЬКО частушки и подпись. Никаких комментариев!`;
+/**
+ * Build the prompt for greeting generation in the user's language
+ * @param {Object} userInfo - Telegram user information
+ * @returns {string} The prompt
+ */
+function buildPrompt(userInfo) {
+  const language = getLanguage(userInfo);
+  const name = userInfo.firstName || t(language, 'name.friend');
+
+  // Greetings for a friend: what the sender told us, and who it is from
+  const signature = userInfo.senderName
+    ? t(language, 'signature.from', { sender: userInfo.senderName })
+    : t(language, 'signature');
+
+  // What the user told about themselves, or the sender about a friend
+  const facts = [buildUserDescription(userInfo, language), userInfo.facts].filter(Boolean).join('\n');
+
+  return PROMPTS[language]({
+    name,
+    fullName: userInfo.lastName ? `${name} ${userInfo.lastName}` : name,
+    facts: facts || null,
+    signature,
+    occasion: resolveOccasion(userInfo)
+  });
 }
 
 /**
- * Generate a personalized New Year greeting with streaming
+ * Generate a personalized greeting for the user's occasion with streaming
  * @param {Object} userInfo - Telegram user information
  * @param {Function} onChunk - Callback called with accumulated text on each chunk
+ * @param {Function} onReset - Called when the text starts over (a model failed mid-stream and the next one writes)
  * @returns {Promise<string>} Final generated greeting
  */
-export async function generateGreetingStream(userInfo, onChunk) {
-  const prompt = buildPrompt(userInfo);
-
+export async function generateGreetingStream(userInfo, onChunk, onReset) {
   try {
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        'HTTP-Referer': 'https://newyear-bot.local',
-        'X-Title': 'New Year Greeting Bot'
-      },
-      body: JSON.stringify({
-        model: 'google/gemini-3-flash-preview',
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 500,
-        temperature: 0.8,
-        stream: true
-      })
+    const { text } = await complete('text', {
+      messages: [{ role: 'user', content: buildPrompt(userInfo) }],
+      maxTokens: MAX_TOKENS,
+      temperature: TEMPERATURE,
+      onText: (text) => onChunk?.(text),
+      onReset
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('OpenRouter API error:', response.status, errorText);
-      throw new Error(`OpenRouter API error: ${response.status}`);
-    }
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let fullText = '';
-    let buffer = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed || trimmed === 'data: [DONE]') continue;
-        if (trimmed.startsWith(':')) continue; // SSE comment
-
-        if (trimmed.startsWith('data: ')) {
-          try {
-            const json = JSON.parse(trimmed.slice(6));
-            const delta = json.choices?.[0]?.delta?.content;
-            if (delta) {
-              fullText += delta;
-              if (onChunk) {
-                await onChunk(fullText);
-              }
-            }
-          } catch (e) {
-            // Ignore parse errors for non-JSON payloads
-          }
-        }
-      }
-    }
-
-    return fullText.trim();
+    return text.trim();
   } catch (error) {
     console.error('Error generating greeting:', error);
-    const fallback = getFallbackGreeting(userInfo.firstName);
+    const fallback = getFallbackGreeting(userInfo);
     if (onChunk) await onChunk(fallback);
     return fallback;
   }
 }
 
 /**
- * Generate a personalized New Year greeting from Maxim (non-streaming)
+ * Generate a personalized greeting from Maxim (non-streaming)
  * @param {Object} userInfo - Telegram user information
  * @returns {Promise<string>} Generated greeting
  */
 export async function generateGreeting(userInfo) {
-  const prompt = buildPrompt(userInfo);
-
   try {
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        'HTTP-Referer': 'https://newyear-bot.local',
-        'X-Title': 'New Year Greeting Bot'
-      },
-      body: JSON.stringify({
-        model: 'google/gemini-3-flash-preview',
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 500,
-        temperature: 0.8
-      })
+    const { text } = await complete('text', {
+      messages: [{ role: 'user', content: buildPrompt(userInfo) }],
+      maxTokens: MAX_TOKENS,
+      temperature: TEMPERATURE
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('OpenRouter API error:', response.status, errorText);
-      throw new Error(`OpenRouter API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    if (!data.choices || !data.choices[0]?.message?.content) {
-      throw new Error('Invalid response from OpenRouter');
-    }
-
-    return data.choices[0].message.content.trim();
+    return text.trim();
   } catch (error) {
     console.error('Error generating greeting:', error);
-    return getFallbackGreeting(userInfo.firstName);
+    return getFallbackGreeting(userInfo);
   }
 }
 
 /**
- * Build a description of the user for the prompt
- * @param {Object} userInfo - Telegram user information
- * @returns {string} User description
+ * Build a description of the user for the prompt (beyond the name)
+ * @param {Object} userInfo - Telegram user information and onboarding profile
+ * @param {string} language - Language of the prompt
+ * @returns {string} User description, empty if there's nothing to tell
  */
-function buildUserDescription(userInfo) {
+function buildUserDescription(userInfo, language) {
   const parts = [];
+  const profile = userInfo.profile || {};
 
-  if (userInfo.firstName) {
-    parts.push(`Имя: ${userInfo.firstName}`);
-  }
-  if (userInfo.lastName) {
-    parts.push(`Фамилия: ${userInfo.lastName}`);
-  }
   if (userInfo.username) {
-    parts.push(`Username: @${userInfo.username}`);
-  }
-  if (userInfo.languageCode) {
-    parts.push(`Язык: ${userInfo.languageCode}`);
+    parts.push(`${t(language, 'about.username')}: @${userInfo.username}`);
   }
   if (userInfo.isPremium) {
-    parts.push(`Premium пользователь Telegram`);
+    parts.push(t(language, 'about.premium'));
+  }
+  for (const field of PROFILE_FIELDS) {
+    if (profile[field]) {
+      parts.push(`${t(language, `about.${field}`)}: ${profile[field]}`);
+    }
   }
 
-  return parts.length > 0 ? parts.join('\n') : 'Информация о пользователе недоступна';
+  return parts.join('\n');
 }
 
 /**
- * Fallback greeting if AI generation fails
- * @param {string} firstName - User's first name
- * @returns {string} Fallback greeting
+ * Fallback greetings per language, used if AI generation fails
+ * Each takes (name, knock) - knock is the occasion's "knocking at the door" line
  */
-function getFallbackGreeting(firstName) {
-  const name = firstName || 'дорогой человек';
-  return `Дорогой ${name}, привет тебе!
+const FALLBACK_GREETINGS = {
+  ru: (name, knock) => `Дорогой ${name}, привет тебе!
 От Максима и от кур!
 Шлю тебе бочонок с мёдом,
 И солёный огурец!
 
-Новый Год стучится в двери,
+${knock || 'Праздник в двери к нам стучится,'}
 Как Якубович в барабан!
 Счастья, радости, веселья,
 И здоровья полный чан!
 
-Ваш Максим ❤️`;
+Ваш Максим ❤️`,
+
+  en: (name, knock) => `Dear ${name}, hello to you!
+From Maxim and the chickens too!
+Here's a barrel full of honey,
+And a pickle, sweet and funny!
+
+${knock || 'Celebration\'s at the door,'}
+Like Yakubovich's drum, and more!
+Joy and laughter, lots of fun,
+And good health for everyone!
+
+Yours, Maxim ❤️`,
+
+  uk: (name, knock) => `Дорогий ${name}, привіт тобі!
+Від Максима й від курей!
+Шлю тобі барильце меду
+І солоний огірець!
+
+${knock || 'Свято в двері нам стукає,'}
+Як Якубович в барабан!
+Щастя, радості, веселощів
+І здоров'я повний чан!
+
+Ваш Максим ❤️`
+};
+
+/**
+ * Fallback greeting if every text model failed
+ * @param {Object} userInfo - User information (name, occasion and language)
+ * @returns {string} Fallback greeting
+ */
+function getFallbackGreeting(userInfo) {
+  const language = getLanguage(userInfo);
+  const name = userInfo.firstName || t(language, 'name.friend');
+  const occasion = resolveOccasion(userInfo);
+  return FALLBACK_GREETINGS[language](name, occasion.text.knock);
 }
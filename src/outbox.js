@@ -0,0 +1,223 @@
+/**
+ * Outbound queue for calls that go to a chat
+ * Telegram limits how fast a bot may write: about 30 messages per second overall,
+ * about one per second in a private chat and 20 per minute in a group. Every
+ * chat-bound call (and every retry of one) waits here for a token of the bot-wide bucket
+ * and of its chat's bucket; deliveries go before edits, edits before chat actions and broadcasts.
+ * A queued call with the same coalescing key as a newer one (an edit of the same
+ * message, a chat action in the same chat) is dropped in favor of the newer one.
+ * Limits are per process: instances sharing a bot token share Telegram's limits too
+ */
+
+// Queue priorities, lower goes first
+export const PRIORITIES = {
+  delivery: 0,
+  edit: 1,
+  background: 2
+};
+
+// Bot-wide bucket: Telegram allows about 30 messages per second across all chats
+const GLOBAL_RATE_PER_S = 30;
+const GLOBAL_BURST = 30;
+
+// Per-chat buckets: about one message per second in a private chat, a short burst is fine
+const PRIVATE_RATE_PER_S = 1;
+const PRIVATE_BURST = 3;
+
+// Groups (negative chat IDs) take 20 messages per minute
+const GROUP_RATE_PER_S = 20 / 60;
+const GROUP_BURST = 3;
+
+// Queued calls in priority and arrival order: { chatId, priority, seq, key, run, waiters }
+const queue = [];
+
+// Queued calls by coalescing key
+const pending = new Map();
+
+// Chat ID -> { tokens, updatedAt, pausedUntil }; a chat without a bucket has a full one
+const buckets = new Map();
+
+const globalBucket = { tokens: GLOBAL_BURST, updatedAt: Date.now(), pausedUntil: 0 };
+
+let seq = 0;
+let timer = null;
+
+/**
+ * Queue a call to a chat
+ * @param {number|string} chatId - Chat the call writes to
+ * @param {Function} run - Makes the call once it's the call's turn
+ * @param {Object} options - { priority } from PRIORITIES (default delivery),
+ *   { key } to coalesce with: a newer call with the same key replaces this one
+ * @returns {Promise<*>} What run resolves to; a replaced call settles like the call replacing it
+ */
+export function enqueue(chatId, run, options = {}) {
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    const queued = options.key ? pending.get(options.key) : null;
+
+    if (queued) {
+      // Keep the place in the queue, send the newer call
+      queued.run = run;
+      queued.waiters.push(waiter);
+      queued.priority = Math.min(queued.priority, options.priority ?? PRIORITIES.delivery);
+      sortQueue();
+      return;
+    }
+
+    const task = {
+      chatId: String(chatId),
+      priority: options.priority ?? PRIORITIES.delivery,
+      seq: seq++,
+      key: options.key || null,
+      run,
+      waiters: [waiter]
+    };
+    queue.push(task);
+    sortQueue();
+    if (task.key) {
+      pending.set(task.key, task);
+    }
+
+    pump();
+  });
+}
+
+/**
+ * Hold back a chat's queued calls, e.g. for the retry_after of a 429
+ * @param {number|string} chatId - Chat ID
+ * @param {number} ms - How long to wait
+ */
+export function pauseChat(chatId, ms) {
+  const bucket = getBucket(String(chatId));
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+  buckets.set(String(chatId), bucket);
+}
+
+/**
+ * Get the number of calls waiting for their turn
+ * @returns {number} Queue length
+ */
+export function getQueueLength() {
+  return queue.length;
+}
+
+/**
+ * Start every queued call that has tokens, and plan the next pass for the rest
+ */
+function pump() {
+  clearTimeout(timer);
+  timer = null;
+
+  const now = Date.now();
+  refill(globalBucket, GLOBAL_RATE_PER_S, GLOBAL_BURST, now);
+
+  let nextInMs = Infinity;
+
+  for (let i = 0; i < queue.length;) {
+    const task = queue[i];
+    const bucket = getBucket(task.chatId);
+    refill(bucket, ...getChatLimits(task.chatId), now);
+
+    const waitMs = Math.max(waitFor(globalBucket, GLOBAL_RATE_PER_S, now), waitFor(bucket, getChatLimits(task.chatId)[0], now));
+    if (waitMs > 0) {
+      nextInMs = Math.min(nextInMs, waitMs);
+      i++;
+      continue;
+    }
+
+    globalBucket.tokens--;
+    bucket.tokens--;
+    buckets.set(task.chatId, bucket);
+    queue.splice(i, 1);
+    if (task.key) {
+      pending.delete(task.key);
+    }
+    start(task);
+  }
+
+  forgetIdleBuckets(now);
+
+  if (queue.length > 0) {
+    timer = setTimeout(pump, Math.max(Math.ceil(nextInMs), 1));
+  }
+}
+
+/**
+ * Make a call and settle everyone waiting for it
+ * @param {Object} task - Queued call
+ */
+function start(task) {
+  Promise.resolve()
+    .then(() => task.run())
+    .then(
+      (result) => task.waiters.forEach(waiter => waiter.resolve(result)),
+      (error) => task.waiters.forEach(waiter => waiter.reject(error))
+    );
+}
+
+/**
+ * Keep the queue in priority order, oldest first within a priority
+ */
+function sortQueue() {
+  queue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+}
+
+/**
+ * Get a chat's bucket (a fresh, full one if the chat has none)
+ * @param {string} chatId - Chat ID
+ * @returns {Object} Bucket
+ */
+function getBucket(chatId) {
+  return buckets.get(chatId) || { tokens: getChatLimits(chatId)[1], updatedAt: Date.now(), pausedUntil: 0 };
+}
+
+/**
+ * Get the limits of a chat
+ * @param {string} chatId - Chat ID
+ * @returns {number[]} [rate per second, burst]
+ */
+function getChatLimits(chatId) {
+  return chatId.startsWith('-') ? [GROUP_RATE_PER_S, GROUP_BURST] : [PRIVATE_RATE_PER_S, PRIVATE_BURST];
+}
+
+/**
+ * Add the tokens a bucket earned since it was last updated
+ * @param {Object} bucket - Bucket
+ * @param {number} ratePerS - Tokens per second
+ * @param {number} burst - Bucket capacity
+ * @param {number} now - Current time, ms
+ */
+function refill(bucket, ratePerS, burst, now) {
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * ratePerS);
+  bucket.updatedAt = now;
+}
+
+/**
+ * How long until a bucket has a whole token (and is not paused)
+ * @param {Object} bucket - Refilled bucket
+ * @param {number} ratePerS - Tokens per second
+ * @param {number} now - Current time, ms
+ * @returns {number} Milliseconds, 0 if a token is there
+ */
+function waitFor(bucket, ratePerS, now) {
+  const pausedMs = Math.max(bucket.pausedUntil - now, 0);
+  const refillMs = bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) / ratePerS * 1000;
+  return Math.max(pausedMs, refillMs);
+}
+
+/**
+ * Drop the buckets of chats that are full again and have nothing queued
+ * @param {number} now - Current time, ms
+ */
+function forgetIdleBuckets(now) {
+  const queuedChats = new Set(queue.map(task => task.chatId));
+
+  for (const [chatId, bucket] of buckets) {
+    if (queuedChats.has(chatId) || bucket.pausedUntil > now) continue;
+
+    const [ratePerS, burst] = getChatLimits(chatId);
+    if (bucket.tokens + (now - bucket.updatedAt) / 1000 * ratePerS >= burst) {
+      buckets.delete(chatId);
+    }
+  }
+}
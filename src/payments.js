@@ -0,0 +1,253 @@
+/**
+ * Telegram Stars payments for extra cards and songs
+ * An invoice is recorded before it is sent; a successful payment is recorded once,
+ * however often Telegram delivers it, and starts the stage it pays for.
+ * A paid stage that fails is refunded automatically; a paid one that never
+ * got its stage (the process stopped in between) is delivered by recoverPayments
+ */
+
+import crypto from 'node:crypto';
+import { sendMessage, sendInvoice, answerPreCheckoutQuery, refundStarPayment, answerCallbackQuery } from './telegram.js';
+import { openStore } from './storage.js';
+import { registerCallback } from './callbacks.js';
+import { getCoordinator } from './coordination.js';
+import { hasBeenGreeted, getGreetingRecord } from './ledger.js';
+import { findPipeline } from './jobs.js';
+import { notifyAdmin } from './analytics.js';
+import { getLanguage, t } from './i18n.js';
+import { escapeHtml } from './format.js';
+
+// What can be bought: the stage it runs and its price in Stars
+export const PRODUCTS = {
+  card: { stage: 'image', amount: 25 },
+  song: { stage: 'song', amount: 75 }
+};
+
+// An invoice can be paid this long after it was sent
+const INVOICE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A paid payment gets its pipeline right after it is recorded; one still without a pipeline
+// this long after was left behind by a stopped process
+const PAYMENT_RECOVERY_DELAY_MS = 5 * 60 * 1000;
+
+// Payment ID (the invoice payload) -> { status: invoiced | paid | delivered | refunded, ... }
+const payments = openStore('payments');
+
+// Called with (userInfo, payment) once a payment is recorded - runs the paid stage
+let paidHandler = null;
+
+/**
+ * Set what happens once a payment is recorded
+ * @param {Function} handler - Called with (userInfo, payment)
+ */
+export function onPaymentReceived(handler) {
+  paidHandler = handler;
+}
+
+/**
+ * Get recorded payments
+ * @param {number} chatId - Chat ID; omit for all chats
+ * @returns {Object[]} Payments
+ */
+export function listPayments(chatId) {
+  return payments.values().filter(payment => !chatId || payment.chatId === chatId);
+}
+
+/**
+ * Find the product that buys one more run of a stage
+ * @param {string} stage - Stage name
+ * @returns {string|null} Product ID
+ */
+export function getProductForStage(stage) {
+  return Object.keys(PRODUCTS).find(product => PRODUCTS[product].stage === stage) || null;
+}
+
+/**
+ * Record an invoice for a product and send it
+ * @param {Object} userInfo - User information
+ * @param {string} product - Product ID
+ */
+export async function sendProductInvoice(userInfo, product) {
+  const { amount } = PRODUCTS[product];
+  const id = crypto.randomBytes(8).toString('hex');
+
+  payments.set(id, {
+    id,
+    chatId: userInfo.chatId,
+    userId: userInfo.id,
+    language: userInfo.language,
+    product,
+    amount,
+    status: 'invoiced',
+    createdAt: new Date().toISOString()
+  });
+
+  await sendInvoice(userInfo.chatId, {
+    title: t(userInfo.language, `product.${product}.title`),
+    description: t(userInfo.language, `product.${product}.description`),
+    payload: id,
+    amount
+  });
+}
+
+registerCallback('buy', async (userInfo, arg, query) => {
+  await answerCallbackQuery(query.id);
+  if (!(arg in PRODUCTS)) return;
+  await sendProductInvoice(userInfo, arg);
+});
+
+/**
+ * Confirm a payment only for a fresh, unpaid invoice of this user with the right amount
+ * @param {Object} query - Telegram pre_checkout_query
+ */
+export async function handlePreCheckoutQuery(query) {
+  const payment = payments.get(query.invoice_payload);
+  const valid = Boolean(payment)
+    && payment.status === 'invoiced'
+    && payment.userId === query.from.id
+    && query.currency === 'XTR'
+    && query.total_amount === payment.amount
+    && Date.now() - Date.parse(payment.createdAt) < INVOICE_TTL_MS
+    && hasBeenGreeted(payment.chatId);
+
+  const language = payment?.language || getLanguage({ languageCode: query.from.language_code });
+  await answerPreCheckoutQuery(query.id, valid, valid ? {} : { error_message: t(language, 'pay.invalid') });
+}
+
+/**
+ * Record a successful payment and start the stage it pays for
+ * @param {Object} userInfo - User information
+ * @param {Object} message - Telegram message with successful_payment
+ */
+export async function handleSuccessfulPayment(userInfo, message) {
+  const { invoice_payload: id, telegram_payment_charge_id: chargeId, total_amount: amount } = message.successful_payment;
+
+  // The invoice turns paid in the same locked write that checks it, so the same charge
+  // is recorded once across redeliveries and instances, and never claimed without a record
+  let recorded = false;
+  const payment = payments.update(id, (current) => {
+    if (current?.status !== 'invoiced') return current;
+    recorded = true;
+    return { ...current, status: 'paid', chargeId, paidAt: new Date().toISOString() };
+  });
+
+  if (!recorded && payment?.chargeId === chargeId) {
+    console.log(`Payment ${chargeId} already recorded, skipping`);
+    return;
+  }
+
+  // Nothing to deliver for this money (unknown or already paid invoice) - give it back, once
+  if (!recorded) {
+    if (!(await getCoordinator().claim(`refund:${chargeId}`))) {
+      return;
+    }
+    console.error(`Payment ${chargeId} for invoice ${id} can't be fulfilled, refunding`);
+    let refund = '✅';
+    try {
+      await refundStarPayment(userInfo.id, chargeId);
+    } catch (error) {
+      console.error('Error refunding payment:', error);
+      refund = `❌ ${error.description || error.message}`;
+    }
+    await notifyAdmin(`⚠️ Оплата по ${payment ? 'уже оплаченному' : 'неизвестному'} счёту ${id}: ${amount} ⭐, Chat ID: ${userInfo.chatId}
+Возврат: ${refund}`);
+    return;
+  }
+
+  await notifyAdmin(`⭐ Оплата: ${payment.product} за ${amount} ⭐
+
+👤 ${escapeHtml(userInfo.firstName || 'Unknown')} (@${userInfo.username || 'нет'}), Chat ID: ${userInfo.chatId}`);
+  await sendMessage(userInfo.chatId, t(userInfo.language, 'pay.thanks'));
+
+  if (paidHandler) {
+    await paidHandler(userInfo, payment);
+  }
+}
+
+/**
+ * Close a paid order once its stage finished; refund it if the stage failed
+ * @param {string} paymentId - Payment ID
+ * @param {string} jobId - Job that ran the paid stage
+ * @param {boolean} success - Whether the stage delivered
+ */
+export async function settlePayment(paymentId, jobId, success) {
+  const payment = payments.get(paymentId);
+
+  // Settled already (e.g. the stage result was recorded twice after a restart)
+  if (!payment || payment.status !== 'paid') {
+    return;
+  }
+
+  if (success) {
+    payments.set(paymentId, { ...payment, status: 'delivered', jobId, settledAt: new Date().toISOString() });
+    return;
+  }
+
+  // Refund once, across instances too
+  const claimKey = `refund:${payment.chargeId}`;
+  if (!(await getCoordinator().claim(claimKey))) {
+    return;
+  }
+
+  try {
+    await refundStarPayment(payment.userId, payment.chargeId);
+  } catch (error) {
+    // Leave the payment as paid for the admin to sort out (the jobId keeps it from being delivered again)
+    console.error('Error refunding payment:', error);
+    payments.set(paymentId, { ...payment, jobId });
+    await getCoordinator().release(claimKey);
+    await notifyAdmin(`❌ Не удалось вернуть ${payment.amount} ⭐ за ${payment.product}, Chat ID: ${payment.chatId}: ${error.description || error.message}`);
+    return;
+  }
+
+  payments.set(paymentId, { ...payment, status: 'refunded', jobId, settledAt: new Date().toISOString() });
+  console.log(`Refunded payment ${payment.chargeId}`);
+
+  await notifyAdmin(`↩️ Возврат ${payment.amount} ⭐ за ${payment.product}, Chat ID: ${payment.chatId}`);
+  try {
+    await sendMessage(payment.chatId, t(payment.language, 'pay.refunded', { amount: payment.amount }));
+  } catch (error) {
+    console.error('Error sending refund notice:', error);
+  }
+}
+
+/**
+ * Deliver payments that were recorded as paid but never got a pipeline
+ * (the process stopped between the two), giving the live ones PAYMENT_RECOVERY_DELAY_MS to start theirs
+ * @returns {Promise<void>}
+ */
+export async function recoverPayments() {
+  const orphaned = payments.values().filter(payment => payment.status === 'paid'
+    && !payment.jobId
+    && Date.now() - Date.parse(payment.paidAt) > PAYMENT_RECOVERY_DELAY_MS
+    && !findPipeline(job => job.options.paymentId === payment.id));
+
+  for (const payment of orphaned) {
+    // One instance delivers it; the claim lapses in case that one dies too
+    if (!paidHandler || !(await getCoordinator().claim(`recover:${payment.id}`, PAYMENT_RECOVERY_DELAY_MS))) {
+      continue;
+    }
+
+    console.log(`Delivering payment ${payment.chargeId} that has no pipeline`);
+    const user = getGreetingRecord(payment.chatId)?.user || {};
+    try {
+      await paidHandler({ ...user, id: payment.userId, chatId: payment.chatId, language: payment.language }, payment);
+    } catch (error) {
+      console.error(`Error delivering payment ${payment.chargeId}:`, error);
+    }
+  }
+}
+
+/**
+ * Recover orphaned payments now and then every few minutes
+ */
+export function startRecoveringPayments() {
+  const run = () => {
+    recoverPayments().catch((error) => {
+      console.error('Error recovering payments:', error);
+    });
+  };
+
+  run();
+  setInterval(run, PAYMENT_RECOVERY_DELAY_MS).unref();
+}
@@ -0,0 +1,110 @@
+/**
+ * The user's own photo for the greeting card
+ * Either a selfie sent to the bot or the Telegram profile photo. Without one
+ * (or if the user said no) the card is drawn from the text prompt alone
+ */
+
+import { sendMessage, answerCallbackQuery, editMessageReplyMarkup, inlineKeyboard, getUserProfilePhotos, getFile, downloadFile } from './telegram.js';
+import { registerCallback, encodeCallback } from './callbacks.js';
+import { getPreferences, setPreferences } from './preferences.js';
+import { t } from './i18n.js';
+
+// Where the card photo comes from; the chat's choice is kept in preferences
+export const PHOTO_SOURCES = ['selfie', 'profile', 'none'];
+
+// Bigger photos are not worth sending to the image model
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Remember a photo the user sent as their selfie
+ * @param {number} chatId - Chat ID
+ * @param {Array} photo - Telegram message.photo (sizes, smallest first)
+ */
+export function rememberSelfie(chatId, photo) {
+  setPreferences(chatId, { photo: { source: 'selfie', fileId: photo.at(-1).file_id } });
+}
+
+/**
+ * Use the Telegram profile photo, or no photo at all
+ * @param {number} chatId - Chat ID
+ * @param {string} source - 'profile' or 'none'
+ */
+export function setPhotoSource(chatId, source) {
+  setPreferences(chatId, { photo: { source, fileId: null } });
+}
+
+/**
+ * Build the buttons offering the profile photo or no photo
+ * @param {Object} userInfo - User information
+ * @param {string} action - Callback action the buttons report to
+ * @returns {Object} reply_markup
+ */
+export function buildPhotoKeyboard(userInfo, action) {
+  return inlineKeyboard([[
+    { text: t(userInfo.language, 'photo.profile'), callback_data: encodeCallback(action, userInfo.id, 'profile') },
+    { text: t(userInfo.language, 'photo.none'), callback_data: encodeCallback(action, userInfo.id, 'none') }
+  ]]);
+}
+
+/**
+ * Handle /photo command - ask for a selfie or the profile photo
+ * @param {Object} userInfo - User information
+ */
+export async function handlePhotoCommand(userInfo) {
+  await sendMessage(userInfo.chatId, t(userInfo.language, 'photo.ask'), buildPhotoKeyboard(userInfo, 'photo'));
+}
+
+registerCallback('photo', async (userInfo, arg, query) => {
+  await answerCallbackQuery(query.id);
+  if (query.message) {
+    await editMessageReplyMarkup(userInfo.chatId, query.message.message_id);
+  }
+  if (arg !== 'profile' && arg !== 'none') return;
+
+  setPhotoSource(userInfo.chatId, arg);
+  await sendMessage(userInfo.chatId, t(userInfo.language, arg === 'profile' ? 'photo.profileSet' : 'photo.noneSet'));
+});
+
+/**
+ * Download the photo chosen for the card
+ * @param {Object} userInfo - User information
+ * @returns {Promise<string|null>} Data URL of the photo, null if there is none to use
+ */
+export async function loadUserPhoto(userInfo) {
+  const { photo } = getPreferences(userInfo.chatId);
+  if (!photo || photo.source === 'none') {
+    return null;
+  }
+
+  try {
+    let fileId = photo.fileId;
+
+    if (photo.source === 'profile') {
+      const photos = await getUserProfilePhotos(userInfo.id, { limit: 1 });
+      // Each profile photo comes in several sizes, the largest last
+      fileId = photos.result?.photos?.[0]?.at(-1)?.file_id;
+    }
+
+    if (!fileId) {
+      console.log(`No photo for chat ${userInfo.chatId}, drawing the card without it`);
+      return null;
+    }
+
+    const file = await getFile(fileId);
+    if (!file.result.file_path) {
+      console.error(`Telegram returned no path for the photo of chat ${userInfo.chatId}`);
+      return null;
+    }
+    if (file.result.file_size > MAX_PHOTO_BYTES) {
+      console.log(`Photo of chat ${userInfo.chatId} is too big (${file.result.file_size} bytes), skipping`);
+      return null;
+    }
+
+    const data = await downloadFile(file.result.file_path);
+    return `data:image/jpeg;base64,${data.toString('base64')}`;
+
+  } catch (error) {
+    console.error('Error loading user photo:', error);
+    return null;
+  }
+}
@@ -0,0 +1,673 @@
+/**
+ * Greeting pipeline: text, then card, then song, then (if configured) a voice note
+ * Each stage runs as a persisted job, so a restart resumes where it stopped.
+ * The card waits for the song, and the two go out together as one postcard
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { sendMessage, sendTypingAction, deleteMessage, sendVoice, sendChatAction, sendPackage, inlineKeyboard } from './telegram.js';
+import { createStreamingMessage } from './streaming.js';
+import { markdownToHtml, htmlToText, escapeHtml, getVisibleLength, MAX_CAPTION_LENGTH } from './format.js';
+import { generateGreetingStream } from './openrouter.js';
+import { generateGreetingCard } from './imagegen.js';
+import { generateSong, SONG_STYLES } from './suno.js';
+import { isVoiceEnabled, synthesizeVoice } from './tts.js';
+import { STAGES, startAttempt, recordStage, recordExtra, finishAttempt, getAttempt, getLatestAttempt } from './ledger.js';
+import { getExtrasLeft, spendExtra } from './quotas.js';
+import { PRODUCTS, settlePayment } from './payments.js';
+import { defineStage, definePipelineKind, createPipeline, runPipeline, getPipelineJobs } from './jobs.js';
+import { encodeCallback } from './callbacks.js';
+import { getBotUsername } from './commands.js';
+import { sendAnalytics, sendExtraAnalytics } from './analytics.js';
+import { rememberCard } from './inline.js';
+import { resolveOccasion } from './occasions.js';
+import { getLanguage, t } from './i18n.js';
+import { loadUserPhoto } from './photos.js';
+import { getDataDir } from './storage.js';
+
+/**
+ * Start a greeting for a user and run it to completion
+ * @param {Object} userInfo - User information
+ * @param {Object} options - { prepared } assets generated ahead of a scheduled delivery:
+ *   { greeting, card (file with the card's data URL), song: { audioUrl, title } }, each optional
+ */
+export async function handleGreeting(userInfo, options = {}) {
+  // The voice note is a fourth stage only when a TTS provider is configured
+  const stages = isVoiceEnabled() ? [...STAGES, 'voice'] : STAGES;
+
+  // Record the attempt immediately to prevent duplicates
+  const attempt = startAttempt(userInfo, stages);
+
+  // Another occasion's greeting may be running for the chat, so the stages record into this attempt by ID
+  const pipelineId = createPipeline(userInfo, stages, { options: { ...options, attemptId: attempt.id } });
+  await runPipeline(pipelineId);
+}
+
+/**
+ * Deliver one more card or song after the greeting (from the post-greeting buttons)
+ * @param {Object} userInfo - User information
+ * @param {string} stage - Stage to rerun (image, song)
+ * @param {Object} options - Stage options, e.g. { style } for the song
+ */
+export async function handleExtra(userInfo, stage, options = {}) {
+  // The extra belongs to the greeting it was asked for after, even if another one starts meanwhile
+  const attemptId = getLatestAttempt(userInfo.chatId)?.id;
+  const pipelineId = createPipeline(userInfo, [stage], { kind: 'extra', options: { ...options, attemptId } });
+  await runPipeline(pipelineId);
+}
+
+/**
+ * Pick a song style the user hasn't heard yet
+ * @param {number} chatId - Chat ID
+ * @returns {string} Key of SONG_STYLES
+ */
+export function pickSongStyle(chatId) {
+  const used = new Set(['estrada']);
+  for (const extra of getLatestAttempt(chatId)?.extras || []) {
+    if (extra.style) used.add(extra.style);
+  }
+
+  const fresh = Object.keys(SONG_STYLES).filter(style => !used.has(style));
+  const pool = fresh.length > 0 ? fresh : Object.keys(SONG_STYLES);
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+/**
+ * Build the post-greeting action buttons for a user
+ * @param {Object} userInfo - User information
+ * @returns {Promise<Object>} Message options with the inline keyboard
+ */
+export async function buildActionsKeyboard(userInfo) {
+  const language = getLanguage(userInfo);
+  const rows = [];
+
+  // Free extras while they last, then the same for Stars
+  const cardsLeft = getExtrasLeft(userInfo.chatId, 'image');
+  if (cardsLeft > 0) {
+    rows.push([{ text: t(language, 'actions.card', { left: cardsLeft }), callback_data: encodeCallback('card', userInfo.id) }]);
+  } else {
+    rows.push([{ text: t(language, 'actions.buyCard', { amount: PRODUCTS.card.amount }), callback_data: encodeCallback('buy', userInfo.id, 'card') }]);
+  }
+  const songsLeft = getExtrasLeft(userInfo.chatId, 'song');
+  if (songsLeft > 0) {
+    rows.push([{ text: t(language, 'actions.song', { left: songsLeft }), callback_data: encodeCallback('song', userInfo.id) }]);
+  } else {
+    rows.push([{ text: t(language, 'actions.buySong', { amount: PRODUCTS.song.amount }), callback_data: encodeCallback('buy', userInfo.id, 'song') }]);
+  }
+
+  const username = await getBotUsername();
+  if (username) {
+    // The friend gets the same occasion; a custom one only makes sense to its author
+    const occasion = resolveOccasion(userInfo);
+    const link = `https://t.me/${username}?start=${occasion.id === 'custom' ? 'greeting' : occasion.id}`;
+    const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(t(language, 'actions.shareText', { emoji: occasion.emoji }))}`;
+    rows.push([{ text: t(language, 'actions.share'), url: shareUrl }]);
+  }
+
+  return inlineKeyboard(rows);
+}
+
+definePipelineKind('greeting', {
+  /**
+   * Close the ledger attempt, notify the admin and offer the post-greeting actions
+   */
+  async onComplete(jobs) {
+    const { chatId, userInfo } = jobs[0];
+
+    // Stages skipped after a failed text stage count as failed in the ledger
+    for (const job of jobs) {
+      if (job.status === 'skipped') {
+        await recordOutcome(job, false);
+      }
+    }
+
+    finishAttempt(chatId, jobs[0].options.attemptId);
+    discardCards(jobs);
+
+    // Send analytics to admin
+    await sendAnalytics(chatId, jobs[0].options.attemptId);
+    await sendActionsMenu(userInfo);
+  }
+});
+
+definePipelineKind('extra', {
+  async onComplete(jobs) {
+    const { chatId, stage, userInfo } = jobs[0];
+    discardCards(jobs);
+    await sendExtraAnalytics(chatId, stage, jobs[0].options.attemptId);
+    await sendActionsMenu(userInfo);
+  }
+});
+
+/**
+ * Offer the post-greeting actions
+ * @param {Object} userInfo - User information
+ */
+async function sendActionsMenu(userInfo) {
+  try {
+    await sendMessage(
+      userInfo.chatId,
+      t(getLanguage(userInfo), 'actions.more', { emoji: resolveOccasion(userInfo).emoji }),
+      await buildActionsKeyboard(userInfo)
+    );
+  } catch (error) {
+    console.error('Error sending actions menu:', error);
+  }
+}
+
+/**
+ * Record a stage outcome in the ledger: a regular stage of the greeting,
+ * or an extra delivery requested afterwards (free or paid)
+ * @param {Object} job - Finished job
+ * @param {boolean} success - Whether the stage was delivered
+ * @param {Object} details - Extra fields to store (greeting, songTitle)
+ */
+async function recordOutcome(job, success, details = {}) {
+  if (job.kind === 'extra') {
+    const { attemptId, ...options } = job.options;
+    recordExtra(job.chatId, attemptId, job.stage, success, { ...details, ...options });
+
+    // A paid extra is settled with its payment (refunded if it failed), a free one uses up
+    // the quota; an admin resend is on the house
+    if (job.options.paymentId) {
+      await settlePayment(job.options.paymentId, job.id, success);
+    } else if (success && !job.options.resend) {
+      spendExtra(job.chatId, job.stage);
+    }
+  } else {
+    recordStage(job.chatId, job.options.attemptId, job.stage, success, details);
+  }
+}
+
+defineStage('text', {
+  critical: true,
+
+  /**
+   * Stream the greeting into a message (continued in more messages if it's long)
+   * The message IDs and the finished text are checkpointed, so a resumed
+   * stage edits the same messages instead of sending new ones
+   */
+  async run(job, saveState) {
+    const { userInfo } = job;
+    let { greeting } = job.state;
+
+    const message = createStreamingMessage(userInfo.chatId, {
+      // A single messageId was checkpointed before long greetings could continue in more messages
+      messageIds: job.state.messageIds || (job.state.messageId ? [job.state.messageId] : []),
+      onMessages: (messageIds) => saveState({ messageIds }),
+      // The model writes markdown-ish text; a draft gets the tags it left open closed
+      format: (text, final) => markdownToHtml(text, { partial: !final })
+    });
+
+    // A greeting written ahead of a scheduled delivery goes out as is
+    const prepared = job.options.prepared?.greeting;
+    if (prepared) {
+      await message.finish(prepared);
+      saveState({ greeting: prepared });
+      await recordOutcome(job, true, { greeting: prepared });
+      return { success: true };
+    }
+
+    // Show typing indicator
+    await sendTypingAction(userInfo.chatId);
+
+    console.log('Generating greeting for:', userInfo);
+
+    // Send initial message that we'll update
+    const placeholder = t(getLanguage(userInfo), 'text.generating');
+    await message.start(placeholder);
+
+    if (!greeting) {
+      // A model that failed mid-stream leaves no half greeting for the next one to write after
+      greeting = await generateGreetingStream(userInfo, (text) => message.update(text), () => message.reset(placeholder));
+      saveState({ greeting });
+    }
+
+    // Final text without cursor, after every draft
+    await message.finish(greeting);
+
+    await recordOutcome(job, true, { greeting });
+    console.log('Greeting sent successfully');
+    return { success: true };
+  },
+
+  async onFailure(job) {
+    await recordOutcome(job, false);
+    await sendMessage(job.chatId, t(getLanguage(job.userInfo), 'text.failed'));
+  }
+});
+
+defineStage('image', {
+  /**
+   * Draw a cringy greeting card
+   * With a song to follow, the card waits for it (and so does the status message);
+   * otherwise it is sent right away
+   */
+  async run(job, saveState) {
+    const { userInfo } = job;
+
+    // The card went out before a restart - never send it twice
+    if (job.state.delivered) {
+      await recordOutcome(job, true);
+      return { success: true };
+    }
+
+    const status = createStatusMessage(userInfo.chatId, job.state, saveState);
+    const card = job.state.card || await handleImageGeneration(job, status, saveState);
+    if (!card) {
+      if (status.messageIds.length) {
+        await showStatus(status, t(getLanguage(userInfo), 'image.failed'));
+      }
+      await recordOutcome(job, false);
+      return { success: false };
+    }
+
+    if (hasSongAfter(job)) {
+      console.log('Greeting card drawn, it goes out with the song');
+      return { success: true };
+    }
+
+    const outcome = await sendPostcard(userInfo, { card, poem: getPoem(job) });
+    if (outcome.card.ok) {
+      saveState({ delivered: true });
+    }
+    await deleteStatus(userInfo.chatId, status.messageIds[0]);
+    await recordOutcome(job, outcome.card.ok);
+    return { success: outcome.card.ok };
+  },
+
+  async onFailure(job) {
+    await recordOutcome(job, false);
+  }
+});
+
+defineStage('song', {
+  /**
+   * Generate a personalized song and send it, together with the card waiting for it
+   */
+  async run(job, saveState) {
+    const cardJob = getWaitingCardJob(job);
+    const song = await handleSongGeneration(job.userInfo, job.state, saveState, job.options, cardJob?.state, getPoem(job));
+    if (cardJob) {
+      await recordOutcome(cardJob, song.cardSent);
+    }
+    await recordOutcome(job, song.success, { songTitle: song.title || null });
+    return song;
+  },
+
+  async onFailure(job) {
+    // The card still goes out, on its own
+    const cardJob = getWaitingCardJob(job);
+    if (cardJob && job.state.cardSent === undefined) {
+      const outcome = await sendPostcard(job.userInfo, { card: cardJob.state.card, poem: getPoem(job) });
+      await recordOutcome(cardJob, outcome.card.ok);
+    }
+    await recordOutcome(job, false);
+  }
+});
+
+defineStage('voice', {
+  /**
+   * Read the greeting aloud and send it as a voice note
+   */
+  async run(job, saveState) {
+    const sent = await handleVoiceGeneration(job.userInfo, job.state, saveState, job.options.attemptId);
+    await recordOutcome(job, sent);
+    return { success: sent };
+  },
+
+  async onFailure(job) {
+    await recordOutcome(job, false);
+  }
+});
+
+/**
+ * Handle image generation
+ * The card is kept in a file (too big for the job store) until it is sent
+ * @param {Object} job - Image job
+ * @param {Object} status - Status message (a StreamingMessage)
+ * @param {Function} saveState - Persists a state patch
+ * @returns {Promise<Object|null>} Card { file, shareable, temporary }, null if none could be drawn
+ */
+async function handleImageGeneration(job, status, saveState) {
+  const { userInfo } = job;
+
+  // A card drawn ahead of a scheduled delivery shows the user if they have a photo - never share it
+  const prepared = job.options.prepared?.card;
+  if (prepared && fs.existsSync(prepared)) {
+    const card = { file: prepared, shareable: false, temporary: false };
+    saveState({ card });
+    return card;
+  }
+
+  try {
+    // Send status message
+    await status.start(t(getLanguage(userInfo), 'image.drawing'));
+
+    // Show upload photo action
+    await sendChatAction(userInfo.chatId, 'upload_photo');
+
+    // Generate the image, with the user on it if they gave us a photo.
+    // The model may refuse some photos - then draw the card without it
+    const photo = await loadUserPhoto(userInfo);
+    let imageUrl = await generateGreetingCard(userInfo, { photo });
+    let withPhoto = Boolean(photo);
+    if (!imageUrl && photo) {
+      imageUrl = await generateGreetingCard(userInfo);
+      withPhoto = false;
+    }
+
+    if (!imageUrl) {
+      return null;
+    }
+
+    const dir = path.join(getDataDir(), 'cards');
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${job.id.replace(/[^\w-]/g, '-')}.card`);
+    fs.writeFileSync(file, imageUrl);
+
+    // Inline mode can offer this card to anyone sharing a greeting for the same name,
+    // unless it shows this user's face
+    const card = { file, shareable: !withPhoto, temporary: true };
+    saveState({ card });
+    console.log('Greeting card drawn successfully');
+    return card;
+
+  } catch (error) {
+    console.error('Error generating image:', error);
+    // Don't send error message, just continue to song
+    return null;
+  }
+}
+
+/**
+ * Handle song generation and sending
+ * @param {Object} userInfo - User information
+ * @param {Object} state - Checkpointed stage state
+ * @param {Function} saveState - Persists a state patch
+ * @param {Object} options - Song options ({ style }, { prepared } song of a scheduled delivery)
+ * @param {Object} cardState - State of the image job whose card waits for the song ({ card, statusMessageId })
+ * @param {Object} poem - The greeting to caption the card with, from getPoem
+ * @returns {Promise<{success: boolean, title: string, cardSent: boolean}>} Result
+ */
+async function handleSongGeneration(userInfo, state, saveState, options = {}, cardState = null, poem = null) {
+  const language = getLanguage(userInfo);
+  const card = cardState?.card || null;
+
+  // The song went out before a restart - never send it twice
+  if (state.delivered) {
+    return { success: true, title: state.title || '', cardSent: Boolean(state.cardSent) };
+  }
+
+  let status = null;
+  let actionInterval = null;
+
+  // Whatever happens to the song, the card goes out once
+  const sendCardAlone = async () => {
+    if (!card || state.cardSent !== undefined) return false;
+    const outcome = await sendPostcard(userInfo, { card, poem });
+    saveState({ cardSent: outcome.card.ok });
+    return outcome.card.ok;
+  };
+
+  try {
+    // A song composed ahead of a scheduled delivery goes out without status messages
+    if (options.prepared?.song) {
+      const song = options.prepared.song;
+      const outcome = await sendPostcard(userInfo, { card, song, poem });
+      saveState({ delivered: outcome.song.ok, title: song.title, cardSent: outcome.card?.ok ?? false });
+      await deleteStatus(userInfo.chatId, cardState?.statusMessageId);
+      console.log('Prepared song sent:', song.title, outcome.song.ok);
+      return { success: outcome.song.ok, title: song.title, cardSent: outcome.card?.ok ?? false };
+    }
+
+    // The status message of the card goes on with the song
+    status = createStatusMessage(userInfo.chatId, { statusMessageId: state.statusMessageId || cardState?.statusMessageId }, saveState);
+    if (status.messageIds.length) {
+      status.update(t(language, 'song.intro'));
+    } else {
+      await status.start(t(language, 'song.intro'));
+    }
+
+    // Status callback
+    const onStatus = async (step) => {
+      const statusTexts = {
+        starting: t(language, 'song.starting'),
+        generating: t(language, 'song.generating'),
+        almost_done: t(language, 'song.almostDone')
+      };
+
+      const text = statusTexts[step];
+      if (text) {
+        status.update(text);
+      }
+    };
+
+    // Show upload audio action periodically
+    actionInterval = setInterval(() => {
+      sendChatAction(userInfo.chatId, 'upload_voice');
+    }, 4000);
+
+    // Generate the song, or keep polling the Suno task started before a restart
+    const song = await generateSong(userInfo, onStatus, {
+      style: options.style,
+      taskId: state.taskId,
+      onTaskStarted: (taskId) => saveState({ taskId })
+    });
+
+    clearInterval(actionInterval);
+
+    if (song && song.audioUrl) {
+      // Update status
+      await showStatus(status, t(language, 'song.ready'));
+
+      // Send the card and the song as one postcard
+      const outcome = await sendPostcard(userInfo, { card, song, poem });
+      const cardSent = outcome.card?.ok ?? false;
+      saveState({ delivered: outcome.song.ok, title: song.title, cardSent });
+
+      // Delete status message
+      await deleteStatus(userInfo.chatId, status.messageIds[0]);
+
+      console.log('Song sent:', song.title, outcome.song.ok);
+      return { success: outcome.song.ok, title: song.title, cardSent };
+    } else {
+      // Song generation failed
+      await showStatus(status, t(language, 'song.failed'));
+      return { success: false, title: '', cardSent: await sendCardAlone() };
+    }
+
+  } catch (error) {
+    console.error('Error generating song:', error);
+    clearInterval(actionInterval);
+    if (status?.messageIds.length) {
+      await showStatus(status, t(language, 'song.error'));
+    }
+    return { success: false, title: '', cardSent: await sendCardAlone().catch(() => false) };
+  }
+}
+
+/**
+ * Handle voice-note generation and sending
+ * Reads the greeting the text stage saved in the ledger
+ * @param {Object} userInfo - User information
+ * @param {Object} state - Checkpointed stage state
+ * @param {Function} saveState - Persists a state patch
+ * @param {string} attemptId - Ledger attempt the greeting belongs to
+ * @returns {Promise<boolean>} Whether the voice note was sent successfully
+ */
+async function handleVoiceGeneration(userInfo, state, saveState, attemptId) {
+  const language = getLanguage(userInfo);
+
+  // The voice note went out before a restart - never send it twice
+  if (state.delivered) {
+    return true;
+  }
+
+  const greeting = getAttempt(userInfo.chatId, attemptId)?.greeting;
+  if (!greeting) {
+    return false;
+  }
+
+  try {
+    await sendChatAction(userInfo.chatId, 'record_voice');
+
+    // Read out what the user sees, not the markdown markers
+    const voice = await synthesizeVoice(htmlToText(markdownToHtml(greeting)), { language });
+    if (!voice) {
+      // Nothing to apologize for - the text is already there
+      return false;
+    }
+
+    await sendVoice(userInfo.chatId, voice.dataUrl, {
+      caption: t(language, 'voice.caption'),
+      ...(voice.duration ? { duration: voice.duration } : {})
+    });
+    saveState({ delivered: true });
+
+    console.log('Voice greeting sent successfully');
+    return true;
+
+  } catch (error) {
+    console.error('Error sending voice greeting:', error);
+    return false;
+  }
+}
+
+/**
+ * Send a card and a song (either may be missing) as one postcard
+ * A poem that fits a caption goes on the card, and the messages it was streamed into are
+ * deleted once the card is there; a longer one stays in its messages
+ * @param {Object} userInfo - User information
+ * @param {Object} postcard - { card } drawn by the image stage, { song: { audioUrl, title } },
+ *   { poem } from getPoem
+ * @returns {Promise<Object>} { card, song } outcomes from sendPackage, null for what wasn't there
+ */
+async function sendPostcard(userInfo, postcard) {
+  const { card, song, poem } = postcard;
+  const language = getLanguage(userInfo);
+  const occasion = resolveOccasion(userInfo);
+
+  const items = [];
+  if (card) {
+    items.push({ type: 'photo', media: fs.readFileSync(card.file, 'utf8') });
+  }
+  if (song) {
+    items.push({
+      type: 'audio',
+      media: song.audioUrl,
+      title: song.title,
+      performer: t(language, 'song.performer'),
+      caption: t(language, 'song.caption', { emoji: occasion.emoji, title: escapeHtml(song.title), wish: occasion.ui.wish })
+    });
+  }
+
+  const caption = card && poem ? markdownToHtml(poem.greeting) : null;
+  const captioned = caption !== null && getVisibleLength(caption) <= MAX_CAPTION_LENGTH;
+
+  const outcomes = await sendPackage(userInfo.chatId, items, captioned ? { caption } : {});
+  const outcome = { card: card ? outcomes[0] : null, song: song ? outcomes.at(-1) : null };
+
+  if (captioned && outcome.card.ok) {
+    for (const messageId of poem.messageIds) {
+      await deleteMessage(userInfo.chatId, messageId).catch((error) => {
+        console.error('Error deleting the streamed greeting:', error.message);
+      });
+    }
+  }
+
+  const fileId = outcome.card?.message?.photo?.at(-1)?.file_id;
+  if (card?.shareable && fileId) {
+    rememberCard(userInfo.firstName, fileId, occasion.id, language);
+  }
+  return outcome;
+}
+
+/**
+ * Get the greeting the text stage of a job's pipeline streamed, to caption the card with
+ * @param {Object} job - Image or song job
+ * @returns {Object|null} { greeting, messageIds }, null without a delivered greeting
+ */
+function getPoem(job) {
+  const textJob = getPipelineJobs(job.pipelineId).find(other => other.stage === 'text' && other.status === 'done');
+  if (!textJob?.state.greeting) return null;
+  return {
+    greeting: textJob.state.greeting,
+    messageIds: textJob.state.messageIds || (textJob.state.messageId ? [textJob.state.messageId] : [])
+  };
+}
+
+/**
+ * Whether a song stage follows a job in its pipeline
+ * @param {Object} job - Job
+ * @returns {boolean}
+ */
+function hasSongAfter(job) {
+  return getPipelineJobs(job.pipelineId).some(other => other.stage === 'song' && other.index > job.index);
+}
+
+/**
+ * Find the image job whose card waits for a song job
+ * @param {Object} job - Song job
+ * @returns {Object|null} Image job, null if no card waits
+ */
+function getWaitingCardJob(job) {
+  return getPipelineJobs(job.pipelineId)
+    .find(other => other.stage === 'image' && other.index < job.index && other.state.card && !other.state.delivered) || null;
+}
+
+/**
+ * Delete the card files drawn for a finished pipeline
+ * @param {Object[]} jobs - Final jobs
+ */
+function discardCards(jobs) {
+  for (const job of jobs) {
+    if (job.state.card?.temporary) {
+      fs.rmSync(job.state.card.file, { force: true });
+    }
+  }
+}
+
+/**
+ * Create the status message of a stage, reusing the one checkpointed before a restart
+ * @param {number} chatId - Chat ID
+ * @param {Object} state - Checkpointed stage state
+ * @param {Function} saveState - Persists a state patch
+ * @returns {Object} Status message (a StreamingMessage)
+ */
+function createStatusMessage(chatId, state, saveState) {
+  return createStreamingMessage(chatId, {
+    cursor: '',
+    messageIds: state.statusMessageId ? [state.statusMessageId] : [],
+    onMessages: ([statusMessageId]) => saveState({ statusMessageId })
+  });
+}
+
+/**
+ * Show the last status of a stage
+ * A failed edit only leaves the previous status in place, so it doesn't fail the stage
+ * @param {Object} status - Status message (a StreamingMessage)
+ * @param {string} text - Status text
+ */
+async function showStatus(status, text) {
+  try {
+    await status.finish(text);
+  } catch (error) {
+    console.error('Error updating status message:', error.message);
+  }
+}
+
+/**
+ * Delete a status message once the result is there
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - Status message ID (nothing to delete if missing)
+ */
+async function deleteStatus(chatId, messageId) {
+  if (!messageId) return;
+  try {
+    await deleteMessage(chatId, messageId);
+  } catch (error) {
+    console.error('Error deleting status message:', error.message);
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Long-polling runner
+ * Fetches updates with getUpdates and feeds them to the same handler the webhook uses
+ */
+
+import { getUpdates } from './telegram.js';
+import { openStore } from './storage.js';
+
+// Long polling timeout in seconds (Telegram holds the request open this long)
+const POLL_TIMEOUT_S = 30;
+
+// Pause after a failed getUpdates call
+const ERROR_BACKOFF_MS = 5000;
+
+// How long stop() waits for in-flight updates before giving up
+const STOP_GRACE_MS = 10000;
+
+const pollingState = openStore('polling');
+
+/**
+ * Start polling for updates
+ * The offset is persisted, so a restart continues after the last handled update
+ * @param {Function} onUpdate - Update handler, e.g. handleUpdate
+ * @returns {{stop: Function}} Runner with a graceful stop()
+ */
+export function startPolling(onUpdate) {
+  let offset = pollingState.get('offset') || 0;
+  let stopped = false;
+  let controller = null;
+  const inFlight = new Set();
+
+  const loop = async () => {
+    while (!stopped) {
+      controller = new AbortController();
+
+      try {
+        const data = await getUpdates(offset, POLL_TIMEOUT_S, controller.signal);
+
+        for (const update of data.result) {
+          // Acknowledge the update before handling it: the next getUpdates
+          // call confirms everything below the offset
+          offset = update.update_id + 1;
+          pollingState.set('offset', offset);
+
+          // Long pipelines must not block polling, so updates are not awaited here
+          const task = Promise.resolve()
+            .then(() => onUpdate(update))
+            .catch((error) => console.error('Error processing update:', error))
+            .finally(() => inFlight.delete(task));
+          inFlight.add(task);
+        }
+      } catch (error) {
+        if (stopped) break;
+        console.error('Polling error:', error.message);
+        await sleep(ERROR_BACKOFF_MS);
+      }
+    }
+  };
+
+  const running = loop();
+  console.log('Polling for updates...');
+
+  return {
+    /**
+     * Stop polling and wait (bounded) for in-flight updates
+     * Unfinished greetings are resumed on the next start
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      stopped = true;
+      controller?.abort();
+      await running;
+
+      if (inFlight.size > 0) {
+        console.log(`Waiting for ${inFlight.size} update(s) in progress...`);
+        await Promise.race([Promise.all(inFlight), sleep(STOP_GRACE_MS)]);
+      }
+
+      console.log('Polling stopped');
+    }
+  };
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
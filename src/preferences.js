@@ -0,0 +1,47 @@
+/**
+ * Per-chat user preferences (chosen occasion etc.)
+ */
+
+import { openStore } from './storage.js';
+import { getDefaultOccasion } from './occasions.js';
+
+const preferences = openStore('preferences');
+
+/**
+ * Get all preferences of a chat
+ * @param {number} chatId - Chat ID
+ * @returns {Object} Preferences (empty object if none were set)
+ */
+export function getPreferences(chatId) {
+  return preferences.get(chatId) || {};
+}
+
+/**
+ * Set one or more preferences of a chat
+ * @param {number} chatId - Chat ID
+ * @param {Object} patch - Preferences to change
+ * @returns {Object} Updated preferences
+ */
+export function setPreferences(chatId, patch) {
+  return preferences.update(chatId, (current) => ({
+    ...current,
+    ...patch,
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Add the chat's preferences to user information: the occasion (chosen or
+ * by calendar) and the profile from onboarding
+ * @param {Object} userInfo - User information
+ * @returns {Object} User information with occasion, occasionDetails and profile
+ */
+export function withPreferences(userInfo) {
+  const preferences = getPreferences(userInfo.chatId);
+  return {
+    ...userInfo,
+    occasion: preferences.occasion || getDefaultOccasion(),
+    occasionDetails: preferences.occasionDetails || null,
+    profile: preferences.profile || null
+  };
+}
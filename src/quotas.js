@@ -0,0 +1,160 @@
+/**
+ * Per-chat quotas: free greetings per occasion, regenerations included with
+ * every greeting, cooldowns between them, and bonuses granted by the admin
+ * Usage is read from the greeting ledger; only bonuses and inline generations
+ * (which aren't greetings of a chat) have their own store
+ */
+
+import { openStore } from './storage.js';
+import { getAttempts, getLatestAttempt, countExtras } from './ledger.js';
+import { t } from './i18n.js';
+
+// Greetings a chat gets for free on every occasion
+const FREE_GREETINGS_PER_OCCASION = 1;
+
+// Extra cards and songs included with every greeting
+export const EXTRA_ALLOWANCES = { image: 2, song: 1 };
+
+// Minimum time between two greetings for the same occasion
+const GREETING_COOLDOWN_MS = 60 * 60 * 1000;
+
+// Minimum time between two extras of a greeting
+const EXTRA_COOLDOWN_MS = 2 * 60 * 1000;
+
+// Inline greetings one user may have generated per window (cached names don't count)
+const INLINE_GREETINGS_PER_WINDOW = 10;
+const INLINE_WINDOW_MS = 60 * 60 * 1000;
+
+// Kinds of bonus the admin can grant: greetings on any occasion, extra cards, extra songs
+export const BONUS_KINDS = ['greetings', 'image', 'song'];
+
+const bonuses = openStore('bonuses');
+
+// User ID -> { times } of their latest inline generations
+const inlineUsage = openStore('inline-usage');
+
+/**
+ * Get the unspent bonus of a chat
+ * @param {number} chatId - Chat ID
+ * @returns {Object} Count per bonus kind
+ */
+export function getBonus(chatId) {
+  const bonus = bonuses.get(chatId) || {};
+  return Object.fromEntries(BONUS_KINDS.map(kind => [kind, bonus[kind] || 0]));
+}
+
+/**
+ * Add to a chat's bonus (negative amounts take it back, never below zero)
+ * @param {number} chatId - Chat ID
+ * @param {Object} grant - Amount per bonus kind
+ * @returns {Object} Updated bonus
+ */
+export function grantBonus(chatId, grant) {
+  const updated = bonuses.update(chatId, (current) => {
+    const bonus = { updatedAt: new Date().toISOString() };
+    for (const kind of BONUS_KINDS) {
+      bonus[kind] = Math.max(0, (current?.[kind] || 0) + (grant[kind] || 0));
+    }
+    return bonus;
+  });
+  return Object.fromEntries(BONUS_KINDS.map(kind => [kind, updated[kind]]));
+}
+
+/**
+ * How many greetings a chat has left on an occasion and when the next may start
+ * @param {number} chatId - Chat ID
+ * @param {string} occasion - Occasion ID
+ * @returns {{used: number, free: number, bonus: number, left: number, waitMs: number}} Quota
+ */
+export function getGreetingQuota(chatId, occasion) {
+  const attempts = getAttempts(chatId, occasion);
+  const free = Math.max(0, FREE_GREETINGS_PER_OCCASION - attempts.length);
+  const { greetings: bonus } = getBonus(chatId);
+
+  const last = attempts.at(-1);
+  const waitMs = last ? Math.max(0, Date.parse(last.startedAt) + GREETING_COOLDOWN_MS - Date.now()) : 0;
+
+  return { used: attempts.length, free, bonus, left: free + bonus, waitMs };
+}
+
+/**
+ * Charge a greeting that is about to start: free ones first, then the bonus
+ * Call before the attempt is recorded in the ledger
+ * @param {number} chatId - Chat ID
+ * @param {string} occasion - Occasion ID
+ */
+export function spendGreeting(chatId, occasion) {
+  if (getGreetingQuota(chatId, occasion).free === 0) {
+    grantBonus(chatId, { greetings: -1 });
+  }
+}
+
+/**
+ * How many more extras of a stage the user may ask for on the latest greeting
+ * @param {number} chatId - Chat ID
+ * @param {string} stage - Stage name
+ * @returns {number} Extras left, included and bonus together
+ */
+export function getExtrasLeft(chatId, stage) {
+  if (!(stage in EXTRA_ALLOWANCES)) return 0;
+  const included = Math.max(0, EXTRA_ALLOWANCES[stage] - countExtras(chatId, stage));
+  return included + getBonus(chatId)[stage];
+}
+
+/**
+ * Charge a delivered extra: past the included ones it comes out of the bonus
+ * Call after the extra was recorded in the ledger
+ * @param {number} chatId - Chat ID
+ * @param {string} stage - Stage name
+ */
+export function spendExtra(chatId, stage) {
+  if (countExtras(chatId, stage) > (EXTRA_ALLOWANCES[stage] || 0)) {
+    grantBonus(chatId, { [stage]: -1 });
+  }
+}
+
+/**
+ * How long until the next extra may start
+ * @param {number} chatId - Chat ID
+ * @returns {number} Milliseconds to wait, 0 if it may start now
+ */
+export function getExtraWait(chatId) {
+  const last = (getLatestAttempt(chatId)?.extras || []).filter(extra => extra.status === 'success').at(-1);
+  return last ? Math.max(0, Date.parse(last.at) + EXTRA_COOLDOWN_MS - Date.now()) : 0;
+}
+
+/**
+ * Charge an inline generation if the user has one left in the window
+ * The check and the charge are one store update, so parallel queries can't both take the last one
+ * @param {number} userId - Telegram user ID
+ * @returns {number} 0 if charged, otherwise milliseconds until the next one is allowed
+ */
+export function spendInlineGreeting(userId) {
+  const now = Date.now();
+  let waitMs = 0;
+
+  inlineUsage.update(userId, (usage) => {
+    const times = (usage?.times || []).filter(time => now - time < INLINE_WINDOW_MS);
+    if (times.length >= INLINE_GREETINGS_PER_WINDOW) {
+      waitMs = times[0] + INLINE_WINDOW_MS - now;
+      return { times };
+    }
+    return { times: [...times, now] };
+  });
+
+  return waitMs;
+}
+
+/**
+ * Format a wait for the user, rounded up to minutes
+ * @param {string} language - Language code
+ * @param {number} ms - Milliseconds
+ * @returns {string} E.g. "1 ч 5 мин"
+ */
+export function formatWait(language, ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  if (minutes < 60) {
+    return t(language, 'time.minutes', { minutes });
+  }
+  return t(language, 'time.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+}
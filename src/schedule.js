@@ -0,0 +1,453 @@
+/**
+ * New Year greetings delivered at midnight on January 1 in the user's time zone
+ * The user shares a location or picks their current time from a list; a few hours
+ * before midnight the text, card and song are prepared, and at midnight they go out
+ * through the regular greeting pipeline. Schedules are persisted and a scheduler
+ * checks them every few seconds, so a restart loses nothing. A midnight missed
+ * while the bot was down is caught up within CATCH_UP_MS; after that the user is
+ * told and the greeting isn't counted, so they can ask for it with /greeting
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { sendMessage, answerCallbackQuery, editMessageReplyMarkup, inlineKeyboard } from './telegram.js';
+import { openStore, getDataDir } from './storage.js';
+import { registerCallback, encodeCallback } from './callbacks.js';
+import { registerFlow, startConversation, endConversation } from './conversations.js';
+import { defineStage, definePipelineKind, createPipeline, runPipeline } from './jobs.js';
+import { generateGreeting } from './openrouter.js';
+import { generateGreetingCard } from './imagegen.js';
+import { generateSong } from './suno.js';
+import { loadUserPhoto } from './photos.js';
+import { handleGreeting } from './pipeline.js';
+import { getGreetingQuota, spendGreeting, formatWait } from './quotas.js';
+import { claimChat } from './coordination.js';
+import { getPreferences, setPreferences, withPreferences } from './preferences.js';
+import { notifyAdmin } from './analytics.js';
+import { isPaused, isBanned } from './admin.js';
+import { getTimeZoneByLocation, getFixedTimeZone, getUtcOffset, formatUtcOffset, getNextNewYear } from './timezones.js';
+import { getLanguage, t } from './i18n.js';
+
+// Midnight deliveries are New Year greetings and use up that occasion's quota
+const MIDNIGHT_OCCASION = 'newyear';
+
+// Assets are prepared this long before midnight (Suno links stay valid, the profile is fresh)
+const PREPARE_AHEAD_MS = 6 * 60 * 60 * 1000;
+
+// Preparations that fail (no text) are retried this many times, then the greeting is generated at midnight
+const MAX_PREPARE_TRIES = 3;
+
+// Preparation still running at midnight gets this long before the greeting goes out without it
+const PREPARE_GRACE_MS = 15 * 60 * 1000;
+
+// A delivery missed while the bot was down still goes out this long after midnight
+const CATCH_UP_MS = 12 * 60 * 60 * 1000;
+
+// Deliveries later than this apologize for being late
+const LATE_AFTER_MS = 5 * 60 * 1000;
+
+// Prepared cards are kept this long after midnight, for deliveries still running
+const CARD_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// How often the scheduler looks for due schedules
+const SCHEDULER_INTERVAL_MS = 15 * 1000;
+
+// UTC offsets offered in the time list, as buttons showing the current time there
+const OFFSET_CHOICES = Array.from({ length: 23 }, (_, index) => index - 10);
+const OFFSET_BUTTONS_PER_ROW = 4;
+
+// Schedule statuses that still wait for midnight
+const PENDING_STATUSES = ['scheduled', 'preparing', 'ready'];
+
+// Chat ID -> { userInfo, timeZone, deliverAt, status, prepared: { greeting, card, song }, ... }
+// status: scheduled | preparing | ready | delivered | missed | cancelled
+const schedules = openStore('schedules');
+
+let ticking = false;
+
+/**
+ * Get the chat's schedule that still waits for midnight
+ * @param {number} chatId - Chat ID
+ * @returns {Object|null} Schedule or null
+ */
+export function getSchedule(chatId) {
+  const schedule = schedules.get(chatId);
+  return schedule && PENDING_STATUSES.includes(schedule.status) ? schedule : null;
+}
+
+/**
+ * Describe how long until a scheduled delivery
+ * @param {string} language - Language code
+ * @param {Object} schedule - Schedule
+ * @returns {string} E.g. "12 дн." or "3 ч 5 мин"
+ */
+export function formatCountdown(language, schedule) {
+  const ms = Math.max(0, schedule.deliverAt - Date.now());
+  const days = Math.floor(ms / (24 * 60 * 60 * 1000));
+  return days > 0 ? t(language, 'time.days', { days }) : formatWait(language, ms);
+}
+
+/**
+ * Handle /midnight command - schedule the New Year greeting for midnight, or show the schedule
+ * @param {Object} userInfo - User information
+ */
+export async function handleMidnightCommand(userInfo) {
+  const schedule = getSchedule(userInfo.chatId);
+
+  if (schedule) {
+    await sendMessage(
+      userInfo.chatId,
+      t(userInfo.language, 'midnight.scheduled', {
+        zone: describeTimeZone(schedule.timeZone, schedule.deliverAt),
+        wait: formatCountdown(userInfo.language, schedule)
+      }),
+      inlineKeyboard([[
+        { text: t(userInfo.language, 'midnight.change'), callback_data: encodeCallback('mid', userInfo.id, 'tz') },
+        { text: t(userInfo.language, 'midnight.cancel'), callback_data: encodeCallback('mid', userInfo.id, 'cancel') }
+      ]])
+    );
+    return;
+  }
+
+  if (getGreetingQuota(userInfo.chatId, MIDNIGHT_OCCASION).left === 0) {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'midnight.noQuota'));
+    return;
+  }
+
+  await askTimeZone(userInfo);
+}
+
+registerCallback('mid', async (userInfo, arg, query) => {
+  await answerCallbackQuery(query.id);
+  if (query.message) {
+    await editMessageReplyMarkup(userInfo.chatId, query.message.message_id);
+  }
+
+  const schedule = getSchedule(userInfo.chatId);
+  if (!schedule) return;
+
+  if (arg === 'tz') {
+    await askTimeZone(userInfo);
+  } else if (arg === 'cancel') {
+    schedules.set(userInfo.chatId, { ...schedule, status: 'cancelled', cancelledAt: new Date().toISOString() });
+    removePreparedCard(schedules.get(userInfo.chatId));
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'midnight.cancelled'));
+  }
+});
+
+registerFlow('midnight', async (userInfo, text, conversation, message) => {
+  let timeZone = null;
+
+  if (message?.location) {
+    timeZone = getTimeZoneByLocation(message.location.latitude, message.location.longitude);
+  } else {
+    const match = text.match(/UTC([+-]\d{1,2})\s*$/);
+    timeZone = match ? getFixedTimeZone(Number(match[1])) : null;
+  }
+
+  if (!timeZone) {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'midnight.invalidTimezone'));
+    return;
+  }
+
+  endConversation(userInfo.chatId);
+  await scheduleMidnight(userInfo, timeZone);
+});
+
+/**
+ * Ask for the time zone: a location button and the current time at every offset
+ * @param {Object} userInfo - User information
+ */
+async function askTimeZone(userInfo) {
+  startConversation(userInfo.chatId, 'midnight', 'timezone');
+
+  const now = Date.now();
+  const buttons = OFFSET_CHOICES.map(hours => {
+    const clock = new Date(now + hours * 60 * 60 * 1000).toISOString().slice(11, 16);
+    return { text: `${clock} · ${formatUtcOffset(hours * 60 * 60 * 1000)}` };
+  });
+
+  const rows = [[{ text: t(userInfo.language, 'midnight.shareLocation'), request_location: true }]];
+  for (let i = 0; i < buttons.length; i += OFFSET_BUTTONS_PER_ROW) {
+    rows.push(buttons.slice(i, i + OFFSET_BUTTONS_PER_ROW));
+  }
+
+  await sendMessage(userInfo.chatId, t(userInfo.language, 'midnight.askTimezone'), {
+    reply_markup: { keyboard: rows, resize_keyboard: true, one_time_keyboard: true }
+  });
+}
+
+/**
+ * Schedule (or move) the chat's greeting to the next midnight of January 1 in a time zone
+ * Whatever was already prepared is kept: it doesn't depend on the time zone
+ * @param {Object} userInfo - User information
+ * @param {string} timeZone - IANA time zone
+ */
+async function scheduleMidnight(userInfo, timeZone) {
+  const previous = getSchedule(userInfo.chatId);
+
+  // Got the New Year greeting in the meantime
+  if (!previous && getGreetingQuota(userInfo.chatId, MIDNIGHT_OCCASION).left === 0) {
+    await sendMessage(userInfo.chatId, t(userInfo.language, 'midnight.noQuota'), { reply_markup: { remove_keyboard: true } });
+    return;
+  }
+
+  setPreferences(userInfo.chatId, { timeZone });
+
+  const schedule = schedules.set(userInfo.chatId, {
+    chatId: userInfo.chatId,
+    userInfo: {
+      id: userInfo.id,
+      firstName: userInfo.firstName,
+      lastName: userInfo.lastName,
+      username: userInfo.username,
+      languageCode: userInfo.languageCode,
+      isPremium: userInfo.isPremium,
+      chatId: userInfo.chatId
+    },
+    timeZone,
+    deliverAt: getNextNewYear(timeZone),
+    status: previous?.status || 'scheduled',
+    prepared: previous?.prepared || {},
+    prepareTries: previous?.prepareTries || 0,
+    createdAt: previous?.createdAt || new Date().toISOString()
+  });
+
+  console.log(`Greeting for chat ${userInfo.chatId} scheduled at ${new Date(schedule.deliverAt).toISOString()} (${timeZone})`);
+
+  await sendMessage(
+    userInfo.chatId,
+    t(userInfo.language, 'midnight.confirmed', {
+      zone: describeTimeZone(timeZone, schedule.deliverAt),
+      wait: formatCountdown(userInfo.language, schedule)
+    }),
+    { reply_markup: { remove_keyboard: true } }
+  );
+}
+
+/**
+ * Start checking schedules: prepare the ones close to midnight, deliver the due ones
+ * The first check runs right away and catches up on whatever was missed while the bot was down
+ */
+export function startScheduler() {
+  const run = () => tick().catch(error => console.error('Error running scheduler:', error));
+  run();
+  setInterval(run, SCHEDULER_INTERVAL_MS).unref();
+}
+
+/**
+ * One pass over the schedules
+ * Preparations and deliveries run in the background, so a slow one doesn't hold up the rest
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const now = Date.now();
+
+    for (const schedule of schedules.values()) {
+      const { status, deliverAt } = schedule;
+
+      if (status === 'scheduled' && now < deliverAt && now >= deliverAt - PREPARE_AHEAD_MS && schedule.prepareTries < MAX_PREPARE_TRIES) {
+        prepare(schedule).catch(error => console.error(`Error preparing greeting for chat ${schedule.chatId}:`, error));
+        continue;
+      }
+
+      const due = now >= deliverAt && (
+        status === 'scheduled' || status === 'ready' || (status === 'preparing' && now >= deliverAt + PREPARE_GRACE_MS)
+      );
+      if (due) {
+        deliver(schedule, now).catch(error => console.error(`Error delivering greeting to chat ${schedule.chatId}:`, error));
+        continue;
+      }
+
+      // Cards of cancelled schedules go right away, delivered ones once their delivery is surely over
+      if (schedule.prepared?.card && (status === 'cancelled' || (!PENDING_STATUSES.includes(status) && now >= deliverAt + CARD_RETENTION_MS))) {
+        removePreparedCard(schedule);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Prepare the text, card and song of a scheduled greeting
+ * @param {Object} schedule - Schedule
+ */
+async function prepare(schedule) {
+  schedules.set(schedule.chatId, { ...schedule, status: 'preparing', prepareTries: schedule.prepareTries + 1 });
+  console.log(`Preparing midnight greeting for chat ${schedule.chatId}`);
+
+  const pipelineId = createPipeline(buildUserInfo(schedule), ['midnightText', 'midnightImage', 'midnightSong'], {
+    kind: 'midnight',
+    options: { chatId: schedule.chatId }
+  });
+  await runPipeline(pipelineId);
+}
+
+/**
+ * Deliver a scheduled greeting, or give up on it if midnight is long gone
+ * @param {Object} schedule - Schedule
+ * @param {number} now - Current moment
+ */
+async function deliver(schedule, now) {
+  const { chatId } = schedule;
+  const userInfo = buildUserInfo(schedule);
+  const lateness = now - schedule.deliverAt;
+
+  if (isBanned(chatId) || isBanned(schedule.userInfo.id)) {
+    schedules.set(chatId, { ...schedule, status: 'cancelled', cancelledAt: new Date().toISOString() });
+    return;
+  }
+
+  // Paused by the admin: wait, and catch up once greetings resume
+  if (isPaused()) return;
+
+  if (lateness > CATCH_UP_MS) {
+    schedules.set(chatId, { ...schedule, status: 'missed' });
+    console.log(`Midnight greeting for chat ${chatId} missed by ${Math.round(lateness / 60000)} min`);
+    await notifyAdmin(`⏰ Пропущена полночная доставка, Chat ID: ${chatId}, опоздание ${Math.round(lateness / 60000)} мин`);
+    await sendMessage(chatId, t(userInfo.language, 'midnight.missed'));
+    return;
+  }
+
+  // The user may have taken their New Year greeting with /greeting since scheduling
+  const quota = getGreetingQuota(chatId, MIDNIGHT_OCCASION);
+  if (quota.left === 0) {
+    schedules.set(chatId, { ...schedule, status: 'missed', missedReason: 'quota' });
+    console.log(`Midnight greeting for chat ${chatId} dropped: no greetings left`);
+    await sendMessage(chatId, t(userInfo.language, 'midnight.noQuota'));
+    return;
+  }
+
+  // The same claim as a greeting asked for directly, so no instance greets the chat twice;
+  // the schedule stays due, and the next check sees whether that greeting used up the quota
+  if (!(await claimChat(chatId, MIDNIGHT_OCCASION, quota.used))) {
+    console.log(`Chat ${chatId} is already being greeted, not delivering the midnight greeting yet`);
+    return;
+  }
+
+  schedules.set(chatId, { ...schedule, status: 'delivered', deliveredAt: new Date().toISOString() });
+
+  spendGreeting(chatId, MIDNIGHT_OCCASION);
+  await sendMessage(chatId, t(userInfo.language, lateness > LATE_AFTER_MS ? 'midnight.late' : 'midnight.header'));
+  await handleGreeting(userInfo, { prepared: schedule.prepared });
+}
+
+/**
+ * Build the user information a scheduled greeting is made for, with today's preferences
+ * @param {Object} schedule - Schedule
+ * @returns {Object} User information
+ */
+function buildUserInfo(schedule) {
+  const userInfo = {
+    ...withPreferences(schedule.userInfo),
+    occasion: MIDNIGHT_OCCASION,
+    occasionDetails: null
+  };
+  userInfo.language = getLanguage({ ...userInfo, language: getPreferences(schedule.chatId).language });
+  return userInfo;
+}
+
+/**
+ * Save a prepared asset on the chat's schedule
+ * @param {number} chatId - Chat ID
+ * @param {Object} patch - Assets to save
+ */
+function updatePrepared(chatId, patch) {
+  schedules.update(chatId, (schedule) => schedule && { ...schedule, prepared: { ...schedule.prepared, ...patch } });
+}
+
+/**
+ * Delete the prepared card file of a schedule
+ * @param {Object} schedule - Schedule
+ */
+function removePreparedCard(schedule) {
+  if (!schedule.prepared?.card) return;
+  fs.rmSync(schedule.prepared.card, { force: true });
+  updatePrepared(schedule.chatId, { card: null });
+}
+
+/**
+ * Describe a time zone for the user
+ * @param {string} timeZone - IANA time zone
+ * @param {number} at - Moment the offset is shown for
+ * @returns {string} E.g. "Yekaterinburg, UTC+5" or "UTC+3"
+ */
+function describeTimeZone(timeZone, at) {
+  const offset = formatUtcOffset(getUtcOffset(timeZone, at));
+  return timeZone.startsWith('Etc/') ? offset : `${timeZone.split('/').pop().replace(/_/g, ' ')}, ${offset}`;
+}
+
+defineStage('midnightText', {
+  critical: true,
+
+  async run(job) {
+    const { chatId } = job.options;
+    if (!schedules.get(chatId)?.prepared?.greeting) {
+      updatePrepared(chatId, { greeting: await generateGreeting(job.userInfo) });
+    }
+    return { success: true };
+  }
+});
+
+defineStage('midnightImage', {
+  async run(job) {
+    const { chatId } = job.options;
+    const schedule = schedules.get(chatId);
+    if (schedule?.prepared?.card) return { success: true };
+
+    // Same as a card drawn on the spot: with the user's photo if there is one, without if the model refuses it
+    const photo = await loadUserPhoto(job.userInfo);
+    let imageUrl = await generateGreetingCard(job.userInfo, { photo });
+    if (!imageUrl && photo) {
+      imageUrl = await generateGreetingCard(job.userInfo);
+    }
+    if (!imageUrl) return { success: false };
+
+    // Cards are too big for the schedule store; the file holds the data URL
+    const dir = path.join(getDataDir(), 'prepared');
+    fs.mkdirSync(dir, { recursive: true });
+    const card = path.join(dir, `${chatId}-${schedule.deliverAt}.card`);
+    fs.writeFileSync(card, imageUrl);
+    updatePrepared(chatId, { card });
+    return { success: true };
+  }
+});
+
+defineStage('midnightSong', {
+  async run(job, saveState) {
+    const { chatId } = job.options;
+    if (schedules.get(chatId)?.prepared?.song) return { success: true };
+
+    const song = await generateSong(job.userInfo, null, {
+      taskId: job.state.taskId,
+      onTaskStarted: (taskId) => saveState({ taskId })
+    });
+    if (!song?.audioUrl) return { success: false };
+
+    updatePrepared(chatId, { song: { audioUrl: song.audioUrl, title: song.title } });
+    return { success: true };
+  }
+});
+
+definePipelineKind('midnight', {
+  /**
+   * Mark the schedule ready; without a text it is prepared again later
+   */
+  async onComplete(jobs) {
+    const { chatId } = jobs[0].options;
+    const schedule = schedules.get(chatId);
+
+    // Cancelled, or delivered without waiting for the preparation
+    if (schedule?.status !== 'preparing') return;
+
+    const ready = Boolean(schedule.prepared.greeting);
+    schedules.set(chatId, { ...schedule, status: ready ? 'ready' : 'scheduled' });
+
+    const status = (stage) => jobs.find(job => job.stage === stage)?.status === 'done' ? '✅' : '❌';
+    console.log(`Midnight greeting for chat ${chatId} prepared: text ${status('midnightText')}, card ${status('midnightImage')}, song ${status('midnightSong')}`);
+  }
+});
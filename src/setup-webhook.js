@@ -4,7 +4,10 @@
  */
 
 import 'dotenv/config';
-import { setWebhook, getWebhookInfo, deleteWebhook } from './telegram.js';
+import { setWebhook, getWebhookInfo, deleteWebhook, setMyCommands } from './telegram.js';
+import { BOT_COMMANDS, getBotCommands } from './commands.js';
+import { LANGUAGES } from './i18n.js';
+import { getWebhookSecrets, generateSecret } from './webhook.js';
 
 async function main() {
   const command = process.argv[2] || 'set';
@@ -25,14 +28,62 @@ async function main() {
         process.exit(1);
       }
 
-      console.log(`Setting webhook to: ${webhookUrl}`);
-      const setResult = await setWebhook(webhookUrl);
+      const [secretToken] = getWebhookSecrets();
+      if (!secretToken) {
+        console.warn('Warning: WEBHOOK_SECRET is not set, anyone can post updates to the webhook.');
+        console.warn('Generate one with: npm run setup-webhook generate\n');
+      }
 
-      if (setResult.ok) {
+      console.log(`Setting webhook to: ${webhookUrl}`);
+      try {
+        await setWebhook(webhookUrl, { secretToken });
         console.log('Webhook set successfully!');
-      } else {
-        console.error('Failed to set webhook:', setResult.description);
+      } catch (error) {
+        console.error('Failed to set webhook:', error.message);
       }
+
+      await registerCommands();
+      break;
+
+    case 'commands':
+      await registerCommands();
+      break;
+
+    case 'rotate': {
+      if (!webhookUrl) {
+        console.error('Error: Please set WEBHOOK_URL in your .env file');
+        process.exit(1);
+      }
+
+      // Either use a secret already deployed to the server, or make a new one
+      const newSecret = process.argv[3] || generateSecret();
+      const accepted = getWebhookSecrets();
+
+      console.log('Registering new secret token with Telegram...');
+      try {
+        await setWebhook(webhookUrl, { secretToken: newSecret });
+      } catch (error) {
+        console.error('Failed to rotate secret:', error.message);
+        process.exit(1);
+      }
+
+      console.log('Secret rotated successfully!\n');
+      console.log(`New secret: ${newSecret}`);
+      if (!accepted.includes(newSecret)) {
+        console.log('\nThe server does not accept this secret yet. Update its environment:');
+        console.log(`  WEBHOOK_SECRET=${newSecret}`);
+        console.log('Until it is redeployed, Telegram gets 401 and retries the updates later.');
+      } else if (accepted.length > 1) {
+        console.log('\nOnce this is live, drop the old secrets from the server:');
+        console.log(`  WEBHOOK_SECRET=${newSecret}`);
+      }
+      break;
+    }
+
+    case 'generate':
+      console.log('Fresh values for your environment:\n');
+      console.log(`WEBHOOK_SECRET=${generateSecret()}`);
+      console.log(`WEBHOOK_URL=https://your-app-name.onrender.com/webhook/${generateSecret().slice(0, 24)}`);
       break;
 
     case 'info':
@@ -44,19 +95,46 @@ async function main() {
 
     case 'delete':
       console.log('Deleting webhook...');
-      const deleteResult = await deleteWebhook();
-      if (deleteResult.ok) {
+      try {
+        await deleteWebhook();
         console.log('Webhook deleted successfully!');
-      } else {
-        console.error('Failed to delete webhook:', deleteResult.description);
+      } catch (error) {
+        console.error('Failed to delete webhook:', error.message);
       }
       break;
 
     default:
-      console.log('Usage: npm run setup-webhook [set|info|delete]');
-      console.log('  set    - Set the webhook URL (default)');
-      console.log('  info   - Get current webhook info');
-      console.log('  delete - Delete the webhook');
+      console.log('Usage: npm run setup-webhook [set|rotate|commands|generate|info|delete]');
+      console.log('  set      - Set the webhook URL with WEBHOOK_SECRET (default)');
+      console.log('  rotate   - Register a new secret token (optionally pass it: rotate <secret>)');
+      console.log('  commands - Register the bot command list with setMyCommands');
+      console.log('  generate - Print a random secret and an unguessable webhook path');
+      console.log('  info     - Get current webhook info');
+      console.log('  delete   - Delete the webhook');
+  }
+}
+
+/**
+ * Register the bot command list shown in the Telegram menu
+ * The default list is Russian; clients in other supported languages get their own
+ */
+async function registerCommands() {
+  console.log('Registering bot commands...');
+
+  const targets = [
+    { language: 'ru', options: {} },
+    ...Object.keys(LANGUAGES).map(language => ({ language, options: { language_code: language } }))
+  ];
+
+  for (const { language, options } of targets) {
+    const scope = options.language_code || 'default';
+
+    try {
+      await setMyCommands(getBotCommands(language), options);
+      console.log(`Registered ${BOT_COMMANDS.length} commands (${scope}): ${BOT_COMMANDS.map(c => '/' + c).join(', ')}`);
+    } catch (error) {
+      console.error(`Failed to register commands (${scope}):`, error.message);
+    }
   }
 }
 
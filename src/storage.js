@@ -0,0 +1,218 @@
+/**
+ * Durable key-value storage backed by append-only JSON files
+ * Each store lives in DATA_DIR/<name>.jsonl, one JSON record per line
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Directory where all stores are kept (mount a persistent disk here in production)
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+// Rewrite the file once it holds this many times more lines than live keys
+const COMPACT_RATIO = 4;
+
+// Writers wait for a store's lock file this long between tries; an older lock was left by a crash
+const LOCK_RETRY_MS = 5;
+const LOCK_STALE_MS = 10000;
+
+// Something for Atomics.wait to sleep on (writes are synchronous, so waiting for a lock is too)
+const LOCK_WAIT = new Int32Array(new SharedArrayBuffer(4));
+
+// Opened stores, so every module shares one instance per file
+const stores = new Map();
+
+/**
+ * Get the directory used for persistent data
+ * @returns {string} Absolute path to the data directory
+ */
+export function getDataDir() {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  return DATA_DIR;
+}
+
+/**
+ * Open (or reuse) a named store
+ * Writes are synchronous appends, so a record is on disk once set() returns.
+ * Processes sharing DATA_DIR share the file: every read first picks up what the others
+ * appended, and writes (and compaction) happen under a lock file, so none get lost
+ * @param {string} name - Store name, used as the file name
+ * @returns {Object} Store with get/set/update/delete/has/values/entries
+ */
+export function openStore(name) {
+  if (stores.has(name)) {
+    return stores.get(name);
+  }
+
+  const filePath = path.join(getDataDir(), `${name}.jsonl`);
+  const lockPath = `${filePath}.lock`;
+  const records = new Map();
+  let lineCount = 0;
+  // Bytes of the file replayed so far, and which file they were read from (compaction replaces it)
+  let offset = 0;
+  let inode = null;
+
+  // Replay lines: the last line for a key wins, null value means deleted
+  const replay = (text) => {
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      lineCount++;
+      try {
+        const { k, v } = JSON.parse(line);
+        if (v === null) {
+          records.delete(k);
+        } else {
+          records.set(k, v);
+        }
+      } catch (e) {
+        // A torn line after a crash - skip it
+        console.error(`Skipping corrupt line in ${name} store`);
+      }
+    }
+  };
+
+  // Catch up with the file: the lines other processes appended, or all of it if it was replaced
+  const refresh = () => {
+    let fd;
+    try {
+      fd = fs.openSync(filePath, 'r');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    try {
+      // Stat the open file, not the path: a compaction may replace the path meanwhile
+      const stat = fd === undefined ? null : fs.fstatSync(fd);
+      if (!stat || stat.ino !== inode || stat.size < offset) {
+        records.clear();
+        lineCount = 0;
+        offset = 0;
+        inode = stat?.ino ?? null;
+      }
+      if (!stat || stat.size === offset) return;
+
+      const buffer = Buffer.alloc(stat.size - offset);
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+
+      // A line still being written by another process is read next time
+      const end = buffer.lastIndexOf(0x0a) + 1;
+      replay(buffer.subarray(0, end).toString('utf8'));
+      offset += end;
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  };
+
+  // Run fn holding the store's lock file; a lock older than LOCK_STALE_MS was left by a crash
+  const withLock = (fn) => {
+    while (true) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        try {
+          if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+            fs.rmSync(lockPath, { force: true });
+            continue;
+          }
+        } catch (e) {
+          // Released meanwhile - try again
+          continue;
+        }
+        Atomics.wait(LOCK_WAIT, 0, 0, LOCK_RETRY_MS);
+      }
+    }
+
+    try {
+      refresh();
+      return fn();
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  };
+
+  const append = (key, value) => {
+    // Nobody else writes under the lock, so bytes past the offset are a line torn by a crash: end it
+    const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    const line = (size > offset ? '\n' : '') + JSON.stringify({ k: key, v: value }) + '\n';
+    fs.appendFileSync(filePath, line);
+
+    const stat = fs.statSync(filePath);
+    inode = stat.ino;
+    offset = stat.size;
+    lineCount++;
+  };
+
+  const compact = () => {
+    const tmpPath = `${filePath}.tmp`;
+    const body = [...records].map(([k, v]) => JSON.stringify({ k, v })).join('\n');
+    fs.writeFileSync(tmpPath, body ? body + '\n' : '');
+    fs.renameSync(tmpPath, filePath);
+
+    const stat = fs.statSync(filePath);
+    inode = stat.ino;
+    offset = stat.size;
+    lineCount = records.size;
+  };
+
+  const compactIfNeeded = () => {
+    if (lineCount > COMPACT_RATIO * Math.max(records.size, 16)) {
+      compact();
+    }
+  };
+
+  const write = (key, value) => {
+    if (value === null || value === undefined) {
+      if (!records.delete(key)) return null;
+      append(key, null);
+      return null;
+    }
+    records.set(key, value);
+    append(key, value);
+    compactIfNeeded();
+    return value;
+  };
+
+  withLock(compactIfNeeded);
+
+  const store = {
+    has: (key) => {
+      refresh();
+      return records.has(String(key));
+    },
+    get: (key) => {
+      refresh();
+      return records.get(String(key)) ?? null;
+    },
+    set(key, value) {
+      return withLock(() => write(String(key), value));
+    },
+    // The read and the write happen under one lock, so no other process writes in between
+    update(key, fn) {
+      return withLock(() => write(String(key), fn(records.get(String(key)) ?? null)));
+    },
+    delete(key) {
+      return withLock(() => {
+        if (!records.has(String(key))) return false;
+        write(String(key), null);
+        return true;
+      });
+    },
+    values: () => {
+      refresh();
+      return [...records.values()];
+    },
+    entries: () => {
+      refresh();
+      return [...records.entries()];
+    },
+    get size() {
+      refresh();
+      return records.size;
+    }
+  };
+
+  stores.set(name, store);
+  return store;
+}
@@ -0,0 +1,157 @@
+/**
+ * Streaming messages: text that grows (a greeting being written, a status that changes)
+ * shown in a message the bot keeps editing. Updates are throttled and sent one at
+ * a time, always with the latest text; text longer than a message continues in
+ * new messages; and the final text is guaranteed to be the last edit
+ */
+
+import { sendMessage, editMessageText, deleteMessage } from './telegram.js';
+import { splitHtml, MAX_MESSAGE_LENGTH } from './format.js';
+
+// Minimum time between two edits (a private chat takes about one message per second)
+const EDIT_INTERVAL_MS = 1000;
+
+// Shown after the text while it's still being written
+const CURSOR = ' ▌';
+
+/**
+ * @typedef {Object} StreamingMessage
+ * @property {Function} start - (html) => Promise: sends the first message (a placeholder, not formatted)
+ *   unless there is one already
+ * @property {Function} update - (text) => void: shows the text soon, with the cursor; never throws
+ * @property {Function} reset - (html) => Promise: drops the text shown so far for a placeholder (not formatted),
+ *   e.g. when the writer starts over; later updates start from it. Never throws
+ * @property {Function} finish - (text) => Promise<number[]>: shows the final text after every pending
+ *   update and ignores later updates; throws if the final text couldn't be shown
+ * @property {number[]} messageIds - Messages the text is shown in, first to last
+ */
+
+/**
+ * Create a streaming message
+ * @param {number} chatId - Chat ID
+ * @param {Object} options - { messageIds } already sent (a resumed stage), { onMessages } called with
+ *   the message IDs whenever a message is added or removed (to checkpoint them), { cursor }, { intervalMs },
+ *   { format } turning a text into HTML: (text, final) => html (texts are trusted HTML by default)
+ * @returns {StreamingMessage} Streaming message
+ */
+export function createStreamingMessage(chatId, options = {}) {
+  const format = options.format || ((text) => text);
+  const cursor = options.cursor ?? CURSOR;
+  const intervalMs = options.intervalMs ?? EDIT_INTERVAL_MS;
+  const messageIds = [...(options.messageIds || [])];
+
+  // Text each message shows as far as we know (unknown for messages sent before a restart)
+  const shown = [];
+
+  let latest = '';
+  let dirty = false;
+  let finished = false;
+  let timer = null;
+  let lastFlushAt = 0;
+  let flushing = null;
+  let finishing = Promise.resolve();
+
+  /**
+   * Show HTML across the messages, sending continuation messages as needed
+   * @param {string} html - Formatted text
+   * @param {boolean} final - Whether it's the final text (no cursor, extra messages removed)
+   */
+  const render = async (html, final) => {
+    const chunks = splitHtml(html, MAX_MESSAGE_LENGTH - cursor.length);
+
+    for (let i = 0; i < chunks.length; i++) {
+      const body = !final && i === chunks.length - 1 ? chunks[i] + cursor : chunks[i];
+      if (!body.trim() || shown[i] === body) continue;
+
+      if (i < messageIds.length) {
+        await editMessageText(chatId, messageIds[i], body);
+      } else {
+        const sent = await sendMessage(chatId, body);
+        messageIds.push(sent.result.message_id);
+        options.onMessages?.([...messageIds]);
+      }
+      shown[i] = body;
+    }
+
+    // The final text came out shorter than a draft (e.g. a fallback replaced it)
+    if (final && messageIds.length > chunks.length) {
+      const extra = messageIds.splice(chunks.length);
+      shown.splice(chunks.length);
+      options.onMessages?.([...messageIds]);
+      for (const messageId of extra) {
+        await deleteMessage(chatId, messageId).catch((error) => {
+          console.error('Error deleting continuation message:', error.message);
+        });
+      }
+    }
+  };
+
+  const flush = () => {
+    dirty = false;
+    lastFlushAt = Date.now();
+    flushing = render(format(latest, false), false)
+      .catch((error) => console.error('Error updating streaming message:', error.message))
+      .finally(() => {
+        flushing = null;
+        if (dirty) schedule();
+      });
+  };
+
+  const schedule = () => {
+    if (finished || timer || flushing) return;
+
+    const waitMs = lastFlushAt + intervalMs - Date.now();
+    if (waitMs <= 0) {
+      flush();
+      return;
+    }
+    timer = setTimeout(() => {
+      timer = null;
+      if (!finished) flush();
+    }, waitMs);
+  };
+
+  return {
+    async start(html) {
+      if (messageIds.length === 0) {
+        await render(html, true);
+      }
+    },
+
+    update(text) {
+      if (finished) return;
+      latest = text;
+      dirty = true;
+      schedule();
+    },
+
+    async reset(html) {
+      if (finished) return;
+      clearTimeout(timer);
+      timer = null;
+      dirty = false;
+      latest = '';
+
+      // The edit in flight lands first, then the placeholder replaces it (continuations removed)
+      await flushing;
+      await render(html, true).catch((error) => console.error('Error resetting streaming message:', error.message));
+    },
+
+    async finish(text) {
+      finished = true;
+      clearTimeout(timer);
+      timer = null;
+
+      // The edit in flight lands first, then the final text (after any earlier finish)
+      await flushing;
+      const result = finishing.catch(() => {}).then(() => render(format(text, true), true));
+      finishing = result;
+      await result;
+      return [...messageIds];
+    },
+
+    get messageIds() {
+      return [...messageIds];
+    }
+  };
+}
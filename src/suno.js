@@ -1,19 +1,42 @@
 /**
- * Suno API integration for generating New Year songs
+ * Suno API integration for generating greeting songs
  */
 
+import { resolveOccasion } from './occasions.js';
+import { getLanguage, t } from './i18n.js';
+import { PROFILE_FIELDS } from './onboarding.js';
+
 const SUNO_API_URL = 'https://api.sunoapi.org';
 
+// Music styles to pick from when a user asks for a different song
+export const SONG_STYLES = {
+  estrada: 'russian pop, cheerful, synthesizer, 90s russian estrada',
+  chanson: 'russian chanson, accordion, warm male vocals',
+  rock: 'russian rock, energetic guitars, anthem',
+  disco: 'euro disco, 80s, upbeat, synth bass, party',
+  folk: 'russian folk, balalaika, chastushki, village choir'
+};
+
 /**
- * Generate a personalized New Year song
+ * Generate a personalized greeting song
  * @param {Object} userInfo - User information for personalization
  * @param {Function} onStatus - Callback for status updates
+ * @param {Object} options - { taskId } to resume polling an already started task,
+ *   { onTaskStarted } to be told the task ID before polling begins,
+ *   { style } to pick one of SONG_STYLES
  * @returns {Promise<Object|null>} Generated song data or null on failure
  */
-export async function generateSong(userInfo, onStatus) {
-  const songPrompt = buildSongPrompt(userInfo);
+export async function generateSong(userInfo, onStatus, options = {}) {
+  const songPrompt = buildSongPrompt(userInfo, options.style);
 
   try {
+    // Resume a task started before a restart instead of paying for a new one
+    if (options.taskId) {
+      console.log(`Resuming Suno task: ${options.taskId}`);
+      if (onStatus) await onStatus('generating');
+      return await pollForCompletion(options.taskId, onStatus);
+    }
+
     if (onStatus) await onStatus('starting');
 
     // Start generation
@@ -45,6 +68,8 @@ export async function generateSong(userInfo, onStatus) {
     const taskId = generateData.data.taskId;
     console.log(`Suno task started: ${taskId}`);
 
+    if (options.onTaskStarted) await options.onTaskStarted(taskId);
+
     if (onStatus) await onStatus('generating');
 
     // Poll for completion (max 3 minutes)
@@ -127,37 +152,35 @@ async function pollForCompletion(taskId, onStatus) {
 /**
  * Build song prompt based on user info
  * @param {Object} userInfo - User information
+ * @param {string} style - Key of SONG_STYLES (default: estrada)
  * @returns {Object} Song prompt with lyrics, style, and title
  */
-function buildSongPrompt(userInfo) {
-  const name = userInfo.firstName || 'друг';
-
-  // Russian pop style lyrics for New Year greeting
-  const lyrics = `[Verse 1]
-С Новым Годом, ${name}!
-Пусть сбываются мечты
-Счастье, радость, вдохновенье
-И любви полны цветы
-
-[Chorus]
-Новый Год стучится в двери
-Волшебство уже вокруг
-${name}, я тебе желаю
-Быть счастливым, милый друг
-
-[Verse 2]
-Пусть удача не оставит
-Каждый день твоих дорог
-Максим шлёт тебе приветы
-И желает только добра
-
-[Outro]
-С Новым Годом! С Новым счастьем!
-От Максима с теплотой`;
+function buildSongPrompt(userInfo, style = 'estrada') {
+  const language = getLanguage(userInfo);
+  const name = userInfo.firstName || t(language, 'name.friend');
+
+  // A song for a friend is sung on behalf of whoever ordered it
+  const sender = userInfo.senderName || t(language, 'song.sender');
+  const outro = userInfo.senderName
+    ? t(language, 'song.outroFrom', { sender: userInfo.senderName })
+    : t(language, 'song.outro');
+
+  // Russian pop style lyrics for the occasion, in the user's language
+  const occasion = resolveOccasion(userInfo);
+  let lyrics = occasion.song.lyrics(name, sender, outro);
+
+  // The user's onboarding answers get a bridge of their own before the outro
+  const profile = userInfo.profile || {};
+  const bridge = PROFILE_FIELDS
+    .filter(field => profile[field])
+    .map(field => t(language, `song.bridge.${field}`, { [field]: profile[field] }));
+  if (bridge.length > 0) {
+    lyrics = lyrics.replace('[Outro]', `[Bridge]\n${bridge.join('\n')}\n\n[Outro]`);
+  }
 
   return {
     lyrics,
-    style: 'russian pop, festive, happy new year, cheerful, synthesizer, 90s russian estrada',
-    title: `Новогоднее поздравление для ${name}`
+    style: `${SONG_STYLES[style] || SONG_STYLES.estrada}, ${occasion.song.mood}`,
+    title: occasion.song.title(name)
   };
 }
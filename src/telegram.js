@@ -1,15 +1,309 @@
 /**
  * Telegram Bot API integration
+ * Every method goes through callApi, which queues calls to a chat in the outbox,
+ * times requests out, retries transient failures (honoring retry_after on 429),
+ * follows a group's migration to a supergroup and throws TelegramError for everything else
  */
 
-const TELEGRAM_API_BASE = 'https://api.telegram.org/bot';
+import { enqueue, pauseChat, PRIORITIES } from './outbox.js';
+import { splitHtml, getVisibleLength, MAX_CAPTION_LENGTH } from './format.js';
+
+// Bot API server; set TELEGRAM_API_URL to use a local Bot API server
+const DEFAULT_API_URL = 'https://api.telegram.org';
+
+// How long one request may take (TELEGRAM_TIMEOUT_MS overrides it)
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Tries per call for rate limits, server errors, timeouts and network errors
+const MAX_TRIES = 4;
+
+// Methods safe to repeat after a timeout or network error: Telegram may have carried out a call
+// whose answer got lost, and repeating a send would deliver the message (or the invoice) twice
+const IDEMPOTENT_METHODS = new Set([
+  'getUpdates',
+  'getMe',
+  'getFile',
+  'getUserProfilePhotos',
+  'getWebhookInfo',
+  'setWebhook',
+  'deleteWebhook',
+  'setMyCommands',
+  'editMessageText',
+  'editMessageReplyMarkup',
+  'deleteMessage',
+  'answerCallbackQuery',
+  'sendChatAction'
+]);
+
+// First backoff for errors that don't say how long to wait; doubles with every try
+const RETRY_DELAY_MS = 1000;
+
+// A longer retry_after is the caller's business (e.g. a broadcast waits, a webhook handler can't)
+const MAX_RETRY_AFTER_S = 30;
+
+// Outbox priority of chat-bound methods; the rest are deliveries
+const METHOD_PRIORITIES = {
+  editMessageText: PRIORITIES.edit,
+  editMessageReplyMarkup: PRIORITIES.edit,
+  deleteMessage: PRIORITIES.edit,
+  sendChatAction: PRIORITIES.background,
+  // Only broadcasts copy messages, and they must not hold up live greetings
+  copyMessage: PRIORITIES.background
+};
+
+// What Telegram takes as a photo; a bigger, oddly shaped or other image goes as a document
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+const MAX_PHOTO_SIDES = 10000;
+const MAX_PHOTO_RATIO = 20;
+const PHOTO_FORMATS = ['jpeg', 'jpg', 'png', 'webp'];
+
+// sendPhoto errors a document gets past
+const PHOTO_ERRORS = /PHOTO_|IMAGE_PROCESS_FAILED|wrong type of the web page content|failed to get HTTP URL content/i;
+
+// Items of a package that may share a media group (Telegram doesn't mix photos with audio)
+const MEDIA_GROUPS = { photo: 'visual', video: 'visual', audio: 'audio', document: 'document' };
+const MAX_GROUP_SIZE = 10;
+
+// Update types the bot subscribes to (webhook and polling alike)
+const ALLOWED_UPDATES = ['message', 'callback_query', 'inline_query', 'chosen_inline_result', 'pre_checkout_query'];
+
+/**
+ * A failed Bot API call
+ * errorCode is the error_code of the API response (403 blocked, 429 too many requests...),
+ * null when Telegram wasn't reached at all (timeout, network error)
+ */
+export class TelegramError extends Error {
+  /**
+   * @param {string} method - Bot API method
+   * @param {Object} data - { error_code, description, parameters } of the API response
+   * @param {Object} options - Error options ({ cause })
+   */
+  constructor(method, data, options) {
+    super(`Telegram ${method} error: ${data.description}`, options);
+    this.name = 'TelegramError';
+    this.method = method;
+    this.errorCode = data.error_code ?? null;
+    this.description = data.description || '';
+    this.parameters = data.parameters || {};
+  }
+
+  /**
+   * Whether the chat won't take messages any more: blocked bot, deleted account, kicked from the group
+   * @returns {boolean}
+   */
+  get blocked() {
+    return this.errorCode === 403 || /chat not found|user is deactivated/i.test(this.description);
+  }
+
+  /**
+   * Whether the same call may succeed later
+   * @returns {boolean}
+   */
+  get transient() {
+    return this.errorCode === null || this.errorCode === 429 || this.errorCode >= 500;
+  }
+}
 
 /**
  * Get the Telegram API URL
  * @returns {string} Base API URL with token
  */
 function getApiUrl() {
-  return `${TELEGRAM_API_BASE}${process.env.TELEGRAM_BOT_TOKEN}`;
+  return `${getServerUrl()}/bot${process.env.TELEGRAM_BOT_TOKEN}`;
+}
+
+/**
+ * Get the Bot API server URL
+ * @returns {string} URL without a trailing slash
+ */
+function getServerUrl() {
+  return (process.env.TELEGRAM_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Get the request timeout
+ * @returns {number} Milliseconds
+ */
+function getTimeoutMs() {
+  return Number(process.env.TELEGRAM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * Call a Bot API method, retrying transient failures
+ * A call to a chat waits for its turn in the outbox, and so does every retry of it
+ * @param {string} method - Method name, e.g. sendMessage
+ * @param {Object} params - Method parameters
+ * @param {Object} options - { files } to upload as multipart ({ field: { buffer, type, name } }),
+ *   { signal } to abort the call, { timeoutMs } for a single try
+ * @returns {Promise<Object>} API response ({ ok: true, result })
+ * @throws {TelegramError} When Telegram refuses the call or can't be reached
+ */
+async function callApi(method, params = {}, options = {}) {
+  let tries = 0;
+
+  while (true) {
+    tries++;
+    const data = await enqueueRequest(method, params, options);
+
+    if (data.ok) {
+      return data;
+    }
+
+    // The group became a supergroup: the same call goes to its new ID
+    const migratedTo = data.parameters?.migrate_to_chat_id;
+    if (migratedTo && params.chat_id !== undefined && params.chat_id !== migratedTo) {
+      console.log(`Chat ${params.chat_id} migrated to ${migratedTo}, retrying ${method}`);
+      params = { ...params, chat_id: migratedTo };
+      continue;
+    }
+
+    const error = new TelegramError(method, data, { cause: data.cause });
+    const retryAfter = error.parameters.retry_after;
+
+    // Nothing else goes to this chat until Telegram is ready for it
+    if (retryAfter && params.chat_id !== undefined) {
+      pauseChat(params.chat_id, retryAfter * 1000);
+    }
+
+    // Without an answer the call may have gone through; only a harmless one is repeated
+    const unanswered = error.errorCode === null && !IDEMPOTENT_METHODS.has(method);
+
+    if (!error.transient || unanswered || tries >= MAX_TRIES || retryAfter > MAX_RETRY_AFTER_S) {
+      throw error;
+    }
+
+    // A chat's pause holds the retry back in the outbox; other calls wait here
+    const delayMs = retryAfter ? retryAfter * 1000 : RETRY_DELAY_MS * 2 ** (tries - 1);
+    console.warn(`Telegram ${method} failed (${error.errorCode ?? error.description}), retrying in ${delayMs} ms`);
+    if (!retryAfter || params.chat_id === undefined) {
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Make one try of a call, after its turn in the outbox if it goes to a chat
+ * @param {string} method - Method name
+ * @param {Object} params - Method parameters
+ * @param {Object} options - Options of callApi
+ * @returns {Promise<Object>} API response, { ok: false } included
+ */
+function enqueueRequest(method, params, options) {
+  if (params.chat_id === undefined) {
+    return request(method, params, options);
+  }
+
+  return enqueue(params.chat_id, () => request(method, params, options), {
+    priority: METHOD_PRIORITIES[method] ?? PRIORITIES.delivery,
+    key: getCoalescingKey(method, params)
+  });
+}
+
+/**
+ * Get the key under which a newer call makes a queued one pointless
+ * @param {string} method - Method name
+ * @param {Object} params - Method parameters
+ * @returns {string|null} Key: only the latest text of a message and the latest chat action matter
+ */
+function getCoalescingKey(method, params) {
+  if (method === 'editMessageText') {
+    return `edit:${params.chat_id}:${params.message_id}`;
+  }
+  if (method === 'sendChatAction') {
+    return `action:${params.chat_id}`;
+  }
+  return null;
+}
+
+/**
+ * Make one Bot API request
+ * @param {string} method - Method name
+ * @param {Object} params - Method parameters
+ * @param {Object} options - Options of callApi
+ * @returns {Promise<Object>} API response; a timeout or network error comes as
+ *   { ok: false, error_code: null, description, cause }
+ */
+async function request(method, params, options) {
+  const timeout = AbortSignal.timeout(options.timeoutMs || getTimeoutMs());
+
+  try {
+    const response = await fetch(`${getApiUrl()}/${method}`, {
+      method: 'POST',
+      ...buildBody(params, options.files),
+      signal: options.signal ? AbortSignal.any([options.signal, timeout]) : timeout
+    });
+    return await response.json();
+  } catch (error) {
+    // Stopped by the caller (e.g. polling shutting down) - nothing to retry
+    if (options.signal?.aborted) {
+      throw error;
+    }
+    return { ok: false, error_code: null, description: error.message, cause: error };
+  }
+}
+
+/**
+ * Call a Bot API method whose failure only costs some polish (a spinner, a chat action)
+ * @param {string} method - Method name
+ * @param {Object} params - Method parameters
+ * @returns {Promise<Object|null>} API response, null if the call failed
+ */
+async function callApiQuietly(method, params) {
+  try {
+    return await callApi(method, params);
+  } catch (error) {
+    console.error(error.message);
+    return null;
+  }
+}
+
+/**
+ * Build the request body: JSON, or multipart form data when files are uploaded
+ * @param {Object} params - Method parameters
+ * @param {Object} files - Files by field name ({ buffer, type, name })
+ * @returns {Object} fetch options with headers and body
+ */
+function buildBody(params, files) {
+  if (!files) {
+    return {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(params)
+    };
+  }
+
+  const formData = new FormData();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      formData.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  }
+  for (const [field, file] of Object.entries(files)) {
+    formData.append(field, new Blob([file.buffer], { type: file.type }), file.name);
+  }
+  return { body: formData };
+}
+
+/**
+ * Turn a base64 data URL into a file to upload
+ * @param {string} dataUrl - data:<kind>/<format>;base64,... URL
+ * @param {string} kind - Expected media kind: image or audio (any kind if omitted)
+ * @param {string} name - File name without extension
+ * @returns {Object} File ({ buffer, type, name })
+ */
+function parseDataUrl(dataUrl, kind, name) {
+  const matches = dataUrl.match(/^data:(\w+)\/([\w.+-]+);base64,(.+)$/);
+  if (!matches || (kind && matches[1] !== kind)) {
+    throw new Error(`Invalid base64 ${kind || 'file'} format`);
+  }
+
+  const [, type, format, base64Data] = matches;
+  return {
+    buffer: Buffer.from(base64Data, 'base64'),
+    type: `${type}/${format}`,
+    name: `${name}.${format}`
+  };
 }
 
 /**
@@ -20,65 +314,115 @@ function getApiUrl() {
  * @returns {Promise<Object>} API response
  */
 export async function sendMessage(chatId, text, options = {}) {
-  const response = await fetch(`${getApiUrl()}/sendMessage`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      chat_id: chatId,
-      text,
-      parse_mode: 'HTML',
-      ...options
-    })
+  return callApi('sendMessage', {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    ...options
   });
-
-  const data = await response.json();
-
-  if (!data.ok) {
-    console.error('Telegram API error:', data);
-    throw new Error(`Telegram API error: ${data.description}`);
-  }
-
-  return data;
 }
 
 /**
  * Edit an existing message
+ * Editing a message to the text it already has is not an error
  * @param {number} chatId - Chat ID
  * @param {number} messageId - Message ID to edit
  * @param {string} text - New message text
  * @param {Object} options - Additional options
- * @returns {Promise<Object>} API response
+ * @returns {Promise<Object|null>} API response, null if the message was not modified
  */
 export async function editMessageText(chatId, messageId, text, options = {}) {
-  const response = await fetch(`${getApiUrl()}/editMessageText`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
+  try {
+    return await callApi('editMessageText', {
       chat_id: chatId,
       message_id: messageId,
       text,
       parse_mode: 'HTML',
       ...options
-    })
+    });
+  } catch (error) {
+    if (error instanceof TelegramError && error.description.includes('message is not modified')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a message
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Object>} API response
+ */
+export async function deleteMessage(chatId, messageId) {
+  return callApi('deleteMessage', {
+    chat_id: chatId,
+    message_id: messageId
   });
+}
 
-  const data = await response.json();
+/**
+ * Build message options with an inline keyboard
+ * @param {Array<Array<Object>>} rows - Rows of InlineKeyboardButton objects
+ * @returns {Object} Options with reply_markup, to spread into sendMessage options
+ */
+export function inlineKeyboard(rows) {
+  return {
+    reply_markup: {
+      inline_keyboard: rows.filter(row => row.length > 0)
+    }
+  };
+}
 
-  if (!data.ok && !data.description?.includes('message is not modified')) {
-    console.error('Telegram editMessageText error:', data);
-  }
+/**
+ * Replace (or remove) the inline keyboard of a message
+ * Best effort: the keyboard may be gone already after a double press
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - Message ID
+ * @param {Object|null} replyMarkup - New reply markup, null to remove the keyboard
+ * @returns {Promise<Object|null>} API response, null if the call failed
+ */
+export async function editMessageReplyMarkup(chatId, messageId, replyMarkup = null) {
+  return callApiQuietly('editMessageReplyMarkup', {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: replyMarkup || { inline_keyboard: [] }
+  });
+}
 
-  return data;
+/**
+ * Answer a callback query (stops the loading spinner on the button)
+ * Best effort: queries older than a few seconds can't be answered, the press is still handled
+ * @param {string} callbackQueryId - Callback query ID
+ * @param {Object} options - Additional options (text, show_alert, url)
+ * @returns {Promise<Object|null>} API response, null if the call failed
+ */
+export async function answerCallbackQuery(callbackQueryId, options = {}) {
+  return callApiQuietly('answerCallbackQuery', {
+    callback_query_id: callbackQueryId,
+    ...options
+  });
+}
+
+/**
+ * Answer an inline query with a list of results
+ * @param {string} inlineQueryId - Inline query ID
+ * @param {Array<Object>} results - InlineQueryResult objects
+ * @param {Object} options - Additional options (cache_time, is_personal, button)
+ * @returns {Promise<Object>} API response
+ */
+export async function answerInlineQuery(inlineQueryId, results, options = {}) {
+  return callApi('answerInlineQuery', {
+    inline_query_id: inlineQueryId,
+    results,
+    ...options
+  });
 }
 
 /**
  * Send a "typing" action to indicate the bot is processing
  * @param {number} chatId - Chat ID
- * @returns {Promise<Object>} API response
+ * @returns {Promise<Object|null>} API response
  */
 export async function sendTypingAction(chatId) {
   return sendChatAction(chatId, 'typing');
@@ -86,23 +430,16 @@ export async function sendTypingAction(chatId) {
 
 /**
  * Send a chat action (typing, upload_audio, etc.)
+ * Best effort: the action is only a hint, it is often sent from a timer
  * @param {number} chatId - Chat ID
  * @param {string} action - Action type
- * @returns {Promise<Object>} API response
+ * @returns {Promise<Object|null>} API response, null if the call failed
  */
 export async function sendChatAction(chatId, action) {
-  const response = await fetch(`${getApiUrl()}/sendChatAction`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      chat_id: chatId,
-      action
-    })
+  return callApiQuietly('sendChatAction', {
+    chat_id: chatId,
+    action
   });
-
-  return response.json();
 }
 
 /**
@@ -113,26 +450,11 @@ export async function sendChatAction(chatId, action) {
  * @returns {Promise<Object>} API response
  */
 export async function sendAudio(chatId, audioUrl, options = {}) {
-  const response = await fetch(`${getApiUrl()}/sendAudio`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      chat_id: chatId,
-      audio: audioUrl,
-      ...options
-    })
+  return callApi('sendAudio', {
+    chat_id: chatId,
+    audio: audioUrl,
+    ...options
   });
-
-  const data = await response.json();
-
-  if (!data.ok) {
-    console.error('Telegram sendAudio error:', data);
-    throw new Error(`Telegram API error: ${data.description}`);
-  }
-
-  return data;
 }
 
 /**
@@ -143,85 +465,369 @@ export async function sendAudio(chatId, audioUrl, options = {}) {
  * @returns {Promise<Object>} API response
  */
 export async function sendPhoto(chatId, photo, options = {}) {
-  // If it's a base64 data URL, we need to use multipart form data
+  // A base64 data URL is uploaded as multipart form data
   if (photo.startsWith('data:image')) {
-    // Extract base64 data
-    const matches = photo.match(/^data:image\/(\w+);base64,(.+)$/);
-    if (!matches) {
-      throw new Error('Invalid base64 image format');
+    return callApi('sendPhoto', { chat_id: chatId, ...options }, {
+      files: { photo: parseDataUrl(photo, 'image', 'image') }
+    });
+  }
+
+  return callApi('sendPhoto', {
+    chat_id: chatId,
+    photo,
+    ...options
+  });
+}
+
+/**
+ * Send a voice note to a chat (supports base64 data URL)
+ * The audio must be OGG encoded with Opus for Telegram to show it as a voice message
+ * @param {number} chatId - Chat ID
+ * @param {string} voice - Voice file URL, file_id or base64 data URL
+ * @param {Object} options - Additional options (caption, duration, etc.)
+ * @returns {Promise<Object>} API response
+ */
+export async function sendVoice(chatId, voice, options = {}) {
+  // A base64 data URL is uploaded as multipart form data
+  if (voice.startsWith('data:audio')) {
+    return callApi('sendVoice', { chat_id: chatId, ...options }, {
+      files: { voice: parseDataUrl(voice, 'audio', 'voice') }
+    });
+  }
+
+  return callApi('sendVoice', {
+    chat_id: chatId,
+    voice,
+    ...options
+  });
+}
+
+/**
+ * Send a file to a chat as a document (supports base64 data URL)
+ * @param {number} chatId - Chat ID
+ * @param {string} document - File URL, file_id or base64 data URL
+ * @param {Object} options - Additional options (caption, etc.)
+ * @returns {Promise<Object>} API response
+ */
+export async function sendDocument(chatId, document, options = {}) {
+  // A base64 data URL is uploaded as multipart form data
+  if (document.startsWith('data:')) {
+    return callApi('sendDocument', { chat_id: chatId, ...options }, {
+      files: { document: parseDataUrl(document, null, 'document') }
+    });
+  }
+
+  return callApi('sendDocument', {
+    chat_id: chatId,
+    document,
+    ...options
+  });
+}
+
+/**
+ * Send 2-10 photos, audios or documents as an album (base64 data URLs are uploaded)
+ * @param {number} chatId - Chat ID
+ * @param {Array<Object>} items - { type, media, caption (HTML), title, performer }
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} API response with the sent messages, in order
+ */
+export async function sendMediaGroup(chatId, items, options = {}) {
+  const files = {};
+  const media = items.map((item, i) => {
+    let value = item.media;
+    if (value.startsWith('data:')) {
+      files[`file${i}`] = parseDataUrl(value, null, `file${i}`);
+      value = `attach://file${i}`;
     }
+    return { type: item.type, media: value, ...getItemOptions(item) };
+  });
 
-    const [, format, base64Data] = matches;
-    const buffer = Buffer.from(base64Data, 'base64');
+  return callApi('sendMediaGroup', { chat_id: chatId, media, ...options },
+    Object.keys(files).length > 0 ? { files } : {});
+}
 
-    // Create form data
-    const formData = new FormData();
-    formData.append('chat_id', chatId.toString());
-    formData.append('photo', new Blob([buffer], { type: `image/${format}` }), `image.${format}`);
+/**
+ * Send several media as one package (a postcard: the card, its song, the poem)
+ * Items Telegram can show together go as a media group, the rest one by one; the
+ * caption goes on the first item if it fits a caption, otherwise it is sent first as
+ * text. An image Telegram won't take as a photo (too big, odd shape or format) goes as
+ * a document. A failed item doesn't stop the others
+ * @param {number} chatId - Chat ID
+ * @param {Array<Object>} items - { type: photo, audio or document, media (URL, file_id or
+ *   base64 data URL), title, performer }
+ * @param {Object} options - { caption } in HTML
+ * @returns {Promise<Array<Object>>} Outcome per item, in order: { type, ok, sentAs, message, error }
+ * @throws {TelegramError} When a caption sent as text fails (nothing else is sent then)
+ */
+export async function sendPackage(chatId, items, options = {}) {
+  const outcomes = items.map(item => ({ type: item.type, ok: false, sentAs: null, message: null, error: null }));
+  const pending = items.map((item, index) => ({
+    index,
+    item: { ...item, type: item.type === 'photo' && !canSendAsPhoto(item.media) ? 'document' : item.type }
+  }));
+
+  if (options.caption) {
+    if (pending.length > 0 && getVisibleLength(options.caption) <= MAX_CAPTION_LENGTH) {
+      pending[0].item.caption = options.caption;
+    } else {
+      for (const chunk of splitHtml(options.caption)) {
+        await sendMessage(chatId, chunk);
+      }
+    }
+  }
 
-    if (options.caption) {
-      formData.append('caption', options.caption);
+  for (const batch of groupItems(pending)) {
+    if (batch.length > 1) {
+      try {
+        const data = await sendMediaGroup(chatId, batch.map(({ item }) => item));
+        batch.forEach(({ index, item }, i) => {
+          Object.assign(outcomes[index], { ok: true, sentAs: item.type, message: data.result[i] });
+        });
+        continue;
+      } catch (error) {
+        console.error('Error sending media group, sending its items one by one:', error.message);
+      }
     }
-    if (options.parse_mode) {
-      formData.append('parse_mode', options.parse_mode);
+
+    for (const { index, item } of batch) {
+      Object.assign(outcomes[index], await sendItem(chatId, item));
     }
+  }
 
-    const response = await fetch(`${getApiUrl()}/sendPhoto`, {
-      method: 'POST',
-      body: formData
-    });
+  return outcomes;
+}
 
-    const data = await response.json();
+/**
+ * Send one item of a package, as a document if Telegram won't take a photo
+ * @param {number} chatId - Chat ID
+ * @param {Object} item - Package item
+ * @returns {Promise<Object>} { ok, sentAs, message, error }
+ */
+async function sendItem(chatId, item) {
+  const send = { photo: sendPhoto, audio: sendAudio, document: sendDocument }[item.type];
+
+  try {
+    const data = await send(chatId, item.media, getItemOptions(item));
+    return { ok: true, sentAs: item.type, message: data.result, error: null };
+  } catch (error) {
+    if (item.type === 'photo' && error instanceof TelegramError && PHOTO_ERRORS.test(error.description)) {
+      console.warn(`Telegram didn't take the photo (${error.description}), sending it as a document`);
+      return sendItem(chatId, { ...item, type: 'document' });
+    }
+    console.error(`Error sending ${item.type}:`, error.message);
+    return { ok: false, sentAs: null, message: null, error };
+  }
+}
 
-    if (!data.ok) {
-      console.error('Telegram sendPhoto error:', data);
-      throw new Error(`Telegram API error: ${data.description}`);
+/**
+ * Get the send options of a package item
+ * @param {Object} item - Package item
+ * @returns {Object} caption with parse_mode, title, performer
+ */
+function getItemOptions(item) {
+  return {
+    ...(item.caption ? { caption: item.caption, parse_mode: 'HTML' } : {}),
+    ...(item.type === 'audio' && item.title ? { title: item.title } : {}),
+    ...(item.type === 'audio' && item.performer ? { performer: item.performer } : {})
+  };
+}
+
+/**
+ * Cut package items into runs Telegram can send as one media group
+ * @param {Array<Object>} pending - { index, item } in package order
+ * @returns {Array<Array<Object>>} Batches, in order
+ */
+function groupItems(pending) {
+  const batches = [];
+  for (const entry of pending) {
+    const last = batches[batches.length - 1];
+    const group = MEDIA_GROUPS[entry.item.type];
+    if (last && group && MEDIA_GROUPS[last[0].item.type] === group && last.length < MAX_GROUP_SIZE) {
+      last.push(entry);
+    } else {
+      batches.push([entry]);
     }
+  }
+  return batches;
+}
+
+/**
+ * Whether Telegram will take an image as a photo
+ * Only base64 data URLs can be checked up front; for URLs Telegram's answer tells
+ * @param {string} media - Image URL, file_id or base64 data URL
+ * @returns {boolean}
+ */
+function canSendAsPhoto(media) {
+  if (!media.startsWith('data:')) {
+    return true;
+  }
+  const matches = media.match(/^data:image\/([\w.+-]+);base64,/);
+  if (!matches || !PHOTO_FORMATS.includes(matches[1])) {
+    return false;
+  }
 
-    return data;
+  const base64Data = media.slice(matches[0].length);
+  if (base64Data.length * 3 / 4 > MAX_PHOTO_BYTES) {
+    return false;
   }
 
-  // Regular URL - use JSON
-  const response = await fetch(`${getApiUrl()}/sendPhoto`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      chat_id: chatId,
-      photo,
-      ...options
-    })
+  // The size is in the first bytes of the file (or at least of a normal one)
+  const size = getImageSize(Buffer.from(base64Data.slice(0, 65536), 'base64'));
+  if (!size) {
+    return true;
+  }
+  const { width, height } = size;
+  return width + height <= MAX_PHOTO_SIDES && Math.max(width, height) / Math.max(Math.min(width, height), 1) <= MAX_PHOTO_RATIO;
+}
+
+/**
+ * Read the size of a PNG or JPEG image from its header
+ * @param {Buffer} buffer - Start of the image file
+ * @returns {Object|null} { width, height }, null for another format or a header that isn't there
+ */
+function getImageSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the segments up to a start of frame (SOF0-SOF15 except DHT, JPG and DAC)
+    let i = 2;
+    while (i + 9 < buffer.length) {
+      if (buffer[i] !== 0xff) {
+        i++;
+        continue;
+      }
+      const marker = buffer[i + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(i + 7), height: buffer.readUInt16BE(i + 5) };
+      }
+      i += 2 + buffer.readUInt16BE(i + 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Copy a message (any kind: text, photo, audio...) to another chat, without a "forwarded" header
+ * @param {number} chatId - Chat ID to copy to
+ * @param {number} fromChatId - Chat the message is in
+ * @param {number} messageId - Message ID
+ * @param {Object} options - Additional options (reply_markup, etc.)
+ * @returns {Promise<Object>} API response
+ */
+export async function copyMessage(chatId, fromChatId, messageId, options = {}) {
+  return callApi('copyMessage', {
+    chat_id: chatId,
+    from_chat_id: fromChatId,
+    message_id: messageId,
+    ...options
+  });
+}
+
+/**
+ * Send an invoice payable in Telegram Stars
+ * @param {number} chatId - Chat ID
+ * @param {Object} invoice - { title, description, payload, amount } in Stars
+ * @param {Object} options - Additional options (photo_url, reply_markup, etc.)
+ * @returns {Promise<Object>} API response
+ */
+export async function sendInvoice(chatId, invoice, options = {}) {
+  return callApi('sendInvoice', {
+    chat_id: chatId,
+    title: invoice.title,
+    description: invoice.description,
+    payload: invoice.payload,
+    currency: 'XTR',
+    prices: [{ label: invoice.title, amount: invoice.amount }],
+    ...options
   });
+}
 
-  const data = await response.json();
+/**
+ * Confirm or decline a payment before it is charged (must be answered within 10 seconds)
+ * @param {string} preCheckoutQueryId - Pre-checkout query ID
+ * @param {boolean} ok - Whether the order can be fulfilled
+ * @param {Object} options - Additional options (error_message when declining)
+ * @returns {Promise<Object>} API response
+ */
+export async function answerPreCheckoutQuery(preCheckoutQueryId, ok, options = {}) {
+  return callApi('answerPreCheckoutQuery', {
+    pre_checkout_query_id: preCheckoutQueryId,
+    ok,
+    ...options
+  });
+}
 
-  if (!data.ok) {
-    console.error('Telegram sendPhoto error:', data);
-    throw new Error(`Telegram API error: ${data.description}`);
+/**
+ * Refund a payment made in Telegram Stars
+ * @param {number} userId - User who paid
+ * @param {string} chargeId - telegram_payment_charge_id of the payment
+ * @returns {Promise<Object>} API response
+ */
+export async function refundStarPayment(userId, chargeId) {
+  return callApi('refundStarPayment', {
+    user_id: userId,
+    telegram_payment_charge_id: chargeId
+  });
+}
+
+/**
+ * Get a user's profile pictures
+ * @param {number} userId - Telegram user ID
+ * @param {Object} options - Additional options (offset, limit)
+ * @returns {Promise<Object>} API response with UserProfilePhotos
+ */
+export async function getUserProfilePhotos(userId, options = {}) {
+  return callApi('getUserProfilePhotos', {
+    user_id: userId,
+    ...options
+  });
+}
+
+/**
+ * Get info about a file, including the path to download it from
+ * @param {string} fileId - Telegram file_id
+ * @returns {Promise<Object>} API response with the File object
+ */
+export async function getFile(fileId) {
+  return callApi('getFile', {
+    file_id: fileId
+  });
+}
+
+/**
+ * Download a file from Telegram
+ * @param {string} filePath - file_path returned by getFile
+ * @returns {Promise<Buffer>} File contents
+ */
+export async function downloadFile(filePath) {
+  const response = await fetch(`${getServerUrl()}/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${filePath}`, {
+    signal: AbortSignal.timeout(getTimeoutMs())
+  });
+
+  if (!response.ok) {
+    throw new Error(`Telegram file download error: ${response.status}`);
   }
 
-  return data;
+  return Buffer.from(await response.arrayBuffer());
 }
 
 /**
  * Set up webhook for the bot
  * @param {string} webhookUrl - Public HTTPS URL for webhook
+ * @param {Object} options - Additional options (secretToken)
  * @returns {Promise<Object>} API response
  */
-export async function setWebhook(webhookUrl) {
-  const response = await fetch(`${getApiUrl()}/setWebhook`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      url: webhookUrl,
-      allowed_updates: ['message']
-    })
+export async function setWebhook(webhookUrl, options = {}) {
+  const data = await callApi('setWebhook', {
+    url: webhookUrl,
+    allowed_updates: ALLOWED_UPDATES,
+    // Telegram echoes this back in X-Telegram-Bot-Api-Secret-Token
+    ...(options.secretToken ? { secret_token: options.secretToken } : {})
   });
 
-  const data = await response.json();
   console.log('Webhook setup response:', data);
   return data;
 }
@@ -231,11 +837,26 @@ export async function setWebhook(webhookUrl) {
  * @returns {Promise<Object>} API response
  */
 export async function deleteWebhook() {
-  const response = await fetch(`${getApiUrl()}/deleteWebhook`, {
-    method: 'POST'
-  });
+  return callApi('deleteWebhook');
+}
 
-  return response.json();
+/**
+ * Fetch new updates via long polling
+ * @param {number} offset - Identifier of the first update to return
+ * @param {number} timeout - Long polling timeout in seconds
+ * @param {AbortSignal} signal - Signal to abort the request
+ * @returns {Promise<Object>} API response
+ */
+export async function getUpdates(offset, timeout, signal) {
+  return callApi('getUpdates', {
+    offset,
+    timeout,
+    allowed_updates: ALLOWED_UPDATES
+  }, {
+    signal,
+    // Telegram holds the request for up to the polling timeout
+    timeoutMs: timeout * 1000 + getTimeoutMs()
+  });
 }
 
 /**
@@ -243,8 +864,28 @@ export async function deleteWebhook() {
  * @returns {Promise<Object>} Webhook info
  */
 export async function getWebhookInfo() {
-  const response = await fetch(`${getApiUrl()}/getWebhookInfo`);
-  return response.json();
+  return callApi('getWebhookInfo');
+}
+
+/**
+ * Get basic information about the bot
+ * @returns {Promise<Object>} API response with the bot user
+ */
+export async function getMe() {
+  return callApi('getMe');
+}
+
+/**
+ * Set the list of the bot's commands shown in the Telegram menu
+ * @param {Array<{command: string, description: string}>} commands - Commands
+ * @param {Object} options - Additional options (scope, language_code)
+ * @returns {Promise<Object>} API response
+ */
+export async function setMyCommands(commands, options = {}) {
+  return callApi('setMyCommands', {
+    commands,
+    ...options
+  });
 }
 
 /**
@@ -253,12 +894,13 @@ export async function getWebhookInfo() {
  * @returns {Object|null} User info or null
  */
 export function extractUserInfo(update) {
-  const message = update.message;
-  if (!message || !message.from) {
+  // Button presses carry the user in callback_query and the chat in its message
+  const message = update.message || update.callback_query?.message;
+  const user = update.message?.from || update.callback_query?.from;
+  if (!message || !user) {
     return null;
   }
 
-  const user = message.from;
   return {
     id: user.id,
     firstName: user.first_name || null,
@@ -269,3 +911,12 @@ export function extractUserInfo(update) {
     chatId: message.chat.id
   };
 }
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -12,7 +12,7 @@ const testUser = {
   languageCode: 'ru'
 };
 
-console.log('Testing image generation with google/gemini-2.5-flash-image...\n');
+console.log('Testing image generation...\n');
 
 try {
   const imageUrl = await generateGreetingCard(testUser);
@@ -0,0 +1,172 @@
+/**
+ * Time zones for scheduled deliveries
+ * A shared location maps to the zone of the nearest big city; a time picked from
+ * the list maps to a fixed UTC offset. Midnights are computed with Intl, so
+ * daylight saving time of IANA zones is taken into account
+ */
+
+// Cities whose time zone a nearby location most likely shares
+const CITIES = [
+  { lat: 54.71, lon: 20.51, zone: 'Europe/Kaliningrad' },
+  { lat: 55.76, lon: 37.62, zone: 'Europe/Moscow' },
+  { lat: 59.94, lon: 30.31, zone: 'Europe/Moscow' },
+  { lat: 48.71, lon: 44.51, zone: 'Europe/Volgograd' },
+  { lat: 53.2, lon: 50.15, zone: 'Europe/Samara' },
+  { lat: 46.35, lon: 48.04, zone: 'Europe/Astrakhan' },
+  { lat: 56.84, lon: 60.61, zone: 'Asia/Yekaterinburg' },
+  { lat: 54.99, lon: 73.37, zone: 'Asia/Omsk' },
+  { lat: 55.03, lon: 82.92, zone: 'Asia/Novosibirsk' },
+  { lat: 56.01, lon: 92.87, zone: 'Asia/Krasnoyarsk' },
+  { lat: 52.29, lon: 104.28, zone: 'Asia/Irkutsk' },
+  { lat: 62.03, lon: 129.73, zone: 'Asia/Yakutsk' },
+  { lat: 43.12, lon: 131.89, zone: 'Asia/Vladivostok' },
+  { lat: 59.56, lon: 150.8, zone: 'Asia/Magadan' },
+  { lat: 53.02, lon: 158.65, zone: 'Asia/Kamchatka' },
+  { lat: 50.45, lon: 30.52, zone: 'Europe/Kyiv' },
+  { lat: 49.84, lon: 24.03, zone: 'Europe/Kyiv' },
+  { lat: 46.48, lon: 30.72, zone: 'Europe/Kyiv' },
+  { lat: 53.9, lon: 27.57, zone: 'Europe/Minsk' },
+  { lat: 47.01, lon: 28.86, zone: 'Europe/Chisinau' },
+  { lat: 41.72, lon: 44.79, zone: 'Asia/Tbilisi' },
+  { lat: 40.18, lon: 44.51, zone: 'Asia/Yerevan' },
+  { lat: 40.41, lon: 49.87, zone: 'Asia/Baku' },
+  { lat: 43.24, lon: 76.89, zone: 'Asia/Almaty' },
+  { lat: 51.17, lon: 71.45, zone: 'Asia/Almaty' },
+  { lat: 41.3, lon: 69.24, zone: 'Asia/Tashkent' },
+  { lat: 42.87, lon: 74.59, zone: 'Asia/Bishkek' },
+  { lat: 56.95, lon: 24.11, zone: 'Europe/Riga' },
+  { lat: 54.69, lon: 25.28, zone: 'Europe/Vilnius' },
+  { lat: 59.44, lon: 24.75, zone: 'Europe/Tallinn' },
+  { lat: 52.23, lon: 21.01, zone: 'Europe/Warsaw' },
+  { lat: 52.52, lon: 13.4, zone: 'Europe/Berlin' },
+  { lat: 48.86, lon: 2.35, zone: 'Europe/Paris' },
+  { lat: 51.51, lon: -0.13, zone: 'Europe/London' },
+  { lat: 40.42, lon: -3.7, zone: 'Europe/Madrid' },
+  { lat: 41.01, lon: 28.98, zone: 'Europe/Istanbul' },
+  { lat: 32.09, lon: 34.78, zone: 'Asia/Jerusalem' },
+  { lat: 25.2, lon: 55.27, zone: 'Asia/Dubai' },
+  { lat: 28.61, lon: 77.21, zone: 'Asia/Kolkata' },
+  { lat: 13.76, lon: 100.5, zone: 'Asia/Bangkok' },
+  { lat: 31.23, lon: 121.47, zone: 'Asia/Shanghai' },
+  { lat: 35.68, lon: 139.69, zone: 'Asia/Tokyo' },
+  { lat: -33.87, lon: 151.21, zone: 'Australia/Sydney' },
+  { lat: 40.71, lon: -74.01, zone: 'America/New_York' },
+  { lat: 41.88, lon: -87.63, zone: 'America/Chicago' },
+  { lat: 39.74, lon: -104.99, zone: 'America/Denver' },
+  { lat: 34.05, lon: -118.24, zone: 'America/Los_Angeles' }
+];
+
+// A location farther than this from every city gets a zone from its longitude
+const MAX_CITY_DISTANCE_KM = 1000;
+
+// Offsets Etc/GMT zones exist for
+const MIN_OFFSET_HOURS = -12;
+const MAX_OFFSET_HOURS = 14;
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Guess the time zone of a location
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {string} IANA time zone
+ */
+export function getTimeZoneByLocation(latitude, longitude) {
+  let nearest = null;
+  let nearestKm = Infinity;
+
+  for (const city of CITIES) {
+    const km = distanceKm(latitude, longitude, city.lat, city.lon);
+    if (km < nearestKm) {
+      nearest = city;
+      nearestKm = km;
+    }
+  }
+
+  if (nearestKm <= MAX_CITY_DISTANCE_KM) {
+    return nearest.zone;
+  }
+
+  // Far from every city we know: 15 degrees of longitude per hour
+  return getFixedTimeZone(Math.round(longitude / 15));
+}
+
+/**
+ * Get the zone with a fixed UTC offset
+ * @param {number} hours - Offset from UTC in whole hours
+ * @returns {string|null} IANA time zone, null for an offset that doesn't exist
+ */
+export function getFixedTimeZone(hours) {
+  if (!Number.isInteger(hours) || hours < MIN_OFFSET_HOURS || hours > MAX_OFFSET_HOURS) {
+    return null;
+  }
+  // Etc/GMT signs are inverted: Etc/GMT-3 is UTC+3
+  return hours === 0 ? 'Etc/UTC' : `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+}
+
+/**
+ * Get a time zone's offset from UTC at a moment
+ * @param {string} timeZone - IANA time zone
+ * @param {number} at - Moment, ms since epoch
+ * @returns {number} Offset in ms (positive east of Greenwich)
+ */
+export function getUtcOffset(timeZone, at) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(at).map(part => [part.type, Number(part.value)])
+  );
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(at / 1000) * 1000;
+}
+
+/**
+ * Format an offset the way users know it
+ * @param {number} offset - Offset in ms
+ * @returns {string} E.g. "UTC+3" or "UTC+5:30"
+ */
+export function formatUtcOffset(offset) {
+  const minutes = Math.round(Math.abs(offset) / 60000);
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `UTC${offset < 0 ? '-' : '+'}${hours}${rest ? `:${String(rest).padStart(2, '0')}` : ''}`;
+}
+
+/**
+ * Get the next midnight of January 1 in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @param {number} now - Current moment, ms since epoch
+ * @returns {number} Moment of the midnight, ms since epoch
+ */
+export function getNextNewYear(timeZone, now = Date.now()) {
+  const year = new Date(now + getUtcOffset(timeZone, now)).getUTCFullYear() + 1;
+  const midnight = Date.UTC(year, 0, 1);
+
+  // The offset at local midnight may differ from the one a few hours around it
+  let at = midnight - getUtcOffset(timeZone, midnight);
+  at = midnight - getUtcOffset(timeZone, at);
+  return at;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in km
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const rad = (degrees) => degrees * Math.PI / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
@@ -0,0 +1,212 @@
+/**
+ * Text-to-speech for the voice-note greeting
+ * Providers turn text into OGG/Opus audio, the format Telegram plays as a voice message.
+ * TTS_PROVIDER picks one: "openai" (any OpenAI-compatible /audio/speech API) or
+ * "stub" (local silence, for tests). Without it the voice stage is off
+ */
+
+// Where an OpenAI-compatible speech API lives, unless TTS_API_URL says otherwise
+const DEFAULT_TTS_API_URL = 'https://api.openai.com/v1';
+
+// Telegram voice notes longer than this are not worth listening to
+const MAX_TTS_TEXT_LENGTH = 4000;
+
+// Opus works in 48 kHz samples; the stub writes 20 ms frames
+const OPUS_SAMPLE_RATE = 48000;
+const STUB_FRAME_SAMPLES = 960;
+
+// One 20 ms mono CELT frame of silence
+const SILENT_OPUS_FRAME = Buffer.from([0xf8, 0xff, 0xfe]);
+
+/**
+ * @typedef {Object} TtsProvider
+ * @property {(text: string, options: { language: string }) => Promise<{ audio: Buffer, duration?: number }>} synthesize
+ *   Speak the text; audio must be OGG/Opus, duration in seconds if known
+ */
+
+// Provider name -> TtsProvider
+const providers = new Map();
+
+/**
+ * Register a TTS provider under a name TTS_PROVIDER can refer to
+ * @param {string} name - Provider name
+ * @param {TtsProvider} provider - Provider implementation
+ */
+export function registerTtsProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+/**
+ * Whether greetings get a voice-note stage
+ * @returns {boolean} True if a known TTS provider is configured
+ */
+export function isVoiceEnabled() {
+  return providers.has(process.env.TTS_PROVIDER);
+}
+
+/**
+ * Speak a greeting with the configured provider
+ * @param {string} text - Greeting text (may contain HTML tags)
+ * @param {Object} options - { language } of the text
+ * @returns {Promise<{dataUrl: string, duration: number|undefined}|null>} OGG/Opus base64 data URL or null on failure
+ */
+export async function synthesizeVoice(text, options = {}) {
+  const provider = providers.get(process.env.TTS_PROVIDER);
+  if (!provider) {
+    return null;
+  }
+
+  // Tags are markup, not something to read out
+  const input = text.replace(/<[^>]+>/g, '').trim().slice(0, MAX_TTS_TEXT_LENGTH);
+  if (!input) {
+    return null;
+  }
+
+  try {
+    console.log(`Synthesizing voice with ${process.env.TTS_PROVIDER}...`);
+    const { audio, duration } = await provider.synthesize(input, options);
+    console.log('Voice synthesized successfully');
+    return { dataUrl: `data:audio/ogg;base64,${audio.toString('base64')}`, duration };
+  } catch (error) {
+    console.error('Error synthesizing voice:', error);
+    return null;
+  }
+}
+
+registerTtsProvider('openai', {
+  /**
+   * OpenAI-compatible speech endpoint; response_format "opus" is OGG/Opus already
+   */
+  async synthesize(text) {
+    const response = await fetch(`${process.env.TTS_API_URL || DEFAULT_TTS_API_URL}/audio/speech`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.TTS_API_KEY}`
+      },
+      body: JSON.stringify({
+        model: process.env.TTS_MODEL || 'gpt-4o-mini-tts',
+        voice: process.env.TTS_VOICE || 'onyx',
+        input: text,
+        instructions: 'Read it like a cheerful host of a Russian TV show reading folk chastushki, with a wink.',
+        response_format: 'opus'
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('TTS API error:', response.status, errorText);
+      throw new Error(`TTS API error: ${response.status}`);
+    }
+
+    return { audio: Buffer.from(await response.arrayBuffer()) };
+  }
+});
+
+registerTtsProvider('stub', {
+  /**
+   * Silence about as long as reading the text would take, no network involved
+   */
+  async synthesize(text) {
+    const duration = Math.min(60, Math.max(1, Math.ceil(text.length / 15)));
+    return { audio: encodeSilentOgg(duration), duration };
+  }
+});
+
+/**
+ * Build an OGG/Opus file of silence
+ * @param {number} seconds - Length of the silence
+ * @returns {Buffer} OGG/Opus file
+ */
+function encodeSilentOgg(seconds) {
+  const serial = 0x4e594247;
+  const preSkip = 312;
+
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0);
+  head.writeUInt8(1, 8);
+  head.writeUInt8(1, 9);
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(OPUS_SAMPLE_RATE, 12);
+
+  const vendor = Buffer.from('newyear-bot');
+  const tags = Buffer.concat([Buffer.from('OpusTags'), uint32LE(vendor.length), vendor, uint32LE(0)]);
+
+  const pages = [
+    oggPage([head], { serial, sequence: 0, granule: 0, flags: 0x02 }),
+    oggPage([tags], { serial, sequence: 1, granule: 0, flags: 0 })
+  ];
+
+  // Every frame fits one lacing value, so a page holds up to 255 frames
+  const frames = Math.ceil(seconds * OPUS_SAMPLE_RATE / STUB_FRAME_SAMPLES);
+  for (let written = 0; written < frames; written += 255) {
+    const count = Math.min(255, frames - written);
+    const last = written + count >= frames;
+    pages.push(oggPage(new Array(count).fill(SILENT_OPUS_FRAME), {
+      serial,
+      sequence: pages.length,
+      granule: preSkip + (written + count) * STUB_FRAME_SAMPLES,
+      flags: last ? 0x04 : 0
+    }));
+  }
+
+  return Buffer.concat(pages);
+}
+
+/**
+ * Build one OGG page of whole packets
+ * @param {Buffer[]} packets - Packets, each shorter than 255 bytes * 255 segments
+ * @param {Object} page - { serial, sequence, granule, flags }
+ * @returns {Buffer} Page bytes
+ */
+function oggPage(packets, { serial, sequence, granule, flags }) {
+  const segments = [];
+  for (const packet of packets) {
+    let left = packet.length;
+    while (left >= 255) {
+      segments.push(255);
+      left -= 255;
+    }
+    segments.push(left);
+  }
+
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0);
+  header.writeUInt8(0, 4);
+  header.writeUInt8(flags, 5);
+  header.writeBigUInt64LE(BigInt(granule), 6);
+  header.writeUInt32LE(serial, 14);
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt8(segments.length, 26);
+
+  const page = Buffer.concat([header, Buffer.from(segments), ...packets]);
+  page.writeUInt32LE(oggCrc(page), 22);
+  return page;
+}
+
+/**
+ * CRC-32 as OGG defines it (polynomial 0x04c11db7, no reflection)
+ * @param {Buffer} data - Page with a zero checksum field
+ * @returns {number} Checksum
+ */
+function oggCrc(data) {
+  let crc = 0;
+  for (const byte of data) {
+    crc ^= byte << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+  }
+  return crc >>> 0;
+}
+
+/**
+ * Encode an unsigned 32-bit integer
+ * @param {number} value - Value
+ * @returns {Buffer} Little-endian bytes
+ */
+function uint32LE(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
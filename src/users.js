@@ -0,0 +1,79 @@
+/**
+ * Everyone who ever wrote to the bot, so broadcasts can reach them
+ * A chat is inactive once Telegram refuses to deliver to it (the user blocked
+ * the bot) and active again as soon as the user writes
+ */
+
+import { openStore } from './storage.js';
+import { listGreetingRecords } from './ledger.js';
+
+// A returning user's lastSeenAt is refreshed at most this often, to keep the log small
+const TOUCH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Chat ID -> { user, chatId, firstSeenAt, lastSeenAt, active, inactiveReason }
+const users = openStore('users');
+
+// Chats greeted before the user list existed
+for (const record of listGreetingRecords()) {
+  if (!users.has(record.chatId)) {
+    users.set(record.chatId, {
+      chatId: record.chatId,
+      user: record.user,
+      firstSeenAt: record.attempts[0]?.startedAt || null,
+      lastSeenAt: record.attempts.at(-1)?.startedAt || null,
+      active: true
+    });
+  }
+}
+
+/**
+ * Remember that a user wrote to the bot
+ * @param {Object} userInfo - User information
+ */
+export function rememberUser(userInfo) {
+  const known = users.get(userInfo.chatId);
+  const fresh = known?.active && Date.now() - Date.parse(known.lastSeenAt) < TOUCH_INTERVAL_MS;
+  if (fresh && known.user.username === userInfo.username) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  users.set(userInfo.chatId, {
+    chatId: userInfo.chatId,
+    user: {
+      id: userInfo.id,
+      firstName: userInfo.firstName,
+      lastName: userInfo.lastName,
+      username: userInfo.username,
+      languageCode: userInfo.languageCode
+    },
+    firstSeenAt: known?.firstSeenAt || now,
+    lastSeenAt: now,
+    active: true
+  });
+}
+
+/**
+ * Stop sending to a chat Telegram no longer delivers to
+ * @param {number} chatId - Chat ID
+ * @param {string} reason - Telegram's error description
+ */
+export function markInactive(chatId, reason) {
+  users.update(chatId, (known) => known && { ...known, active: false, inactiveReason: reason, inactiveAt: new Date().toISOString() });
+}
+
+/**
+ * Get every known chat
+ * @returns {Object[]} Users
+ */
+export function listUsers() {
+  return users.values();
+}
+
+/**
+ * Get the chats a broadcast can reach
+ * @returns {number[]} Chat IDs
+ */
+export function listActiveChats() {
+  return users.values().filter(known => known.active).map(known => known.chatId);
+}
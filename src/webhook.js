@@ -0,0 +1,81 @@
+/**
+ * Webhook authentication
+ * Telegram sends the secret_token registered with setWebhook in the
+ * X-Telegram-Bot-Api-Secret-Token header of every webhook request
+ */
+
+import crypto from 'node:crypto';
+
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+/**
+ * Get the path the webhook route listens on
+ * Taken from WEBHOOK_PATH, or from the path of WEBHOOK_URL, so an unguessable
+ * path only has to be configured once
+ * @returns {string} Route path
+ */
+export function getWebhookPath() {
+  if (process.env.WEBHOOK_PATH) {
+    return process.env.WEBHOOK_PATH;
+  }
+
+  if (process.env.WEBHOOK_URL) {
+    try {
+      const { pathname } = new URL(process.env.WEBHOOK_URL);
+      if (pathname && pathname !== '/') return pathname;
+    } catch (e) {
+      console.error('Invalid WEBHOOK_URL, using default webhook path');
+    }
+  }
+
+  return '/webhook';
+}
+
+/**
+ * Get the accepted webhook secrets
+ * WEBHOOK_SECRET may list several comma-separated secrets while one is being rotated;
+ * the first one is the current secret registered with Telegram
+ * @returns {string[]} Secrets
+ */
+export function getWebhookSecrets() {
+  return (process.env.WEBHOOK_SECRET || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Generate a random secret token (Telegram allows A-Z, a-z, 0-9, _ and -, up to 256 chars)
+ * @returns {string} Secret token
+ */
+export function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Express middleware that rejects requests without a matching secret token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function verifyWebhookSecret(req, res, next) {
+  const secrets = getWebhookSecrets();
+
+  // No secret configured (local development) - nothing to check against
+  if (secrets.length === 0) {
+    return next();
+  }
+
+  const provided = Buffer.from(req.get(SECRET_HEADER) || '');
+  const matches = secrets.some((secret) => {
+    const expected = Buffer.from(secret);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  });
+
+  if (!matches) {
+    console.warn(`Rejected webhook request from ${req.ip}: bad secret token`);
+    return res.sendStatus(401);
+  }
+
+  next();
+}
@@ -0,0 +1,160 @@
+/**
+ * Model fallback chains through the stub LLM provider: canned answers, error-<status>
+ * models that fail on purpose, and a streamed greeting that starts over on the next model
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { complete, registerLlmProvider, LlmError } from '../src/llm.js';
+import { createStreamingMessage } from '../src/streaming.js';
+
+const PROMPT = [{ role: 'user', content: 'Напиши частушку для Оли' }];
+
+// A model that streams a long draft and then breaks off, as a dropped stream does
+registerLlmProvider('broken', {
+  async complete(request) {
+    await request.onText?.('Черновик '.repeat(600));
+    throw new LlmError('Stream cut off', { status: 400 });
+  }
+});
+
+/**
+ * Run a test with LLM_TEXT_MODELS set, restoring it afterwards
+ * @param {string} models - Comma-separated model list
+ * @param {Function} fn - Test body
+ */
+async function withTextModels(models, fn) {
+  const previous = process.env.LLM_TEXT_MODELS;
+  process.env.LLM_TEXT_MODELS = models;
+  try {
+    await fn();
+  } finally {
+    if (previous === undefined) delete process.env.LLM_TEXT_MODELS;
+    else process.env.LLM_TEXT_MODELS = previous;
+  }
+}
+
+test('the first model that answers gives the text', () => withTextModels('stub:first,stub:second', async () => {
+  const answer = await complete('text', { messages: PROMPT });
+  assert.equal(answer.model, 'stub:first');
+  assert.equal(answer.text, 'Stub first: Напиши частушку для Оли');
+  assert.deepEqual(answer.images, []);
+}));
+
+test('a refused call hands over to the next model without retrying', () => withTextModels('stub:error-400,stub:fallback', async () => {
+  const startedAt = Date.now();
+  const answer = await complete('text', { messages: PROMPT });
+  assert.equal(answer.model, 'stub:fallback');
+  assert.ok(Date.now() - startedAt < 500, 'no backoff for a 400');
+}));
+
+test('a server error is retried before the next model takes over', () => withTextModels('stub:error-503,stub:fallback', async () => {
+  const startedAt = Date.now();
+  const answer = await complete('text', { messages: PROMPT });
+  assert.equal(answer.model, 'stub:fallback');
+  assert.ok(Date.now() - startedAt >= 1000, 'waited the backoff before the second try');
+}));
+
+test('when every model fails the last error is the cause', () => withTextModels('stub:error-400,stub:error-401', async () => {
+  await assert.rejects(complete('text', { messages: PROMPT }), (error) => {
+    assert.ok(error instanceof LlmError);
+    assert.equal(error.message, 'Every text model failed');
+    assert.equal(error.cause.status, 401);
+    return true;
+  });
+}));
+
+test('the stub draws a card for the image capability', async () => {
+  const previous = process.env.LLM_IMAGE_MODELS;
+  process.env.LLM_IMAGE_MODELS = 'stub:error-500,stub:painter';
+  try {
+    const answer = await complete('image', { messages: PROMPT, modalities: ['image', 'text'] });
+    assert.equal(answer.model, 'stub:painter');
+    assert.equal(answer.images.length, 1);
+    assert.match(answer.images[0], /^data:image\/png;base64,/);
+  } finally {
+    if (previous === undefined) delete process.env.LLM_IMAGE_MODELS;
+    else process.env.LLM_IMAGE_MODELS = previous;
+  }
+});
+
+test('the stub streams its answer word by word', () => withTextModels('stub:writer', async () => {
+  const drafts = [];
+  const answer = await complete('text', { messages: PROMPT, onText: (text) => drafts.push(text) });
+  assert.ok(drafts.length > 1);
+  assert.equal(drafts.at(-1), answer.text);
+  drafts.reduce((previous, draft) => {
+    assert.ok(draft.startsWith(previous));
+    return draft;
+  }, '');
+}));
+
+test('a model that failed before streaming anything needs no reset', () => withTextModels('stub:error-400,stub:writer', async () => {
+  let resets = 0;
+  await complete('text', { messages: PROMPT, onText: () => {}, onReset: () => resets++ });
+  assert.equal(resets, 0);
+}));
+
+test('the next model starts over only after what the failed one streamed is cleared', () => withTextModels('broken:draft,stub:writer', async () => {
+  const events = [];
+  const answer = await complete('text', {
+    messages: PROMPT,
+    onText: (text) => events.push(text.startsWith('Черновик') ? 'broken' : 'stub'),
+    onReset: () => events.push('reset')
+  });
+
+  assert.equal(answer.model, 'stub:writer');
+  assert.equal(events[0], 'broken');
+  assert.equal(events[1], 'reset');
+  assert.ok(events.slice(2).length > 0 && events.slice(2).every(event => event === 'stub'));
+}));
+
+test('a streaming message is back to its placeholder before the next model writes', () => withTextModels('broken:draft,stub:writer', async () => {
+  // A Bot API that records the chat as it would look
+  const previousFetch = globalThis.fetch;
+  const chat = new Map();
+  let nextMessageId = 1;
+  process.env.TELEGRAM_BOT_TOKEN = 'test';
+  globalThis.fetch = async (url, init) => {
+    const method = String(url).split('/').pop();
+    const params = JSON.parse(init.body);
+    let result = true;
+
+    if (method === 'sendMessage') {
+      result = { message_id: nextMessageId++ };
+      chat.set(result.message_id, params.text);
+    } else if (method === 'editMessageText') {
+      chat.set(params.message_id, params.text);
+    } else if (method === 'deleteMessage') {
+      chat.delete(params.message_id);
+    }
+    return new Response(JSON.stringify({ ok: true, result }), { headers: { 'Content-Type': 'application/json' } });
+  };
+
+  try {
+    const placeholder = 'Пишу поздравление...';
+    const message = createStreamingMessage(5, { intervalMs: 0 });
+    await message.start(placeholder);
+
+    // What the chat showed whenever the stub model started writing
+    let seenByNextModel = null;
+    const answer = await complete('text', {
+      messages: PROMPT,
+      onText: (text) => {
+        if (!text.startsWith('Черновик') && seenByNextModel === null) {
+          seenByNextModel = [...chat.values()];
+        }
+        message.update(text);
+      },
+      onReset: () => message.reset(placeholder)
+    });
+    await message.finish(answer.text);
+
+    // The broken draft needed a second message; the reset removed it and showed the placeholder again
+    assert.deepEqual(seenByNextModel, [placeholder]);
+    assert.deepEqual([...chat.values()], [answer.text]);
+    assert.deepEqual(message.messageIds, [1]);
+  } finally {
+    globalThis.fetch = previousFetch;
+  }
+}));
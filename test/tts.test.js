@@ -0,0 +1,120 @@
+/**
+ * Voice notes through the stub TTS provider: no network, a real OGG/Opus file of silence
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isVoiceEnabled, synthesizeVoice } from '../src/tts.js';
+
+/**
+ * CRC-32 as OGG defines it, to check the pages independently of the encoder
+ * @param {Buffer} data - Page with a zero checksum field
+ * @returns {number} Checksum
+ */
+function oggCrc(data) {
+  let crc = 0;
+  for (const byte of data) {
+    crc ^= byte << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+  }
+  return crc >>> 0;
+}
+
+/**
+ * Split an OGG file into pages, checking every page's capture pattern and checksum
+ * @param {Buffer} file - OGG file
+ * @returns {Object[]} Pages: { flags, granule, sequence, body }
+ */
+function readOggPages(file) {
+  const pages = [];
+  let offset = 0;
+
+  while (offset < file.length) {
+    assert.equal(file.toString('latin1', offset, offset + 4), 'OggS', `capture pattern at ${offset}`);
+    const segmentCount = file.readUInt8(offset + 26);
+    const segments = file.subarray(offset + 27, offset + 27 + segmentCount);
+    const bodyLength = segments.reduce((sum, size) => sum + size, 0);
+    const end = offset + 27 + segmentCount + bodyLength;
+
+    const page = Buffer.from(file.subarray(offset, end));
+    const checksum = page.readUInt32LE(22);
+    page.writeUInt32LE(0, 22);
+    assert.equal(oggCrc(page), checksum, `checksum of page ${pages.length}`);
+
+    pages.push({
+      flags: file.readUInt8(offset + 5),
+      granule: Number(file.readBigUInt64LE(offset + 6)),
+      sequence: file.readUInt32LE(offset + 18),
+      body: file.subarray(offset + 27 + segmentCount, end)
+    });
+    offset = end;
+  }
+
+  return pages;
+}
+
+/**
+ * Run a test with TTS_PROVIDER set, restoring it afterwards
+ * @param {string|undefined} provider - Provider name
+ * @param {Function} fn - Test body
+ */
+async function withProvider(provider, fn) {
+  const previous = process.env.TTS_PROVIDER;
+  if (provider === undefined) delete process.env.TTS_PROVIDER;
+  else process.env.TTS_PROVIDER = provider;
+
+  try {
+    await fn();
+  } finally {
+    if (previous === undefined) delete process.env.TTS_PROVIDER;
+    else process.env.TTS_PROVIDER = previous;
+  }
+}
+
+test('the voice stage is on only with a known provider', () => withProvider(undefined, async () => {
+  assert.equal(isVoiceEnabled(), false);
+  process.env.TTS_PROVIDER = 'stub';
+  assert.equal(isVoiceEnabled(), true);
+  process.env.TTS_PROVIDER = 'nonexistent';
+  assert.equal(isVoiceEnabled(), false);
+}));
+
+test('the stub speaks a greeting as a valid OGG/Opus file of silence', () => withProvider('stub', async () => {
+  const text = 'Ой, снег идёт, а ёлка светит, Новый год пришёл опять! '.repeat(3);
+  const voice = await synthesizeVoice(`<b>${text}</b>`, { language: 'ru' });
+
+  // Tags are stripped before speaking, and the stub takes about 15 characters a second
+  assert.equal(voice.duration, Math.ceil(text.trim().length / 15));
+  assert.match(voice.dataUrl, /^data:audio\/ogg;base64,/);
+
+  const pages = readOggPages(Buffer.from(voice.dataUrl.split(',')[1], 'base64'));
+  assert.ok(pages.length >= 3);
+  assert.deepEqual(pages.map(page => page.sequence), pages.map((page, index) => index));
+
+  // Identification header, comment header, then audio ending the stream
+  assert.equal(pages[0].body.toString('latin1', 0, 8), 'OpusHead');
+  assert.equal(pages[0].flags, 0x02);
+  assert.equal(pages[1].body.toString('latin1', 0, 8), 'OpusTags');
+  assert.equal(pages.at(-1).flags, 0x04);
+
+  // The last granule position (48 kHz samples after the pre-skip) covers the whole duration
+  const preSkip = pages[0].body.readUInt16LE(10);
+  const seconds = (pages.at(-1).granule - preSkip) / 48000;
+  assert.ok(seconds >= voice.duration && seconds < voice.duration + 0.02, `${seconds} s of audio`);
+}));
+
+test('the stub keeps voice notes between 1 and 60 seconds', () => withProvider('stub', async () => {
+  assert.equal((await synthesizeVoice('Ура!')).duration, 1);
+  assert.equal((await synthesizeVoice('а'.repeat(3000))).duration, 60);
+}));
+
+test('nothing is spoken without text or without a provider', async () => {
+  await withProvider('stub', async () => {
+    assert.equal(await synthesizeVoice('<b></b>  '), null);
+  });
+  await withProvider(undefined, async () => {
+    assert.equal(await synthesizeVoice('С Новым годом!'), null);
+  });
+});